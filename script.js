@@ -3,54 +3,721 @@
 // Modern Database System
 // ====================================
 
+// ====================================
+// Schema Migrations
+// ====================================
+
+const DEFAULT_SETTINGS = {
+    currency: 'KRW',
+    language: 'en',
+    theme: 'modern',
+    notifications: true,
+    cartStaleDays: 7,
+    cartExpireDays: 30,
+    orderEndpoint: null,
+    analyticsConsent: null,
+    analyticsEndpoint: null,
+    analyticsDebug: false
+};
+
+const DEFAULT_STATS = {
+    totalOrders: 0,
+    totalRevenue: 0,
+    lastOrderDate: null
+};
+
+const ORDER_STATUSES = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled'];
+
+// Stats leave out cancelled orders (including ones the shop's server rejected), like the admin charts
+function summarizeOrders(orders) {
+    const counted = orders.filter(order => order.status !== 'cancelled');
+    const lastOrder = counted[counted.length - 1];
+    return {
+        totalOrders: counted.length,
+        totalRevenue: counted.reduce((sum, order) => sum + (Number(order.total) || 0), 0),
+        lastOrderDate: lastOrder ? lastOrder.createdAt : null
+    };
+}
+
+// Allowed next statuses for each order status; delivered and cancelled are final
+const ORDER_STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled'],
+    confirmed: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
+
+// Ordered list of upgrade steps. Each step receives the database and moves the
+// stored data from the previous version to `version`. Never edit a released step;
+// append a new one instead. Steps write the values of their own version, not the
+// current defaults, so an upgrade gives the same result whenever it runs.
+const SCHEMA_MIGRATIONS = [
+    {
+        version: '1.1.0',
+        description: 'Move tables out of the _schema blob into their own keys',
+        migrate(db) {
+            const schema = db.load('_schema');
+            if (!schema || typeof schema !== 'object') return;
+
+            ['products', 'cart', 'orders', 'customers', 'settings', 'stats'].forEach(table => {
+                if (db.load(table) === null && schema[table] !== undefined) {
+                    db.save(table, schema[table]);
+                }
+            });
+            db.delete('_schema');
+        }
+    },
+    {
+        version: '1.2.0',
+        description: 'Fold one-entry-per-click carts into line items with quantities',
+        migrate(db) {
+            const cart = db.loadTable('cart', Array.isArray, []);
+            const products = db.loadTable('products', Array.isArray, []);
+            const lines = [];
+
+            cart.filter(entry => entry && typeof entry === 'object').forEach(entry => {
+                const product = products.find(p => p.id === entry.productId || p.name === entry.name);
+                const productId = product ? product.id : (entry.productId || entry.name);
+                const quantity = Number.isInteger(entry.quantity) && entry.quantity > 0 ? entry.quantity : 1;
+                const existing = lines.find(line => line.productId === productId);
+
+                if (existing) {
+                    existing.quantity += quantity;
+                } else {
+                    lines.push({
+                        id: productId,
+                        productId,
+                        name: entry.name,
+                        price: parseInt(entry.price) || 0,
+                        category: entry.category,
+                        quantity
+                    });
+                }
+            });
+
+            db.save('cart', lines);
+        }
+    },
+    {
+        version: '1.3.0',
+        description: 'Give every order and customer an id, timestamps and a known status',
+        migrate(db) {
+            const orders = db.loadTable('orders', Array.isArray, []);
+            orders.forEach((order, index) => {
+                order.createdAt = order.createdAt || order.date || new Date().toISOString();
+                order.id = order.id || `ORD-${Date.parse(order.createdAt) || Date.now()}-${index}`;
+                order.status = ORDER_STATUSES.includes(order.status) ? order.status : 'pending';
+                order.items = (Array.isArray(order.items) ? order.items : []).map(item => ({
+                    ...item,
+                    quantity: Number.isInteger(item.quantity) && item.quantity > 0 ? item.quantity : 1
+                }));
+                order.total = Number(order.total) || 0;
+            });
+            db.save('orders', orders);
+
+            const customers = db.loadTable('customers', Array.isArray, []);
+            customers.forEach((customer, index) => {
+                customer.createdAt = customer.createdAt || new Date().toISOString();
+                customer.id = customer.id || `CUST-${Date.parse(customer.createdAt) || Date.now()}-${index}`;
+            });
+            db.save('customers', customers);
+        }
+    },
+    {
+        version: '1.4.0',
+        description: 'Fill missing settings and rebuild stats from stored orders',
+        migrate(db) {
+            const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+            const settings = db.loadTable('settings', isObject, {});
+            // The defaults as they were in 1.4.0; settings added since are filled in by loadSettings()
+            db.save('settings', { currency: 'KRW', language: 'en', theme: 'modern', notifications: true, ...settings });
+
+            const orders = db.loadTable('orders', Array.isArray, []);
+            const lastOrder = orders[orders.length - 1];
+            db.save('stats', {
+                totalOrders: orders.length,
+                totalRevenue: orders.reduce((sum, order) => sum + (Number(order.total) || 0), 0),
+                lastOrderDate: lastOrder ? lastOrder.createdAt : null
+            });
+        }
+    },
+    {
+        version: '1.5.0',
+        description: 'Start a status history for every order',
+        migrate(db) {
+            const orders = db.loadTable('orders', Array.isArray, []);
+            orders.forEach(order => {
+                if (!Array.isArray(order.statusHistory)) {
+                    order.statusHistory = [{ status: order.status, at: order.createdAt }];
+                }
+            });
+            db.save('orders', orders);
+        }
+    },
+    {
+        version: '1.6.0',
+        description: 'Store a price breakdown with every order',
+        migrate(db) {
+            const orders = db.loadTable('orders', Array.isArray, []);
+            orders.forEach(order => {
+                if (order.pricing) return;
+                const extras = order.gift && order.gift.wrapFee
+                    ? [{ label: 'Gift wrap', amount: order.gift.wrapFee }]
+                    : [];
+                order.pricing = {
+                    subtotal: order.items.reduce((sum, item) => sum + (Number(item.price) || 0) * item.quantity, 0),
+                    discounts: [],
+                    extras,
+                    shipping: 0,
+                    total: order.total
+                };
+            });
+            db.save('orders', orders);
+        }
+    },
+    {
+        version: '1.7.0',
+        description: 'Add the inventory table (stock per product id)',
+        migrate(db) {
+            const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+            db.save('inventory', db.loadTable('inventory', isObject, {}));
+        }
+    },
+    {
+        version: '1.8.0',
+        description: 'Keep a list of saved addresses and a preferred payment per customer',
+        migrate(db) {
+            const customers = db.loadTable('customers', Array.isArray, []);
+            customers.forEach((customer, index) => {
+                if (!Array.isArray(customer.addresses)) {
+                    customer.addresses = customer.address
+                        ? [{ id: `ADDR-${index}-1`, label: '', address: customer.address }]
+                        : [];
+                }
+                customer.preferredPayment = customer.preferredPayment || null;
+                customer.remember = Boolean(customer.remember);
+            });
+            db.save('customers', customers);
+        }
+    },
+    {
+        version: '1.9.0',
+        description: 'Add the wishlist table',
+        migrate(db) {
+            db.save('wishlist', db.loadTable('wishlist', Array.isArray, []));
+        }
+    },
+    {
+        version: '1.10.0',
+        description: 'Add the reviews table',
+        migrate(db) {
+            db.save('reviews', db.loadTable('reviews', Array.isArray, []));
+        }
+    },
+    {
+        version: '1.11.0',
+        description: 'Drop the admin passcode set on first use; it now comes from data/admin.json',
+        migrate(db) {
+            const settings = db.load('settings');
+            if (!settings || typeof settings !== 'object') return;
+
+            delete settings.adminPasscodeHash;
+            db.save('settings', settings);
+        }
+    },
+    {
+        version: '1.12.0',
+        description: 'Leave cancelled orders out of the stats',
+        migrate(db) {
+            db.save('stats', summarizeOrders(db.loadTable('orders', Array.isArray, [])));
+        }
+    }
+];
+
+function compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff > 0 ? 1 : -1;
+    }
+    return 0;
+}
+
+// ====================================
+// Backup Format
+// ====================================
+
+const BACKUP_FORMAT = 'chocoworld-backup';
+
+// Tables included in backups; list tables are matched record-by-record on `key`
+const BACKUP_TABLES = {
+    products: { type: 'list', key: 'id' },
+    cart: { type: 'list', key: 'id' },
+    orders: { type: 'list', key: 'id' },
+    customers: { type: 'list', key: 'email' },
+    settings: { type: 'record' },
+    stats: { type: 'record' },
+    inventory: { type: 'record' },
+    wishlist: { type: 'list', key: 'productId' },
+    reviews: { type: 'list', key: 'id' }
+};
+
+// Settings that must never leave this browser in a backup or be set by importing one
+const BACKUP_PRIVATE_SETTINGS = ['adminPasscodeHash'];
+
+function withoutPrivateSettings(settings) {
+    if (!settings || typeof settings !== 'object') return settings;
+
+    const rest = { ...settings };
+    BACKUP_PRIVATE_SETTINGS.forEach(key => delete rest[key]);
+    return rest;
+}
+
+// FNV-1a hash, used to detect truncated or hand-edited backup files
+function checksum(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// ====================================
+// Storage Adapters
+// ====================================
+// Every adapter exposes the same synchronous key/value surface that
+// ChocoDatabase uses (get, set, remove, keys) plus async open() and flush().
+// flush() resolves once every write is stored and rejects if one of them failed.
+// Keys are unprefixed table names; values are plain JSON-compatible data.
+
+function cloneData(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+class LocalStorageAdapter {
+    constructor(namespace) {
+        this.name = 'localStorage';
+        this.prefix = `${namespace}_`;
+    }
+
+    async open() {
+        return this;
+    }
+
+    get(key) {
+        const data = localStorage.getItem(this.prefix + key);
+        return data === null ? null : JSON.parse(data);
+    }
+
+    set(key, value) {
+        localStorage.setItem(this.prefix + key, JSON.stringify(value));
+    }
+
+    remove(key) {
+        localStorage.removeItem(this.prefix + key);
+    }
+
+    keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key.startsWith(this.prefix)) {
+                keys.push(key.slice(this.prefix.length));
+            }
+        }
+        return keys;
+    }
+
+    async flush() {}
+}
+
+class MemoryStorageAdapter {
+    constructor(initialData = {}) {
+        this.name = 'memory';
+        this.data = new Map(Object.entries(cloneData(initialData)));
+    }
+
+    async open() {
+        return this;
+    }
+
+    get(key) {
+        return this.data.has(key) ? cloneData(this.data.get(key)) : null;
+    }
+
+    set(key, value) {
+        this.data.set(key, cloneData(value));
+    }
+
+    remove(key) {
+        this.data.delete(key);
+    }
+
+    keys() {
+        return Array.from(this.data.keys());
+    }
+
+    async flush() {}
+}
+
+// Reads are served from a cache filled in open(); writes update the cache immediately and are
+// persisted to IndexedDB in the background, in order. Each committed write is announced to the
+// other open tabs, which re-read those keys so their caches never overwrite newer data.
+class IndexedDBAdapter {
+    constructor(namespace, storeName = 'tables') {
+        this.name = 'indexedDB';
+        this.namespace = namespace;
+        this.storeName = storeName;
+        this.cache = new Map();
+        this.connection = null;
+        this.channel = null;
+        this.pending = Promise.resolve();
+        this.writeError = null;
+        // Key -> number of writes not yet committed
+        this.unsaved = new Map();
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.namespace, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onerror = () => reject(request.error);
+            request.onsuccess = () => {
+                this.connection = request.result;
+                this.read().then(() => {
+                    this.listen();
+                    resolve(this);
+                }, reject);
+            };
+        });
+    }
+
+    // Loads `keys` (every key when omitted) from IndexedDB into the cache
+    read(keys) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.connection.transaction(this.storeName, 'readonly');
+            const store = transaction.objectStore(this.storeName);
+            const values = new Map();
+
+            if (keys) {
+                keys.forEach(key => {
+                    const request = store.get(key);
+                    request.onsuccess = () => values.set(key, request.result);
+                });
+            } else {
+                const cursorRequest = store.openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (cursor) {
+                        values.set(cursor.key, cursor.value);
+                        cursor.continue();
+                    }
+                };
+            }
+
+            transaction.oncomplete = () => {
+                values.forEach((value, key) => {
+                    if (value === undefined) {
+                        this.cache.delete(key);
+                    } else {
+                        this.cache.set(key, value);
+                    }
+                });
+                resolve();
+            };
+            transaction.onerror = transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    listen() {
+        if (typeof BroadcastChannel === 'undefined') return;
+
+        this.channel = new BroadcastChannel(`${this.namespace}-tables`);
+        this.channel.addEventListener('message', (e) => {
+            // A key with a local write still on its way will be overwritten by that write anyway
+            const keys = e.data.keys.filter(key => !this.unsaved.has(key));
+            if (keys.length === 0) return;
+            this.read(keys).catch(error => console.error('IndexedDB read error:', error));
+        });
+    }
+
+    get(key) {
+        return this.cache.has(key) ? cloneData(this.cache.get(key)) : null;
+    }
+
+    set(key, value) {
+        const data = cloneData(value);
+        this.cache.set(key, data);
+        this.write(key, store => store.put(data, key));
+    }
+
+    remove(key) {
+        this.cache.delete(key);
+        this.write(key, store => store.delete(key));
+    }
+
+    keys() {
+        return Array.from(this.cache.keys());
+    }
+
+    // Resolves once the write is committed and rejects if it fails. A failed write doesn't
+    // stop the ones queued after it; flush() reports it.
+    write(key, operation) {
+        this.unsaved.set(key, (this.unsaved.get(key) || 0) + 1);
+
+        const result = this.pending.then(() => new Promise((resolve, reject) => {
+            const transaction = this.connection.transaction(this.storeName, 'readwrite');
+            operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = transaction.onabort = () => {
+                reject(transaction.error || new Error(`IndexedDB write of "${key}" was aborted`));
+            };
+        }));
+
+        this.pending = result.then(() => {
+            if (this.channel) this.channel.postMessage({ keys: [key] });
+        }, error => {
+            console.error('IndexedDB write error:', error);
+            this.writeError = this.writeError || error;
+        }).then(() => {
+            const count = this.unsaved.get(key) - 1;
+            if (count > 0) {
+                this.unsaved.set(key, count);
+            } else {
+                this.unsaved.delete(key);
+            }
+        });
+        return result;
+    }
+
+    // Waits for every queued write; rejects with the first failure since the last flush()
+    flush() {
+        return this.pending.then(() => {
+            const error = this.writeError;
+            this.writeError = null;
+            if (error) throw error;
+        });
+    }
+}
+
 // ====================================
 // Internal Database Manager
 // ====================================
 
 class ChocoDatabase {
-    constructor() {
+    constructor(adapter) {
         this.dbName = 'chocoworld_db';
-        this.version = '1.0.0';
+        this.version = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+        this.migrationError = null;
+        this.adapter = adapter || ChocoDatabase.createDefaultAdapter(this.dbName);
+    }
+
+    static createDefaultAdapter(dbName) {
+        if (typeof indexedDB !== 'undefined') return new IndexedDBAdapter(dbName);
+        if (typeof localStorage !== 'undefined') return new LocalStorageAdapter(dbName);
+        return new MemoryStorageAdapter();
+    }
+
+    async open() {
+        try {
+            await this.adapter.open();
+        } catch (error) {
+            console.error(`Could not open ${this.adapter.name} storage, falling back to localStorage:`, error);
+            this.adapter = new LocalStorageAdapter(this.dbName);
+        }
+
+        if (!(this.adapter instanceof LocalStorageAdapter)) {
+            await this.moveFromLocalStorage();
+        }
+
         this.init();
+
+        if (!(this.adapter instanceof LocalStorageAdapter)) {
+            await this.mergeFromLocalStorage();
+        }
+        console.log(`🗄️ Database storage: ${this.adapter.name}`);
+        return this;
+    }
+
+    // One-time move of data written by the localStorage backend into the current adapter
+    async moveFromLocalStorage() {
+        if (typeof localStorage === 'undefined') return;
+
+        const legacy = new LocalStorageAdapter(this.dbName);
+        const keys = legacy.keys();
+        if (keys.length === 0 || this.adapter.get('_initialized')) return;
+
+        try {
+            // _initialized goes last, so a move that failed halfway is tried again on the next start
+            keys.filter(key => key !== '_initialized').forEach(key => this.adapter.set(key, legacy.get(key)));
+            await this.adapter.flush();
+            if (keys.includes('_initialized')) {
+                this.adapter.set('_initialized', legacy.get('_initialized'));
+                await this.adapter.flush();
+            }
+            keys.forEach(key => legacy.remove(key));
+            console.log(`📦 Moved ${keys.length} keys from localStorage to ${this.adapter.name}`);
+        } catch (error) {
+            console.error('Storage move error, staying on localStorage:', error);
+            this.adapter = legacy;
+        }
+    }
+
+    // Data left in localStorage by a session that couldn't open the current adapter is merged in
+    // on every start, and removed only once the merged tables are saved. Settings and stock keep
+    // the current values, since that session may have started from the defaults.
+    async mergeFromLocalStorage() {
+        if (typeof localStorage === 'undefined') return;
+
+        const legacy = new LocalStorageAdapter(this.dbName);
+        const keys = legacy.keys();
+        if (keys.length === 0) return;
+
+        try {
+            const tables = {};
+            Object.keys(BACKUP_TABLES).forEach(table => {
+                tables[table] = BACKUP_TABLES[table].type === 'list' ? legacy.get(table) : null;
+            });
+            const leftovers = this.upgradeBackupTables({ schemaVersion: legacy.get('_version') || this.version, tables });
+            const knownOrders = new Set(this.loadOrders().map(order => order.id));
+
+            const merged = this.mergeTables(leftovers, 'merge');
+            Object.keys(merged).forEach(table => {
+                if (merged[table] !== null) this.save(table, merged[table]);
+            });
+            (leftovers.orders || [])
+                .filter(order => !knownOrders.has(order.id) && order.stockTaken)
+                .forEach(order => this.takeStock(order.items || []));
+            await this.adapter.flush();
+
+            keys.forEach(key => legacy.remove(key));
+            console.log(`📦 Merged ${keys.length} keys left in localStorage into ${this.adapter.name}`);
+        } catch (error) {
+            console.error('Storage merge error, keeping the localStorage copy for the next start:', error);
+        }
     }
 
     init() {
         // Initialize database structure
-        if (!localStorage.getItem(`${this.dbName}_initialized`)) {
+        if (!this.load('_initialized')) {
             this.createDatabase();
+        } else {
+            this.migrate();
         }
     }
 
     createDatabase() {
-        const schema = {
-            products: [],
-            cart: [],
-            orders: [],
-            customers: [],
-            settings: {
-                currency: 'KRW',
-                language: 'en',
-                theme: 'modern',
-                notifications: true
-            },
-            stats: {
-                totalOrders: 0,
-                totalRevenue: 0,
-                lastOrderDate: null
-            },
-            version: this.version,
-            createdAt: new Date().toISOString()
-        };
-
-        this.save('_schema', schema);
+        this.save('products', []);
+        this.save('cart', []);
+        this.save('orders', []);
+        this.save('customers', []);
+        this.save('settings', { ...DEFAULT_SETTINGS });
+        this.save('stats', { ...DEFAULT_STATS });
+        this.save('inventory', {});
+        this.save('wishlist', []);
+        this.save('reviews', []);
+        this.save('_version', this.version);
+        this.save('_createdAt', new Date().toISOString());
         this.save('_initialized', true);
         console.log('🗄️ Database initialized');
     }
 
+    getStoredVersion() {
+        const version = this.load('_version');
+        if (version) return version;
+
+        // Databases created before versioning kept the version inside the _schema blob
+        const schema = this.load('_schema');
+        return (schema && schema.version) || '1.0.0';
+    }
+
+    migrate() {
+        const storedVersion = this.getStoredVersion();
+
+        if (compareVersions(storedVersion, this.version) > 0) {
+            // Written by a newer release: don't touch data we can't understand
+            this.backup(storedVersion);
+            this.migrationError = `Stored data version ${storedVersion} is newer than ${this.version}`;
+            console.error(`⛔ ${this.migrationError}; a backup was saved and no migrations were run`);
+            return false;
+        }
+
+        const pending = SCHEMA_MIGRATIONS.filter(step => compareVersions(step.version, storedVersion) > 0);
+        if (pending.length === 0) return true;
+
+        const snapshot = this.snapshot();
+        this.backup(storedVersion, snapshot);
+
+        let currentVersion = storedVersion;
+        try {
+            pending.forEach(step => {
+                step.migrate(this);
+                currentVersion = step.version;
+                this.save('_version', currentVersion);
+                this.save('_migrations', [
+                    ...(this.load('_migrations') || []),
+                    { version: step.version, appliedAt: new Date().toISOString() }
+                ]);
+                console.log(`🔄 Database migrated to ${step.version}: ${step.description}`);
+            });
+            return true;
+        } catch (error) {
+            this.restoreSnapshot(snapshot);
+            this.migrationError = `Migration to ${currentVersion === storedVersion ? pending[0].version : currentVersion} failed: ${error.message}`;
+            console.error(`⛔ ${this.migrationError}; data restored to version ${storedVersion}`);
+            return false;
+        }
+    }
+
+    // Loads a table and sets aside (rather than discards) a value of an unexpected shape
+    loadTable(key, isValid, fallback) {
+        const value = this.load(key);
+        if (value === null) return fallback;
+        if (isValid(value)) return value;
+
+        this.save(`_quarantine_${key}_${Date.now()}`, value);
+        console.warn(`⚠️ Unrecognized data in "${key}" was moved to quarantine`);
+        return fallback;
+    }
+
+    snapshot() {
+        const data = {};
+        this.adapter.keys()
+            .filter(key => key !== '_backup')
+            .forEach(key => {
+                data[key] = this.adapter.get(key);
+            });
+        return data;
+    }
+
+    restoreSnapshot(snapshot) {
+        Object.keys(this.snapshot()).forEach(key => {
+            if (!(key in snapshot)) this.adapter.remove(key);
+        });
+        Object.keys(snapshot).forEach(key => {
+            this.adapter.set(key, snapshot[key]);
+        });
+    }
+
+    // Keeps a copy of the raw data from before the last migration attempt
+    backup(version, snapshot = this.snapshot()) {
+        return this.save('_backup', {
+            version,
+            createdAt: new Date().toISOString(),
+            data: snapshot
+        });
+    }
+
     save(key, data) {
         try {
-            const fullKey = `${this.dbName}_${key}`;
-            localStorage.setItem(fullKey, JSON.stringify(data));
+            this.adapter.set(key, data);
             return true;
         } catch (error) {
             console.error('Database save error:', error);
@@ -60,9 +727,7 @@ class ChocoDatabase {
 
     load(key) {
         try {
-            const fullKey = `${this.dbName}_${key}`;
-            const data = localStorage.getItem(fullKey);
-            return data ? JSON.parse(data) : null;
+            return this.adapter.get(key);
         } catch (error) {
             console.error('Database load error:', error);
             return null;
@@ -70,8 +735,16 @@ class ChocoDatabase {
     }
 
     delete(key) {
-        const fullKey = `${this.dbName}_${key}`;
-        localStorage.removeItem(fullKey);
+        this.adapter.remove(key);
+    }
+
+    // Product operations
+    saveProducts(products) {
+        return this.save('products', products);
+    }
+
+    loadProducts() {
+        return this.load('products') || [];
     }
 
     // Cart operations
@@ -90,8 +763,12 @@ class ChocoDatabase {
     // Order operations
     saveOrder(order) {
         const orders = this.loadOrders();
-        order.id = `ORD-${Date.now()}`;
+        order.id = order.id || `ORD-${Date.now()}`;
         order.createdAt = new Date().toISOString();
+        order.status = order.status || 'pending';
+        order.statusHistory = [{ status: order.status, at: order.createdAt }];
+        this.takeStock(order.items);
+        order.stockTaken = true;
         orders.push(order);
 
         // Update stats
@@ -101,7 +778,9 @@ class ChocoDatabase {
         stats.lastOrderDate = order.createdAt;
         this.save('stats', stats);
 
-        return this.save('orders', orders);
+        const saved = this.save('orders', orders);
+        eventBus.emit('order_saved', { orderId: order.id, total: order.total });
+        return saved;
     }
 
     loadOrders() {
@@ -113,516 +792,7358 @@ class ChocoDatabase {
         return orders.find(order => order.id === orderId);
     }
 
-    // Customer operations
-    saveCustomer(customer) {
-        const customers = this.loadCustomers();
-        const existing = customers.find(c => c.email === customer.email);
+    canTransitionOrder(order, status) {
+        return (ORDER_STATUS_TRANSITIONS[order.status] || []).includes(status);
+    }
 
-        if (existing) {
-            Object.assign(existing, customer);
-            existing.updatedAt = new Date().toISOString();
-        } else {
-            customer.id = `CUST-${Date.now()}`;
-            customer.createdAt = new Date().toISOString();
-            customers.push(customer);
+    updateOrderStatus(orderId, status, note = '') {
+        const orders = this.loadOrders();
+        const order = orders.find(o => o.id === orderId);
+
+        if (!order) {
+            console.error('Unknown order:', orderId);
+            return null;
+        }
+        if (!this.canTransitionOrder(order, status)) {
+            console.error(`Order ${orderId} cannot go from ${order.status} to ${status}`);
+            return null;
         }
 
-        return this.save('customers', customers);
+        const entry = { status, at: new Date().toISOString() };
+        if (note) entry.note = note;
+
+        const previous = order.status;
+        order.status = status;
+        order.statusHistory = [...(order.statusHistory || []), entry];
+        order.updatedAt = entry.at;
+
+        // A cancelled order puts its items back on the shelf and no longer counts in the stats
+        if (status === 'cancelled' && order.stockTaken) {
+            this.releaseStock(order.items);
+            order.stockTaken = false;
+        }
+        // An order cancelled while still queued offline is withdrawn instead of sent later
+        if (status === 'cancelled' && order.syncStatus === 'pending-sync') {
+            order.syncStatus = 'withdrawn';
+        }
+        if (status === 'cancelled') {
+            this.save('stats', summarizeOrders(orders));
+        }
+        this.save('orders', orders);
+        eventBus.emit('order_status_changed', { orderId, from: previous, to: status });
+        return order;
     }
 
-    loadCustomers() {
-        return this.load('customers') || [];
+    // Inventory operations: stock per product id; products without an entry are not tracked
+    loadInventory() {
+        return this.load('inventory') || {};
     }
 
-    getCustomerByEmail(email) {
-        const customers = this.loadCustomers();
-        return customers.find(c => c.email === email);
+    getStock(productId) {
+        const stock = this.loadInventory()[productId];
+        return Number.isInteger(stock) ? stock : null;
     }
 
-    // Settings operations
-    saveSettings(settings) {
-        return this.save('settings', settings);
+    setStock(productId, quantity) {
+        const inventory = this.loadInventory();
+        inventory[productId] = Math.max(0, parseInt(quantity) || 0);
+        return this.save('inventory', inventory);
     }
 
-    loadSettings() {
-        return this.load('settings') || {
-            currency: 'KRW',
-            language: 'en',
-            theme: 'modern',
-            notifications: true
-        };
+    // Products new to the catalog start at their `stock` from products.json; known ones keep their level
+    seedInventory(products) {
+        const inventory = this.loadInventory();
+        const missing = products.filter(product => !(product.id in inventory) && Number.isInteger(product.stock));
+        if (missing.length === 0) return;
+
+        missing.forEach(product => {
+            inventory[product.id] = product.stock;
+        });
+        this.save('inventory', inventory);
     }
 
-    // Stats operations
-    getStats() {
-        return this.load('stats') || {
-            totalOrders: 0,
-            totalRevenue: 0,
-            lastOrderDate: null
+    // Units of each product used by cart or order lines, counting what's inside custom mix boxes
+    countUnits(items) {
+        const units = new Map();
+        const add = (productId, name, quantity) => {
+            const entry = units.get(productId) || { name, quantity: 0 };
+            entry.quantity += quantity;
+            units.set(productId, entry);
         };
+
+        items.forEach(item => {
+            const quantity = item.quantity || 1;
+            if (Array.isArray(item.contents)) {
+                item.contents.forEach(entry => add(entry.productId, entry.name, entry.quantity * quantity));
+            } else {
+                add(item.productId, item.name, quantity);
+            }
+        });
+        return units;
     }
 
-    // Database utilities
-    export() {
-        const data = {};
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith(this.dbName)) {
-                data[key] = localStorage.getItem(key);
+    // Lines asking for more than is in stock: [{ productId, name, requested, available }]
+    checkStock(items) {
+        const inventory = this.loadInventory();
+        const shortages = [];
+
+        this.countUnits(items).forEach((entry, productId) => {
+            const available = inventory[productId];
+            if (Number.isInteger(available) && entry.quantity > available) {
+                shortages.push({ productId, name: entry.name, requested: entry.quantity, available });
             }
-        }
-        return JSON.stringify(data, null, 2);
+        });
+        return shortages;
     }
 
-    import(jsonData) {
-        try {
-            const data = JSON.parse(jsonData);
-            Object.keys(data).forEach(key => {
-                localStorage.setItem(key, data[key]);
-            });
-            return true;
-        } catch (error) {
-            console.error('Import error:', error);
-            return false;
-        }
+    takeStock(items) {
+        this.adjustStock(items, -1);
     }
 
-    clear() {
-        const keys = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith(this.dbName)) {
-                keys.push(key);
+    releaseStock(items) {
+        this.adjustStock(items, 1);
+    }
+
+    adjustStock(items, direction) {
+        const inventory = this.loadInventory();
+        this.countUnits(items).forEach((entry, productId) => {
+            if (Number.isInteger(inventory[productId])) {
+                inventory[productId] = Math.max(0, inventory[productId] + direction * entry.quantity);
             }
+        });
+        this.save('inventory', inventory);
+    }
+
+    // Orders waiting to be sent to settings.orderEndpoint; ones the customer cancelled are never sent
+    getUnsyncedOrders() {
+        return this.loadOrders().filter(order => order.syncStatus === 'pending-sync' && order.status !== 'cancelled');
+    }
+
+    updateOrderSync(orderId, changes) {
+        const orders = this.loadOrders();
+        const order = orders.find(o => o.id === orderId);
+
+        if (!order) {
+            console.error('Unknown order:', orderId);
+            return null;
         }
-        keys.forEach(key => localStorage.removeItem(key));
-        console.log('🗑️ Database cleared');
+
+        Object.assign(order, changes);
+        this.save('orders', orders);
+        return order;
     }
 
-    getSize() {
-        let size = 0;
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key.startsWith(this.dbName)) {
-                size += localStorage.getItem(key).length;
-            }
+    // Customer operations
+    findCustomer(customers, email) {
+        const key = String(email || '').trim().toLowerCase();
+        return key ? customers.find(c => String(c.email || '').toLowerCase() === key) : undefined;
+    }
+
+    saveCustomer(customer) {
+        const customers = this.loadCustomers();
+        const existing = this.findCustomer(customers, customer.email);
+        const { address, ...details } = customer;
+        const target = existing || details;
+
+        if (existing) {
+            Object.assign(existing, details);
+            existing.updatedAt = new Date().toISOString();
+        } else {
+            target.id = `CUST-${Date.now()}`;
+            target.createdAt = new Date().toISOString();
+            target.addresses = [];
+            target.preferredPayment = target.preferredPayment || null;
+            target.remember = Boolean(target.remember);
+            customers.push(target);
         }
-        return (size / 1024).toFixed(2) + ' KB';
+
+        // The last address used stays on the record for older readers; every one used goes to the list
+        if (address) {
+            target.address = address;
+            this.addAddressTo(target, { label: customer.addressLabel, address });
+        }
+        delete target.addressLabel;
+
+        return this.save('customers', customers);
     }
-}
 
-// ====================================
-// Shopping Cart with Database
-// ====================================
+    loadCustomers() {
+        return this.load('customers') || [];
+    }
 
-class ShoppingCart {
-    constructor(database) {
-        this.db = database;
-        this.items = [];
-        this.init();
+    getCustomerByEmail(email) {
+        return this.findCustomer(this.loadCustomers(), email);
     }
 
-    init() {
-        this.loadFromStorage();
-        this.attachEventListeners();
-        this.updateCartUI();
+    getRememberedCustomers() {
+        return this.loadCustomers().filter(customer => customer.remember);
     }
 
-    loadFromStorage() {
-        this.items = this.db.loadCart();
+    addAddressTo(customer, { label, address }) {
+        customer.addresses = Array.isArray(customer.addresses) ? customer.addresses : [];
+        const text = String(address || '').trim();
+        const known = customer.addresses.find(entry => entry.address.trim() === text);
+
+        if (known) {
+            if (label) known.label = label.trim();
+            return known;
+        }
+
+        const entry = { id: `ADDR-${Date.now()}-${customer.addresses.length + 1}`, label: (label || '').trim(), address: text };
+        customer.addresses.push(entry);
+        return entry;
     }
 
-    saveToStorage() {
-        this.db.saveCart(this.items);
+    addCustomerAddress(email, { label, address }) {
+        const customers = this.loadCustomers();
+        const customer = this.findCustomer(customers, email);
+        if (!customer || !String(address || '').trim()) return null;
+
+        const entry = this.addAddressTo(customer, { label, address });
+        customer.updatedAt = new Date().toISOString();
+        this.save('customers', customers);
+        return entry;
+    }
+
+    removeCustomerAddress(email, addressId) {
+        const customers = this.loadCustomers();
+        const customer = this.findCustomer(customers, email);
+        if (!customer || !Array.isArray(customer.addresses)) return false;
+
+        const removed = customer.addresses.find(entry => entry.id === addressId);
+        customer.addresses = customer.addresses.filter(entry => entry.id !== addressId);
+        if (removed && customer.address === removed.address) {
+            const last = customer.addresses[customer.addresses.length - 1];
+            customer.address = last ? last.address : '';
+        }
+        customer.updatedAt = new Date().toISOString();
+        return this.save('customers', customers);
     }
 
-    addItem(name, price, category) {
-        this.items.push({
-            id: Date.now() + Math.random(),
-            name,
-            price: parseInt(price),
-            category
+    // Removes the profile and strips the customer's contact details from their past orders.
+    // Orders themselves stay, so totals and stock history remain correct.
+    deleteCustomer(email) {
+        const customers = this.loadCustomers();
+        const customer = this.findCustomer(customers, email);
+        if (!customer) return false;
+
+        this.save('customers', customers.filter(c => c !== customer));
+
+        const key = customer.email.toLowerCase();
+        const orders = this.loadOrders();
+        orders.forEach(order => {
+            if (String(order.email || '').toLowerCase() !== key) return;
+            Object.assign(order, { name: 'Deleted customer', phone: '', email: '', address: '', notes: '', anonymized: true });
+            if (order.gift) {
+                Object.assign(order.gift, { recipientName: '', recipientPhone: '', recipientAddress: '', message: '' });
+            }
         });
-        this.saveToStorage();
-        this.updateCartUI();
-        this.showNotification(`${name} added to cart!`);
+        this.save('orders', orders);
+
+        const reviews = this.loadReviews();
+        reviews.forEach(review => {
+            if (String(review.email || '').toLowerCase() !== key) return;
+            Object.assign(review, { name: 'Deleted customer', email: '', anonymized: true });
+        });
+        this.save('reviews', reviews);
+
+        console.log(`🗑️ Customer data deleted: ${customer.id}`);
+        return true;
     }
 
-    removeItem(id) {
-        this.items = this.items.filter(item => item.id !== id);
-        this.saveToStorage();
-        this.updateCartUI();
+    // Wishlist operations
+    loadWishlist() {
+        return this.load('wishlist') || [];
     }
 
-    clearCart() {
-        this.items = [];
-        this.saveToStorage();
-        this.updateCartUI();
+    isWishlisted(productId) {
+        return this.loadWishlist().some(entry => entry.productId === productId);
     }
 
-    getTotal() {
-        return this.items.reduce((sum, item) => sum + item.price, 0);
+    addToWishlist(productId) {
+        const wishlist = this.loadWishlist();
+        if (wishlist.some(entry => entry.productId === productId)) return false;
+
+        wishlist.push({ productId, addedAt: new Date().toISOString() });
+        return this.save('wishlist', wishlist);
     }
 
-    getCount() {
-        return this.items.length;
+    removeFromWishlist(productId) {
+        return this.save('wishlist', this.loadWishlist().filter(entry => entry.productId !== productId));
     }
 
-    updateCartUI() {
-        const cartCount = document.querySelector('.cart-count');
-        if (cartCount) {
-            cartCount.textContent = this.getCount();
-        }
+    // Review operations: one review per customer and product. Hidden reviews stay stored for
+    // moderation but are left out of product pages and ratings.
+    loadReviews() {
+        return this.load('reviews') || [];
+    }
 
-        const cartItemsContainer = document.getElementById('cartItems');
-        const totalPriceElement = document.querySelector('.total-price');
-        const checkoutButton = document.getElementById('checkoutButton');
+    getReviews(productId, { includeHidden = false } = {}) {
+        return this.loadReviews().filter(review => review.productId === productId && (includeHidden || !review.hidden));
+    }
 
-        if (this.items.length === 0) {
-            cartItemsContainer.innerHTML = `
-                <div class="empty-cart">
-                    <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
-                        <path d="M6 2L3 6v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2V6l-3-4z"></path>
-                        <line x1="3" y1="6" x2="21" y2="6"></line>
-                        <path d="M16 10a4 4 0 0 1-8 0"></path>
-                    </svg>
-                    <p>Cart is Empty</p>
-                </div>
-            `;
-            if (totalPriceElement) totalPriceElement.textContent = '₩0';
-            if (checkoutButton) checkoutButton.disabled = true;
-        } else {
-            const itemsHTML = this.items.map(item => `
-                <div class="cart-item">
-                    <div class="cart-item-info">
-                        <div class="cart-item-name">${item.name}</div>
-                        <div class="cart-item-price">₩${item.price.toLocaleString()}</div>
-                        <div class="cart-item-category">${this.getCategoryName(item.category)}</div>
-                    </div>
-                    <button class="cart-item-remove" data-id="${item.id}">×</button>
-                </div>
-            `).join('');
+    // Average rating (one decimal) and count of visible reviews, keyed by product id
+    getRatingSummaries() {
+        const totals = {};
+        this.loadReviews()
+            .filter(review => !review.hidden)
+            .forEach(review => {
+                const entry = totals[review.productId] || (totals[review.productId] = { sum: 0, count: 0 });
+                entry.sum += review.rating;
+                entry.count++;
+            });
 
-            cartItemsContainer.innerHTML = itemsHTML;
-            if (totalPriceElement) totalPriceElement.textContent = `₩${this.getTotal().toLocaleString()}`;
-            if (checkoutButton) checkoutButton.disabled = false;
+        const summaries = {};
+        Object.entries(totals).forEach(([productId, { sum, count }]) => {
+            summaries[productId] = { average: Math.round(sum / count * 10) / 10, count };
+        });
+        return summaries;
+    }
 
-            const removeButtons = cartItemsContainer.querySelectorAll('.cart-item-remove');
-            removeButtons.forEach(btn => {
-                btn.addEventListener('click', () => {
-                    this.removeItem(parseFloat(btn.dataset.id));
-                });
+    getRatingSummary(productId) {
+        return this.getRatingSummaries()[productId] || { average: 0, count: 0 };
+    }
+
+    orderIncludes(order, productId) {
+        return order.items.some(item => item.productId === productId ||
+            (Array.isArray(item.contents) && item.contents.some(entry => entry.productId === productId)));
+    }
+
+    // Customers whose saved orders include the product (on its own or in a custom box), newest order first
+    getVerifiedBuyers(productId) {
+        const buyers = new Map();
+        this.loadOrders()
+            .filter(order => order.status !== 'cancelled' && !order.anonymized && order.email)
+            .filter(order => this.orderIncludes(order, productId))
+            .reverse()
+            .forEach(order => {
+                const key = order.email.toLowerCase();
+                if (!buyers.has(key)) {
+                    buyers.set(key, { email: order.email, name: order.name, orderId: order.id });
+                }
             });
+        return [...buyers.values()];
+    }
+
+    // The buyer behind an order number and email, if that order includes the product
+    findVerifiedBuyer(productId, orderId, email) {
+        const order = this.getOrderById(String(orderId || '').trim().toUpperCase());
+        const matches = order && order.status !== 'cancelled' && !order.anonymized && order.email &&
+            order.email.toLowerCase() === String(email || '').trim().toLowerCase() &&
+            this.orderIncludes(order, productId);
+        return matches ? { email: order.email, name: order.name, orderId: order.id } : null;
+    }
+
+    findReview(productId, email) {
+        const key = String(email || '').toLowerCase();
+        return this.loadReviews().find(review => review.productId === productId && review.email.toLowerCase() === key) || null;
+    }
+
+    // Adds or updates the customer's review; returns null unless the order is theirs and includes the product
+    saveReview({ productId, orderId, email, rating, text }) {
+        const buyer = this.findVerifiedBuyer(productId, orderId, email);
+        if (!buyer || !Number.isInteger(rating) || rating < 1 || rating > 5) return null;
+
+        const reviews = this.loadReviews();
+        const now = new Date().toISOString();
+        let review = reviews.find(entry => entry.productId === productId && entry.email.toLowerCase() === buyer.email.toLowerCase());
+        if (review) {
+            Object.assign(review, { rating, text, updatedAt: now });
+        } else {
+            review = {
+                id: `REV-${Date.now()}`,
+                productId,
+                orderId: buyer.orderId,
+                email: buyer.email,
+                name: buyer.name,
+                rating,
+                text,
+                hidden: false,
+                reports: [],
+                createdAt: now
+            };
+            reviews.push(review);
         }
+
+        this.save('reviews', reviews);
+        return review;
     }
 
-    getCategoryName(category) {
-        const names = {
-            'chocolate': 'Chocolate',
-            'jelly': 'Jelly',
-            'mix': 'Mix'
+    updateReview(reviewId, update) {
+        const reviews = this.loadReviews();
+        const review = reviews.find(entry => entry.id === reviewId);
+        if (!review) {
+            console.error('Unknown review:', reviewId);
+            return null;
+        }
+
+        update(review);
+        this.save('reviews', reviews);
+        return review;
+    }
+
+    reportReview(reviewId, reason = '') {
+        return this.updateReview(reviewId, review => {
+            review.reports = [...(review.reports || []), { reason, at: new Date().toISOString() }];
+        });
+    }
+
+    setReviewHidden(reviewId, hidden) {
+        return this.updateReview(reviewId, review => {
+            review.hidden = hidden;
+        });
+    }
+
+    clearReviewReports(reviewId) {
+        return this.updateReview(reviewId, review => {
+            review.reports = [];
+        });
+    }
+
+    // Settings operations
+    saveSettings(settings) {
+        return this.save('settings', settings);
+    }
+
+    loadSettings() {
+        return { ...DEFAULT_SETTINGS, ...(this.load('settings') || {}) };
+    }
+
+    // Stats operations
+    getStats() {
+        return this.load('stats') || { ...DEFAULT_STATS };
+    }
+
+    // Backup & restore
+    createBackup() {
+        const tables = {};
+        Object.keys(BACKUP_TABLES).forEach(table => {
+            tables[table] = this.load(table);
+        });
+        tables.settings = withoutPrivateSettings(tables.settings);
+
+        return {
+            format: BACKUP_FORMAT,
+            schemaVersion: this.version,
+            exportedAt: new Date().toISOString(),
+            tables,
+            checksum: checksum(JSON.stringify(tables))
         };
-        return names[category] || category;
     }
 
-    showNotification(message) {
-        const existing = document.querySelector('.success-message');
-        if (existing) existing.remove();
+    validateBackup(backup) {
+        const errors = [];
 
-        const notification = document.createElement('div');
-        notification.className = 'success-message';
-        notification.textContent = message;
-        document.body.appendChild(notification);
+        if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_FORMAT) {
+            return { valid: false, errors: [t('backup.errorFormat')] };
+        }
+        if (!backup.tables || typeof backup.tables !== 'object') {
+            return { valid: false, errors: [t('backup.errorNoTables')] };
+        }
+        if (backup.checksum !== checksum(JSON.stringify(backup.tables))) {
+            errors.push(t('backup.errorChecksum'));
+        }
+        if (typeof backup.schemaVersion !== 'string') {
+            errors.push(t('backup.errorNoVersion'));
+        } else if (compareVersions(backup.schemaVersion, this.version) > 0) {
+            errors.push(t('backup.errorNewer', { version: backup.schemaVersion, current: this.version }));
+        }
 
-        setTimeout(() => {
-            notification.style.animation = 'slideOut 0.4s ease-out forwards';
-            setTimeout(() => notification.remove(), 400);
-        }, 3000);
+        Object.keys(backup.tables).forEach(table => {
+            const spec = BACKUP_TABLES[table];
+            const value = backup.tables[table];
+
+            if (!spec) {
+                errors.push(t('backup.errorUnknownTable', { table }));
+            } else if (value === null) {
+                return;
+            } else if (spec.type === 'list') {
+                if (!Array.isArray(value)) {
+                    errors.push(t('backup.errorList', { table }));
+                }
+            } else if (typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(t('backup.errorObject', { table }));
+            }
+        });
+
+        return { valid: errors.length === 0, errors };
     }
 
-    attachEventListeners() {
-        document.addEventListener('click', (e) => {
-            if (e.target.closest('.add-to-cart')) {
-                const button = e.target.closest('.add-to-cart');
-                const name = button.dataset.name;
-                const price = button.dataset.price;
-                const category = button.dataset.category;
+    // Runs an older backup through the schema migrations in memory so it matches this version
+    upgradeBackupTables(backup) {
+        if (compareVersions(backup.schemaVersion, this.version) === 0) {
+            return cloneData(backup.tables);
+        }
 
-                this.addItem(name, price, category);
+        const scratch = new ChocoDatabase(new MemoryStorageAdapter({
+            ...backup.tables,
+            _initialized: true,
+            _version: backup.schemaVersion
+        }));
+        scratch.init();
 
-                const originalHTML = button.innerHTML;
-                button.innerHTML = '✓ Added';
-                button.style.background = 'linear-gradient(135deg, #98FF98, #00FA9A)';
-                setTimeout(() => {
-                    button.innerHTML = originalHTML;
-                    button.style.background = '';
-                }, 1500);
+        if (scratch.migrationError) {
+            throw new Error(scratch.migrationError);
+        }
+
+        // Tables the backup didn't have are left out, not replaced by the empty ones migrations add
+        const tables = {};
+        Object.keys(BACKUP_TABLES).forEach(table => {
+            const present = backup.tables[table] !== null && backup.tables[table] !== undefined;
+            tables[table] = present ? scratch.load(table) : null;
+        });
+        return tables;
+    }
+
+    mergeTables(tables, mode) {
+        const merged = {};
+
+        Object.keys(BACKUP_TABLES).forEach(table => {
+            const spec = BACKUP_TABLES[table];
+            const incoming = tables[table];
+            const current = this.load(table);
+
+            if (incoming === null || incoming === undefined) {
+                merged[table] = current;
+            } else if (mode === 'replace' || current === null) {
+                merged[table] = incoming;
+            } else if (spec.type === 'list') {
+                const records = current.slice();
+                incoming.forEach(record => {
+                    const index = records.findIndex(r => r[spec.key] === record[spec.key]);
+                    if (index === -1) {
+                        records.push(record);
+                    } else {
+                        records[index] = { ...records[index], ...record };
+                    }
+                });
+                merged[table] = records;
+            } else {
+                merged[table] = { ...current, ...incoming };
             }
         });
 
-        const cartToggle = document.getElementById('cartToggle');
-        if (cartToggle) {
-            cartToggle.addEventListener('click', () => {
-                this.toggleCart();
-            });
+        // Stats are derived from orders, so keep them consistent after a merge
+        if (mode === 'merge' && Array.isArray(merged.orders)) {
+            merged.stats = summarizeOrders(merged.orders);
         }
 
-        const cartClose = document.getElementById('cartClose');
-        if (cartClose) {
-            cartClose.addEventListener('click', () => {
-                this.toggleCart();
-            });
+        return merged;
+    }
+
+    diffTables(nextTables) {
+        const diff = {};
+
+        Object.keys(BACKUP_TABLES).forEach(table => {
+            const spec = BACKUP_TABLES[table];
+            const current = this.load(table);
+            const next = nextTables[table];
+            const entry = { added: 0, updated: 0, removed: 0, unchanged: 0 };
+
+            if (spec.type === 'list') {
+                const currentRecords = Array.isArray(current) ? current : [];
+                const nextRecords = Array.isArray(next) ? next : [];
+
+                nextRecords.forEach(record => {
+                    const existing = currentRecords.find(r => r[spec.key] === record[spec.key]);
+                    if (!existing) entry.added++;
+                    else if (JSON.stringify(existing) !== JSON.stringify(record)) entry.updated++;
+                    else entry.unchanged++;
+                });
+                entry.removed = currentRecords
+                    .filter(record => !nextRecords.some(r => r[spec.key] === record[spec.key])).length;
+            } else {
+                const keys = new Set([...Object.keys(current || {}), ...Object.keys(next || {})]);
+                keys.forEach(key => {
+                    const before = current ? current[key] : undefined;
+                    const after = next ? next[key] : undefined;
+                    if (before === undefined) entry.added++;
+                    else if (after === undefined) entry.removed++;
+                    else if (JSON.stringify(before) !== JSON.stringify(after)) entry.updated++;
+                    else entry.unchanged++;
+                });
+            }
+
+            diff[table] = entry;
+        });
+
+        return diff;
+    }
+
+    // Validates a backup and either previews (dryRun) or applies it; a failed apply is rolled back
+    importBackup(backup, { mode = 'merge', dryRun = false } = {}) {
+        const validation = this.validateBackup(backup);
+        if (!validation.valid) {
+            return { ok: false, errors: validation.errors };
         }
 
-        const checkoutButton = document.getElementById('checkoutButton');
-        if (checkoutButton) {
-            checkoutButton.addEventListener('click', () => {
-                this.openCheckoutModal();
-            });
+        let upgradedTables;
+        try {
+            upgradedTables = this.upgradeBackupTables(backup);
+            upgradedTables.settings = withoutPrivateSettings(upgradedTables.settings);
+        } catch (error) {
+            return { ok: false, errors: [t('backup.errorUpgrade', { error: error.message })] };
         }
 
-        const overlay = document.getElementById('overlay');
-        if (overlay) {
-            overlay.addEventListener('click', () => {
-                this.closeCart();
-                this.closeCheckoutModal();
+        // Record keys are checked after the upgrade, since older versions may not have had them
+        const recordErrors = Object.keys(BACKUP_TABLES)
+            .filter(table => BACKUP_TABLES[table].type === 'list' && Array.isArray(upgradedTables[table]))
+            .filter(table => upgradedTables[table]
+                .some(record => !record || typeof record !== 'object' || !record[BACKUP_TABLES[table].key]))
+            .map(table => t('backup.errorRecordKey', { table, key: BACKUP_TABLES[table].key }));
+        if (recordErrors.length > 0) {
+            return { ok: false, errors: recordErrors };
+        }
+
+        const nextTables = this.mergeTables(upgradedTables, mode);
+
+        const diff = this.diffTables(nextTables);
+        if (dryRun) {
+            return { ok: true, dryRun: true, mode, diff };
+        }
+
+        const snapshot = this.snapshot();
+        try {
+            Object.keys(nextTables).forEach(table => {
+                if (nextTables[table] === null) {
+                    this.delete(table);
+                } else if (!this.save(table, nextTables[table])) {
+                    throw new Error(t('backup.errorWrite', { table }));
+                }
             });
+            console.log(`📥 Backup imported (${mode})`);
+            return { ok: true, mode, diff };
+        } catch (error) {
+            this.restoreSnapshot(snapshot);
+            console.error('Import error, changes rolled back:', error);
+            return { ok: false, errors: [error.message] };
         }
     }
 
-    toggleCart() {
-        const cartSidebar = document.getElementById('cartSidebar');
-        const overlay = document.getElementById('overlay');
+    // Database utilities
+    export() {
+        return JSON.stringify(this.createBackup(), null, 2);
+    }
+
+    import(jsonData, options = {}) {
+        try {
+            const result = this.importBackup(JSON.parse(jsonData), { mode: 'replace', ...options });
+            if (!result.ok) {
+                console.error('Import error:', result.errors);
+            }
+            return result.ok;
+        } catch (error) {
+            console.error('Import error:', error);
+            return false;
+        }
+    }
+
+    clear() {
+        this.adapter.keys().forEach(key => this.adapter.remove(key));
+        console.log('🗑️ Database cleared');
+    }
+
+    getSize() {
+        const size = this.adapter.keys()
+            .reduce((sum, key) => sum + JSON.stringify(this.adapter.get(key)).length, 0);
+        return (size / 1024).toFixed(2) + ' KB';
+    }
+}
+
+// ====================================
+// Localization
+// ====================================
+
+const LANGUAGES = {
+    en: { label: 'English', locale: 'en-US' },
+    ko: { label: '한국어', locale: 'ko-KR' },
+    uk: { label: 'Українська', locale: 'uk-UA' }
+};
+
+// Prices are stored in KRW; rates convert 1 KRW into each display currency
+const DEFAULT_EXCHANGE_RATES = {
+    KRW: 1,
+    USD: 0.00072,
+    EUR: 0.00066,
+    UAH: 0.03
+};
+
+const MESSAGES = {
+    en: {
+        'nav.chocolate': 'Chocolate',
+        'nav.jelly': 'Jelly',
+        'nav.mixes': 'Mixes',
+        'mode.personal': 'Treat Yourself',
+        'mode.gift': 'Send a Smile',
+        'header.orders': 'My Orders',
+        'header.backup': 'Backup',
+        'header.wishlist': 'Wishlist',
+        'header.profile': 'My Data',
+        'header.language': 'Language',
+        'header.currency': 'Currency',
+        'common.close': 'Close',
+        'hero.title': 'Premium Chocolate & Candy Collection',
+        'hero.text': 'Exquisite flavors from around the world, delivered across Korea',
+        'hero.cta': 'Shop Treats',
+        'section.chocolate': 'Chocolate Collections',
+        'section.chocolateCount': 'exclusive premium chocolate sets',
+        'section.jelly': 'Jelly & Gummy Collections',
+        'section.jellyCount': 'premium jelly and gummy sets',
+        'section.mixes': 'Mix & Combo Sets',
+        'section.mixesCount': 'unique chocolate and jelly mixes',
+        'admin.title': 'Admin Dashboard',
+        'admin.passcode': 'Admin passcode',
+        'admin.unlock': 'Unlock',
+        'admin.errorShort': 'Passcode must be at least 4 characters',
+        'admin.errorNotSetUp': 'Admin access is not set up: add a passcodeHash to data/admin.json',
+        'admin.errorWrong': 'Wrong passcode',
+        'admin.tabOrders': 'Orders',
+        'admin.tabCustomers': 'Customers',
+        'admin.tabReviews': 'Reviews',
+        'admin.tabRevenue': 'Revenue',
+        'admin.filterStatus': 'Status',
+        'admin.allStatuses': 'All statuses',
+        'admin.filterPayment': 'Payment method',
+        'admin.allPayments': 'All payments',
+        'admin.filterFrom': 'From date',
+        'admin.filterTo': 'To date',
+        'admin.exportCsv': 'Export CSV',
+        'admin.colOrder': 'Order',
+        'admin.colDate': 'Date',
+        'admin.colCustomer': 'Customer',
+        'admin.colDelivery': 'Delivery',
+        'admin.colPayment': 'Payment',
+        'admin.colTotal': 'Total',
+        'admin.colStatus': 'Status',
+        'admin.colName': 'Name',
+        'admin.colEmail': 'Email',
+        'admin.colPhone': 'Phone',
+        'admin.colOrders': 'Orders',
+        'admin.colSpent': 'Spent',
+        'admin.colSince': 'Since',
+        'admin.colProduct': 'Product',
+        'admin.colRating': 'Rating',
+        'admin.colReview': 'Review',
+        'admin.colReports': 'Reports',
+        'admin.pickup': 'Pickup',
+        'admin.noOrders': 'No orders match these filters',
+        'admin.noCustomers': 'No customers yet',
+        'admin.noReviews': 'No reviews yet',
+        'admin.reviewHidden': 'Hidden',
+        'admin.reviewVisible': 'Visible',
+        'admin.hide': 'Hide',
+        'admin.show': 'Show',
+        'admin.dismissReports': 'Dismiss reports',
+        'admin.totalOrders': 'Total orders',
+        'admin.totalRevenue': 'Total revenue',
+        'admin.lastOrder': 'Last order',
+        'admin.revenueByDay': 'Revenue by day (last {days} days)',
+        'admin.revenueByCategory': 'Revenue by category',
+        'status.pending': 'Pending',
+        'status.confirmed': 'Confirmed',
+        'status.shipped': 'Shipped',
+        'status.delivered': 'Delivered',
+        'status.cancelled': 'Cancelled',
+        'orders.empty': 'You haven\'t placed any orders yet.',
+        'orders.items': '{count} items',
+        'orders.pendingSync': '⏳ Waiting to sync',
+        'orders.details': 'Details',
+        'orders.back': '← All orders',
+        'orders.placed': 'Placed {date}',
+        'orders.giftFor': '🎁 Gift for {name}',
+        'orders.giftWrapped': 'Gift wrapped ({fee})',
+        'orders.noGiftWrap': 'No gift wrap',
+        'orders.deliveryTime': 'Delivery Time',
+        'orders.pickupTime': 'Pickup Time',
+        'orders.history': 'Status History',
+        'orders.reorder': 'Reorder',
+        'orders.giftReceipt': 'Gift Receipt',
+        'orders.cancel': 'Cancel Order',
+        'orders.cancelConfirm': 'Cancel this order?',
+        'giftReceipt.title': 'Gift Receipt {id}',
+        'giftReceipt.heading': 'A gift for {name} 🎁',
+        'giftReceipt.meta': 'From {name} · Order {id} · {date}',
+        'giftReceipt.contents': 'Inside this parcel',
+        'giftReceipt.footer': 'With love from ChocoWorld',
+        'profile.empty': 'Nothing is stored about you on this device.',
+        'profile.intro': 'Your details are kept only in this browser and used to fill in checkout. You can remove them at any time.',
+        'profile.remembered': 'Remembered',
+        'profile.email': 'Email',
+        'profile.phone': 'Phone',
+        'profile.payment': 'Payment',
+        'profile.orders': 'Orders',
+        'profile.since': 'Since',
+        'profile.addresses': 'Saved addresses',
+        'profile.noAddresses': 'No saved addresses.',
+        'profile.removeAddress': 'Remove',
+        'profile.forget': 'Stop remembering me',
+        'profile.remember': 'Remember me at checkout',
+        'profile.delete': 'Delete my data',
+        'profile.deleteConfirm': 'Delete everything stored for {email}? Your past orders stay, but without your name and contact details.',
+        'profile.analyticsTitle': 'Usage statistics',
+        'profile.analyticsAllowed': 'Allowed',
+        'profile.analyticsOff': 'Off',
+        'profile.analyticsText': 'Which pages and products you look at and how far you get through checkout, without your name or contact details.',
+        'profile.analyticsStop': 'Stop sharing usage statistics',
+        'profile.analyticsShare': 'Share usage statistics',
+        'backup.title': 'Backup & Restore',
+        'backup.export': 'Export',
+        'backup.exportText': 'Download your cart, orders, customers and settings as a versioned JSON file.',
+        'backup.download': 'Download Backup',
+        'backup.import': 'Import',
+        'backup.file': 'Backup File',
+        'backup.mode': 'Import Mode',
+        'backup.merge': 'Merge with current data',
+        'backup.replace': 'Replace current data',
+        'backup.replaceConfirm': 'Replace all current data with this backup?',
+        'backup.invalidJson': 'The file is not valid JSON',
+        'backup.errorFormat': 'Not a ChocoWorld backup file',
+        'backup.errorNoTables': 'Backup has no tables',
+        'backup.errorChecksum': 'Checksum mismatch: the file was modified or is incomplete',
+        'backup.errorNoVersion': 'Backup has no schema version',
+        'backup.errorNewer': 'Backup version {version} is newer than this app ({current})',
+        'backup.errorUnknownTable': 'Unknown table "{table}"',
+        'backup.errorList': 'Table "{table}" must be a list',
+        'backup.errorObject': 'Table "{table}" must be an object',
+        'backup.errorUpgrade': 'Could not upgrade backup: {error}',
+        'backup.errorRecordKey': 'Every record in "{table}" needs a "{key}"',
+        'backup.errorWrite': 'Could not write "{table}"',
+        'backup.tables.products': 'Products',
+        'backup.tables.cart': 'Cart',
+        'backup.tables.orders': 'Orders',
+        'backup.tables.customers': 'Customers',
+        'backup.tables.settings': 'Settings',
+        'backup.tables.stats': 'Statistics',
+        'backup.tables.inventory': 'Inventory',
+        'backup.tables.wishlist': 'Wishlist',
+        'backup.tables.reviews': 'Reviews',
+        'backup.meta': 'Backup from {date}, version {version}',
+        'backup.unknownDate': 'unknown date',
+        'backup.table': 'Table',
+        'backup.added': 'Added',
+        'backup.updated': 'Updated',
+        'backup.removed': 'Removed',
+        'backup.unchanged': 'Unchanged',
+        'product.addToCart': 'Add to Cart',
+        'product.added': '✓ Added',
+        'product.soldOut': 'Sold out',
+        'product.lowStock': 'Only {count} left',
+        'stock.soldOut': '{name} is sold out',
+        'stock.limit': 'Only {count} of {name} available',
+        'stock.shortage': '{name}: only {count} left',
+        'category.chocolate': 'Chocolate',
+        'category.jelly': 'Jelly',
+        'category.mix': 'Mix',
+        'search.label': 'Search products',
+        'search.placeholder': 'Search chocolate, gummies, mixes…',
+        'search.allCategories': 'All categories',
+        'search.anyPrice': 'Any price',
+        'search.anyWeight': 'Any weight',
+        'search.anyBadge': 'Any label',
+        'search.sortFeatured': 'Featured',
+        'search.sortPriceAsc': 'Price: low to high',
+        'search.sortPriceDesc': 'Price: high to low',
+        'search.sortName': 'Name A–Z',
+        'search.sortPopular': 'Most popular',
+        'search.sortRating': 'Best rated',
+        'search.clear': 'Clear',
+        'search.title': 'Search Results',
+        'search.count': '{count} matching products',
+        'search.empty': 'No products match your search. Try fewer filters.',
+        'search.under': 'Under {max}',
+        'search.over': '{min} and up',
+        'search.anyDiet': 'Any diet',
+        'search.freeFrom': 'Free from:',
+        'diet.vegetarian': 'Vegetarian',
+        'diet.halal': 'Halal-friendly',
+        'allergen.nuts': 'Nuts',
+        'allergen.gluten': 'Gluten',
+        'allergen.dairy': 'Milk',
+        'allergen.gelatin': 'Gelatin',
+        'allergen.alcohol': 'Alcohol',
+        'detail.ingredients': 'Ingredients',
+        'detail.allergens': 'Allergens & diet',
+        'detail.contains': 'Contains',
+        'detail.containsList': 'Contains: {list}',
+        'detail.traces': 'May contain traces of: {list}',
+        'detail.noAllergens': 'No listed allergens.',
+        'detail.nutrition': 'Nutrition per 100g',
+        'detail.related': 'You may also like',
+        'detail.image': '{name}, image {index} of {count}',
+        'nutrition.energy': 'Energy',
+        'nutrition.fat': 'Fat',
+        'nutrition.saturates': 'of which saturates',
+        'nutrition.carbohydrates': 'Carbohydrates',
+        'nutrition.sugars': 'of which sugars',
+        'nutrition.protein': 'Protein',
+        'nutrition.salt': 'Salt',
+        'reviews.title': 'Reviews',
+        'reviews.summary': '{average} out of 5 · {count} review(s)',
+        'reviews.rated': 'Rated {average} out of 5 from {count} review(s)',
+        'reviews.stars': '{count} out of 5 stars',
+        'reviews.none': 'No reviews yet.',
+        'reviews.sortLabel': 'Sort reviews',
+        'reviews.sortNewest': 'Newest',
+        'reviews.sortHighest': 'Highest rated',
+        'reviews.sortLowest': 'Lowest rated',
+        'reviews.verified': 'Verified purchase',
+        'reviews.report': 'Report',
+        'reviews.reportReason': 'What is wrong with this review? (optional)',
+        'reviews.reportSend': 'Send report',
+        'reviews.reportCancel': 'Cancel',
+        'reviews.reported': 'Reported. Thank you!',
+        'reviews.locked': 'Only customers who bought this product can review it.',
+        'reviews.formTitle': 'Write a review',
+        'reviews.editTitle': 'Update your review',
+        'reviews.verifyIntro': 'Enter the order number and email from your receipt to review this product.',
+        'reviews.orderId': 'Order number',
+        'reviews.email': 'Email',
+        'reviews.verify': 'Continue',
+        'reviews.errorVerify': 'No order with this number and email includes this product',
+        'reviews.as': 'Reviewing as {name}',
+        'reviews.switch': 'Not you?',
+        'reviews.rating': 'Your rating',
+        'reviews.text': 'Your review',
+        'reviews.submit': 'Post review',
+        'reviews.errorRating': 'Choose a rating',
+        'reviews.errorText': 'Write at least {min} characters',
+        'reviews.thanks': 'Thank you for your review!',
+        'mixBox.bannerTitle': 'Build Your Own Box',
+        'mixBox.bannerText': 'Pick a box size and fill every slot with your favourite chocolate and jelly.',
+        'mixBox.start': 'Start Building',
+        'mixBox.title': 'Build Your Own Box',
+        'mixBox.size.small': 'Small Box',
+        'mixBox.size.medium': 'Medium Box',
+        'mixBox.size.large': 'Large Box',
+        'mixBox.sizeInfo': '{slots} slots · box {fee}',
+        'mixBox.slots': '{filled} of {total} slots filled',
+        'mixBox.emptySlot': 'Empty slot',
+        'mixBox.remove': 'Remove {name}',
+        'mixBox.add': 'Add',
+        'mixBox.weight': 'Weight',
+        'mixBox.price': 'Price',
+        'mixBox.addToCart': 'Add Box to Cart',
+        'mixBox.fillAll': 'Fill every slot to add the box to your cart.',
+        'mixBox.lineName': 'Custom {size}',
+        'cart.title': 'Shopping Cart',
+        'cart.empty': 'Cart is Empty',
+        'cart.stale': 'In your cart for {days} days',
+        'cart.total': 'Total:',
+        'cart.checkout': 'Checkout',
+        'cart.remove': 'Remove {name}',
+        'cart.decrease': 'Decrease quantity of {name}',
+        'cart.increase': 'Increase quantity of {name}',
+        'cart.quantity': 'Quantity of {name}',
+        'cart.toggle': 'Shopping cart, {count} items',
+        'cart.updated': '{name}: quantity {quantity}. Cart total {total}',
+        'cart.removed': '{name} removed. Cart total {total}',
+        'wishlist.title': 'Wishlist',
+        'wishlist.sharedTitle': 'Shared Wishlist',
+        'wishlist.add': 'Save {name} to wishlist',
+        'wishlist.remove': 'Remove {name} from wishlist',
+        'wishlist.empty': 'Tap the heart on any product to save it for later.',
+        'wishlist.moveToCart': 'Move to Cart',
+        'wishlist.share': 'Share List',
+        'wishlist.copied': 'Wishlist link copied',
+        'wishlist.copyPrompt': 'Copy this link to share your wishlist:',
+        'wishlist.sharedIntro': 'Someone shared {count} favourites with you.',
+        'wishlist.sharedEmpty': 'None of the products in this link are available any more.',
+        'wishlist.sendGift': 'Send as a Gift',
+        'wishlist.saveAll': 'Save to My Wishlist',
+        'wishlist.mine': '← My wishlist',
+        'checkout.title': 'Checkout',
+        'checkout.name': 'Full Name',
+        'checkout.phone': 'Phone',
+        'checkout.email': 'Email',
+        'checkout.address': 'Delivery Address',
+        'checkout.addressPlaceholder': 'City, street, building, apartment',
+        'checkout.payment': 'Payment Method',
+        'checkout.paymentSelect': 'Select payment method',
+        'checkout.paymentCash': 'Cash on delivery',
+        'checkout.paymentCard': 'Card on delivery',
+        'checkout.paymentOnline': 'Online payment',
+        'checkout.notes': 'Order Notes',
+        'checkout.notesPlaceholder': 'Additional preferences (optional)',
+        'checkout.profile': 'Returning customer?',
+        'checkout.profileSelect': 'Choose a saved profile',
+        'checkout.newAddress': 'New address',
+        'checkout.addressLabelPlaceholder': 'Name this address, e.g. Home (optional)',
+        'checkout.remember': 'Remember my details on this device',
+        'checkout.autofilled': 'Welcome back, {name}! We filled in your saved details.',
+        'delivery.legend': '🚚 Delivery',
+        'delivery.methodDelivery': 'Deliver to my address',
+        'delivery.methodPickup': 'Pick up in store',
+        'delivery.zone': 'Delivery Area',
+        'delivery.zoneSelect': 'Select your area',
+        'delivery.zoneOption': '{name} · {fee}',
+        'delivery.zoneFreeFrom': '{name} · {fee}, free from {min}',
+        'delivery.date': 'Date',
+        'delivery.slot': 'Time',
+        'delivery.slotSelect': 'Select a time',
+        'delivery.slotOption': '{from}–{to}',
+        'delivery.slotLeft': '{from}–{to} (only {count} left)',
+        'delivery.slotFull': '{from}–{to} (fully booked)',
+        'delivery.slotTooSoon': '{from}–{to} (too soon)',
+        'delivery.pickupNote': 'Collect your order at {address}. No shipping fee.',
+        'delivery.pickupLine': 'Store pickup',
+        'delivery.shippingZone': 'Shipping · {zone}',
+        'delivery.when': 'Delivery: {when}',
+        'delivery.pickupWhen': 'Pickup: {when}',
+        'checkout.summary': 'Your Order:',
+        'checkout.total': 'Total:',
+        'checkout.promoCode': 'Promo code',
+        'checkout.promoPlaceholder': 'Enter a code',
+        'checkout.promoApply': 'Apply',
+        'checkout.subtotal': 'Subtotal',
+        'checkout.shipping': 'Shipping',
+        'checkout.shippingFree': 'Free',
+        'promo.applied': 'Code {code} applied',
+        'promo.unknown': 'This promo code does not exist',
+        'promo.expired': 'This promo code has expired',
+        'promo.minimum': 'This code needs an order of at least {min}',
+        'promo.notApplicable': 'This code does not apply to the items in your cart',
+        'promo.percent': '{code}: {value}% off',
+        'promo.percentCategory': '{code}: {value}% off {category}',
+        'promo.fixed': '{code}: {amount} off',
+        'promo.freeShipping': '{code}: free shipping',
+        'promo.bundle': '{code}: buy {buy} get {get} free ({category})',
+        'checkout.submit': 'Place Order',
+        'checkout.giftLegend': '🎁 Gift Details',
+        'checkout.recipientName': 'Recipient Name',
+        'checkout.recipientNamePlaceholder': 'Who is it for?',
+        'checkout.recipientPhone': 'Recipient Phone',
+        'checkout.recipientAddress': 'Recipient Address',
+        'checkout.giftMessage': 'Gift Message',
+        'checkout.giftMessagePlaceholder': 'A few warm words (optional)',
+        'checkout.giftWrap': 'Gift wrap (+{fee})',
+        'checkout.giftNote': 'Prices are left off the printable gift receipt.',
+        'checkout.giftWrapLine': 'Gift wrap',
+        'checkout.errorEmpty': 'Your cart is empty. Add some treats before placing an order.',
+        'checkout.errorChanged': 'Your cart changed since you opened checkout. Please review your order and submit again.',
+        'checkout.errorInvalid': 'Please correct the highlighted fields.',
+        'checkout.sending': 'Sending your order…',
+        'checkout.errorUnreachable': 'We could not reach the ChocoWorld server, so the order was not placed. Your cart and details are kept. Please try again in a moment.',
+        'checkout.errorRejected': 'The shop could not accept this order: {reason}',
+        'checkout.errorStock': 'Some items ran out while you were shopping: {items}. Please update your cart.',
+        'validation.nameRequired': 'Please enter your full name',
+        'validation.nameShort': 'Name is too short',
+        'validation.nameDigits': 'Name should not contain digits',
+        'validation.phoneRequired': 'Please enter a phone number',
+        'validation.phoneChars': 'Use digits, spaces and an optional leading +',
+        'validation.phoneInternational': 'Enter the number with country code, e.g. +82 10 1234 5678',
+        'validation.phoneLocal': 'Enter a valid phone number, e.g. 010-1234-5678 or +82 10 1234 5678',
+        'validation.emailRequired': 'Please enter your email',
+        'validation.emailInvalid': 'Enter a valid email, e.g. name@example.com',
+        'validation.addressRequired': 'Please enter a delivery address',
+        'validation.addressParts': 'Include city, street and building, separated by commas',
+        'validation.addressNumber': 'Include a building number',
+        'validation.payment': 'Please choose a payment method',
+        'validation.notesLength': 'Notes can be at most {max} characters',
+        'validation.zoneRequired': 'Choose your delivery area',
+        'validation.dateRequired': 'Choose a date',
+        'validation.dateRange': 'Choose a date between {from} and {to}',
+        'validation.dateClosed': 'We are closed on this day. Please choose another date',
+        'validation.dateFull': 'No times are left on this day. Please choose another date',
+        'validation.slotRequired': 'Choose a time',
+        'validation.slotFull': 'This time is fully booked. Please choose another',
+        'validation.slotTooSoon': 'This time is too soon. We need {hours} hours to prepare your order',
+        'validation.giftMessageLength': 'Gift message can be at most {max} characters',
+        'notify.added': '{name} added to cart!',
+        'notify.orderPlaced': 'Order placed successfully!',
+        'notify.reorderAdded': 'Order items added to cart!',
+        'notify.reorderMissing': 'Added to cart. No longer available: {names}',
+        'notify.cartExpired': 'Removed {count} item(s) left in your cart for over {days} days',
+        'notify.cartSynced': 'Your cart was updated in another tab',
+        'notify.orderCancelled': 'Order cancelled',
+        'notify.orderStatus': 'Order {id} is now: {status}',
+        'notify.dataDeleted': 'Your saved details were deleted',
+        'notify.allowPopups': 'Allow pop-ups to print the gift receipt',
+        'notify.backupDownloaded': 'Backup downloaded',
+        'notify.backupImported': 'Backup imported',
+        'update.available': 'A new version of ChocoWorld is available.',
+        'update.reload': 'Reload',
+        'consent.text': 'May we collect anonymous usage statistics to improve the shop?',
+        'consent.allow': 'Allow',
+        'consent.decline': 'No thanks',
+        'offline.banner': 'You are offline. You can keep shopping, and orders will be sent when you reconnect.',
+        'success.contact': 'We\'ll contact you at {phone} to confirm.',
+        'success.followUp': 'You can follow your order under "My Orders".',
+        'success.queued': 'You are offline right now. The order is saved on this device and will be sent as soon as you are back online.',
+        'success.giftReceipt': 'A printable gift receipt for {name} is available there.',
+        'receipt.title': 'Receipt',
+        'receipt.confirmedTitle': 'Order Confirmed 🎉',
+        'receipt.thanks': 'Thank you, {name}! Your order has been placed.',
+        'receipt.notFound': 'Order {id} was not found',
+        'receipt.print': 'Print',
+        'receipt.download': 'Download',
+        'receipt.continue': 'Continue shopping',
+        'receipt.customer': 'Customer',
+        'receipt.gift': 'Gift for {name}',
+        'receipt.delivery': 'Delivery',
+        'receipt.pickup': 'Store pickup',
+        'receipt.payment': 'Payment',
+        'receipt.item': 'Item',
+        'receipt.quantity': 'Qty',
+        'receipt.price': 'Price',
+        'receipt.amount': 'Amount',
+        'receipt.total': 'Total',
+        'receipt.notes': 'Notes',
+        'receipt.footer': 'Thank you for shopping at ChocoWorld!'
+    },
+    ko: {
+        'nav.chocolate': '초콜릿',
+        'nav.jelly': '젤리',
+        'nav.mixes': '믹스',
+        'mode.personal': '나를 위한 선물',
+        'mode.gift': '미소 보내기',
+        'header.orders': '내 주문',
+        'header.backup': '백업',
+        'header.wishlist': '찜 목록',
+        'header.profile': '내 정보',
+        'header.language': '언어',
+        'header.currency': '통화',
+        'common.close': '닫기',
+        'hero.title': '프리미엄 초콜릿 & 캔디 컬렉션',
+        'hero.text': '세계 각국의 특별한 맛을 전국 어디든 배송해 드립니다',
+        'hero.cta': '쇼핑하기',
+        'section.chocolate': '초콜릿 컬렉션',
+        'section.chocolateCount': '종의 프리미엄 초콜릿 세트',
+        'section.jelly': '젤리 & 구미 컬렉션',
+        'section.jellyCount': '종의 프리미엄 젤리·구미 세트',
+        'section.mixes': '믹스 & 콤보 세트',
+        'section.mixesCount': '종의 초콜릿·젤리 믹스',
+        'admin.title': '관리자 대시보드',
+        'admin.passcode': '관리자 비밀번호',
+        'admin.unlock': '잠금 해제',
+        'admin.errorShort': '비밀번호는 4자 이상이어야 합니다',
+        'admin.errorNotSetUp': '관리자 접근이 설정되지 않았습니다: data/admin.json에 passcodeHash를 추가하세요',
+        'admin.errorWrong': '비밀번호가 올바르지 않습니다',
+        'admin.tabOrders': '주문',
+        'admin.tabCustomers': '고객',
+        'admin.tabReviews': '리뷰',
+        'admin.tabRevenue': '매출',
+        'admin.filterStatus': '상태',
+        'admin.allStatuses': '모든 상태',
+        'admin.filterPayment': '결제 방법',
+        'admin.allPayments': '모든 결제 방법',
+        'admin.filterFrom': '시작 날짜',
+        'admin.filterTo': '종료 날짜',
+        'admin.exportCsv': 'CSV 내보내기',
+        'admin.colOrder': '주문',
+        'admin.colDate': '날짜',
+        'admin.colCustomer': '고객',
+        'admin.colDelivery': '배송',
+        'admin.colPayment': '결제',
+        'admin.colTotal': '합계',
+        'admin.colStatus': '상태',
+        'admin.colName': '이름',
+        'admin.colEmail': '이메일',
+        'admin.colPhone': '전화번호',
+        'admin.colOrders': '주문 수',
+        'admin.colSpent': '구매액',
+        'admin.colSince': '가입일',
+        'admin.colProduct': '상품',
+        'admin.colRating': '평점',
+        'admin.colReview': '리뷰',
+        'admin.colReports': '신고',
+        'admin.pickup': '매장 픽업',
+        'admin.noOrders': '조건에 맞는 주문이 없습니다',
+        'admin.noCustomers': '아직 고객이 없습니다',
+        'admin.noReviews': '아직 리뷰가 없습니다',
+        'admin.reviewHidden': '숨김',
+        'admin.reviewVisible': '표시됨',
+        'admin.hide': '숨기기',
+        'admin.show': '표시하기',
+        'admin.dismissReports': '신고 해제',
+        'admin.totalOrders': '총 주문 수',
+        'admin.totalRevenue': '총 매출',
+        'admin.lastOrder': '최근 주문',
+        'admin.revenueByDay': '일별 매출 (최근 {days}일)',
+        'admin.revenueByCategory': '카테고리별 매출',
+        'status.pending': '접수됨',
+        'status.confirmed': '확인됨',
+        'status.shipped': '발송됨',
+        'status.delivered': '배송 완료',
+        'status.cancelled': '취소됨',
+        'orders.empty': '아직 주문 내역이 없습니다.',
+        'orders.items': '상품 {count}개',
+        'orders.pendingSync': '⏳ 동기화 대기 중',
+        'orders.details': '상세 보기',
+        'orders.back': '← 전체 주문',
+        'orders.placed': '주문일 {date}',
+        'orders.giftFor': '🎁 {name}님을 위한 선물',
+        'orders.giftWrapped': '선물 포장 ({fee})',
+        'orders.noGiftWrap': '선물 포장 없음',
+        'orders.deliveryTime': '배송 시간',
+        'orders.pickupTime': '픽업 시간',
+        'orders.history': '상태 기록',
+        'orders.reorder': '다시 주문',
+        'orders.giftReceipt': '선물 영수증',
+        'orders.cancel': '주문 취소',
+        'orders.cancelConfirm': '이 주문을 취소할까요?',
+        'giftReceipt.title': '선물 영수증 {id}',
+        'giftReceipt.heading': '{name}님을 위한 선물 🎁',
+        'giftReceipt.meta': '보낸 사람: {name} · 주문 {id} · {date}',
+        'giftReceipt.contents': '선물 구성',
+        'giftReceipt.footer': 'ChocoWorld가 사랑을 담아 보냅니다',
+        'profile.empty': '이 기기에 저장된 정보가 없습니다.',
+        'profile.intro': '입력하신 정보는 이 브라우저에만 저장되며 주문서 자동 입력에 사용됩니다. 언제든지 삭제할 수 있습니다.',
+        'profile.remembered': '기억됨',
+        'profile.email': '이메일',
+        'profile.phone': '전화번호',
+        'profile.payment': '결제',
+        'profile.orders': '주문',
+        'profile.since': '등록일',
+        'profile.addresses': '저장된 주소',
+        'profile.noAddresses': '저장된 주소가 없습니다.',
+        'profile.removeAddress': '삭제',
+        'profile.forget': '더 이상 기억하지 않기',
+        'profile.remember': '주문 시 내 정보 기억하기',
+        'profile.delete': '내 정보 삭제',
+        'profile.deleteConfirm': '{email}에 대해 저장된 모든 정보를 삭제할까요? 지난 주문은 남지만 이름과 연락처는 지워집니다.',
+        'profile.analyticsTitle': '이용 통계',
+        'profile.analyticsAllowed': '허용됨',
+        'profile.analyticsOff': '꺼짐',
+        'profile.analyticsText': '어떤 페이지와 상품을 보셨는지, 주문을 어디까지 진행하셨는지를 이름이나 연락처 없이 수집합니다.',
+        'profile.analyticsStop': '이용 통계 공유 중지',
+        'profile.analyticsShare': '이용 통계 공유하기',
+        'backup.title': '백업 및 복원',
+        'backup.export': '내보내기',
+        'backup.exportText': '장바구니, 주문, 고객 정보와 설정을 버전이 표시된 JSON 파일로 내려받습니다.',
+        'backup.download': '백업 다운로드',
+        'backup.import': '가져오기',
+        'backup.file': '백업 파일',
+        'backup.mode': '가져오기 방식',
+        'backup.merge': '현재 데이터와 합치기',
+        'backup.replace': '현재 데이터 대체',
+        'backup.replaceConfirm': '현재 데이터를 모두 이 백업으로 대체할까요?',
+        'backup.invalidJson': '올바른 JSON 파일이 아닙니다',
+        'backup.errorFormat': 'ChocoWorld 백업 파일이 아닙니다',
+        'backup.errorNoTables': '백업에 테이블이 없습니다',
+        'backup.errorChecksum': '체크섬이 일치하지 않습니다: 파일이 수정되었거나 불완전합니다',
+        'backup.errorNoVersion': '백업에 스키마 버전이 없습니다',
+        'backup.errorNewer': '백업 버전 {version}이(가) 이 앱의 버전({current})보다 최신입니다',
+        'backup.errorUnknownTable': '알 수 없는 테이블 "{table}"',
+        'backup.errorList': '"{table}" 테이블은 목록이어야 합니다',
+        'backup.errorObject': '"{table}" 테이블은 객체여야 합니다',
+        'backup.errorUpgrade': '백업을 업그레이드할 수 없습니다: {error}',
+        'backup.errorRecordKey': '"{table}"의 모든 레코드에는 "{key}" 값이 필요합니다',
+        'backup.errorWrite': '"{table}"을(를) 저장할 수 없습니다',
+        'backup.tables.products': '상품',
+        'backup.tables.cart': '장바구니',
+        'backup.tables.orders': '주문',
+        'backup.tables.customers': '고객',
+        'backup.tables.settings': '설정',
+        'backup.tables.stats': '통계',
+        'backup.tables.inventory': '재고',
+        'backup.tables.wishlist': '위시리스트',
+        'backup.tables.reviews': '리뷰',
+        'backup.meta': '{date}에 만든 백업, 버전 {version}',
+        'backup.unknownDate': '날짜 알 수 없음',
+        'backup.table': '테이블',
+        'backup.added': '추가',
+        'backup.updated': '변경',
+        'backup.removed': '삭제',
+        'backup.unchanged': '동일',
+        'product.addToCart': '장바구니 담기',
+        'product.added': '✓ 담았어요',
+        'product.soldOut': '품절',
+        'product.lowStock': '{count}개 남음',
+        'stock.soldOut': '{name} 품절되었습니다',
+        'stock.limit': '{name}은(는) {count}개까지만 구매할 수 있습니다',
+        'stock.shortage': '{name}: {count}개 남음',
+        'category.chocolate': '초콜릿',
+        'category.jelly': '젤리',
+        'category.mix': '믹스',
+        'search.label': '상품 검색',
+        'search.placeholder': '초콜릿, 젤리, 믹스 검색…',
+        'search.allCategories': '전체 카테고리',
+        'search.anyPrice': '모든 가격',
+        'search.anyWeight': '모든 중량',
+        'search.anyBadge': '모든 라벨',
+        'search.sortFeatured': '추천순',
+        'search.sortPriceAsc': '낮은 가격순',
+        'search.sortPriceDesc': '높은 가격순',
+        'search.sortName': '이름순',
+        'search.sortPopular': '인기순',
+        'search.sortRating': '평점순',
+        'search.clear': '초기화',
+        'search.title': '검색 결과',
+        'search.count': '검색된 상품 {count}개',
+        'search.empty': '검색 조건에 맞는 상품이 없습니다. 필터를 줄여 보세요.',
+        'search.under': '{max} 미만',
+        'search.over': '{min} 이상',
+        'search.anyDiet': '모든 식단',
+        'search.freeFrom': '제외 성분:',
+        'diet.vegetarian': '채식',
+        'diet.halal': '할랄 친화',
+        'allergen.nuts': '견과류',
+        'allergen.gluten': '글루텐',
+        'allergen.dairy': '우유',
+        'allergen.gelatin': '젤라틴',
+        'allergen.alcohol': '알코올',
+        'detail.ingredients': '원재료',
+        'detail.allergens': '알레르기 및 식단 정보',
+        'detail.contains': '함유',
+        'detail.containsList': '함유: {list}',
+        'detail.traces': '미량 함유 가능: {list}',
+        'detail.noAllergens': '표시 대상 알레르기 성분이 없습니다.',
+        'detail.nutrition': '영양 정보 (100g당)',
+        'detail.related': '함께 보면 좋은 상품',
+        'detail.image': '{name}, 이미지 {index}/{count}',
+        'nutrition.energy': '열량',
+        'nutrition.fat': '지방',
+        'nutrition.saturates': '포화지방',
+        'nutrition.carbohydrates': '탄수화물',
+        'nutrition.sugars': '당류',
+        'nutrition.protein': '단백질',
+        'nutrition.salt': '식염 상당량',
+        'reviews.title': '리뷰',
+        'reviews.summary': '5점 만점에 {average}점 · 리뷰 {count}개',
+        'reviews.rated': '리뷰 {count}개, 평균 {average}점 (5점 만점)',
+        'reviews.stars': '5점 만점에 {count}점',
+        'reviews.none': '아직 리뷰가 없습니다.',
+        'reviews.sortLabel': '리뷰 정렬',
+        'reviews.sortNewest': '최신순',
+        'reviews.sortHighest': '평점 높은순',
+        'reviews.sortLowest': '평점 낮은순',
+        'reviews.verified': '구매 인증',
+        'reviews.report': '신고',
+        'reviews.reportReason': '이 리뷰의 문제는 무엇인가요? (선택 사항)',
+        'reviews.reportSend': '신고하기',
+        'reviews.reportCancel': '취소',
+        'reviews.reported': '신고되었습니다. 감사합니다!',
+        'reviews.locked': '이 상품을 구매한 고객만 리뷰를 작성할 수 있습니다.',
+        'reviews.formTitle': '리뷰 작성',
+        'reviews.editTitle': '리뷰 수정',
+        'reviews.verifyIntro': '이 상품의 리뷰를 작성하려면 영수증의 주문 번호와 이메일을 입력해 주세요.',
+        'reviews.orderId': '주문 번호',
+        'reviews.email': '이메일',
+        'reviews.verify': '계속',
+        'reviews.errorVerify': '이 번호와 이메일로 이 상품을 포함한 주문을 찾을 수 없습니다',
+        'reviews.as': '{name}님으로 작성 중',
+        'reviews.switch': '본인이 아니신가요?',
+        'reviews.rating': '평점',
+        'reviews.text': '리뷰 내용',
+        'reviews.submit': '리뷰 등록',
+        'reviews.errorRating': '평점을 선택해 주세요',
+        'reviews.errorText': '{min}자 이상 작성해 주세요',
+        'reviews.thanks': '리뷰를 남겨 주셔서 감사합니다!',
+        'mixBox.bannerTitle': '나만의 박스 만들기',
+        'mixBox.bannerText': '박스 크기를 고르고 좋아하는 초콜릿과 젤리로 칸을 채워 보세요.',
+        'mixBox.start': '만들기 시작',
+        'mixBox.title': '나만의 박스 만들기',
+        'mixBox.size.small': '스몰 박스',
+        'mixBox.size.medium': '미디엄 박스',
+        'mixBox.size.large': '라지 박스',
+        'mixBox.sizeInfo': '{slots}칸 · 박스 {fee}',
+        'mixBox.slots': '{total}칸 중 {filled}칸 채움',
+        'mixBox.emptySlot': '빈 칸',
+        'mixBox.remove': '{name} 빼기',
+        'mixBox.add': '담기',
+        'mixBox.weight': '중량',
+        'mixBox.price': '가격',
+        'mixBox.addToCart': '박스 장바구니에 담기',
+        'mixBox.fillAll': '모든 칸을 채우면 장바구니에 담을 수 있습니다.',
+        'mixBox.lineName': '나만의 {size}',
+        'cart.title': '장바구니',
+        'cart.empty': '장바구니가 비어 있습니다',
+        'cart.stale': '장바구니에 담은 지 {days}일',
+        'cart.total': '합계:',
+        'cart.checkout': '주문하기',
+        'cart.remove': '{name} 삭제',
+        'cart.decrease': '{name} 수량 줄이기',
+        'cart.increase': '{name} 수량 늘리기',
+        'cart.quantity': '{name} 수량',
+        'cart.toggle': '장바구니, {count}개',
+        'cart.updated': '{name}: 수량 {quantity}. 장바구니 합계 {total}',
+        'cart.removed': '{name}을(를) 삭제했어요. 장바구니 합계 {total}',
+        'wishlist.title': '찜 목록',
+        'wishlist.sharedTitle': '공유된 찜 목록',
+        'wishlist.add': '{name} 찜하기',
+        'wishlist.remove': '{name} 찜 해제',
+        'wishlist.empty': '상품의 하트를 눌러 나중을 위해 저장하세요.',
+        'wishlist.moveToCart': '장바구니로 이동',
+        'wishlist.share': '목록 공유',
+        'wishlist.copied': '찜 목록 링크를 복사했어요',
+        'wishlist.copyPrompt': '이 링크를 복사해 찜 목록을 공유하세요:',
+        'wishlist.sharedIntro': '누군가 좋아하는 상품 {count}개를 공유했어요.',
+        'wishlist.sharedEmpty': '이 링크의 상품은 더 이상 판매하지 않아요.',
+        'wishlist.sendGift': '선물로 보내기',
+        'wishlist.saveAll': '내 찜 목록에 저장',
+        'wishlist.mine': '← 내 찜 목록',
+        'checkout.title': '주문하기',
+        'checkout.name': '이름',
+        'checkout.phone': '전화번호',
+        'checkout.email': '이메일',
+        'checkout.address': '배송 주소',
+        'checkout.addressPlaceholder': '도시, 도로명, 건물 번호, 호수',
+        'checkout.payment': '결제 방법',
+        'checkout.paymentSelect': '결제 방법 선택',
+        'checkout.paymentCash': '배송 시 현금 결제',
+        'checkout.paymentCard': '배송 시 카드 결제',
+        'checkout.paymentOnline': '온라인 결제',
+        'checkout.notes': '주문 메모',
+        'checkout.notesPlaceholder': '추가 요청 사항 (선택)',
+        'checkout.profile': '다시 오셨나요?',
+        'checkout.profileSelect': '저장된 프로필 선택',
+        'checkout.newAddress': '새 주소',
+        'checkout.addressLabelPlaceholder': '주소 이름 (예: 집, 선택 사항)',
+        'checkout.remember': '이 기기에 내 정보 저장',
+        'checkout.autofilled': '{name}님, 다시 오신 것을 환영합니다! 저장된 정보를 채워 두었어요.',
+        'delivery.legend': '🚚 배송',
+        'delivery.methodDelivery': '내 주소로 배송',
+        'delivery.methodPickup': '매장 픽업',
+        'delivery.zone': '배송 지역',
+        'delivery.zoneSelect': '지역을 선택하세요',
+        'delivery.zoneOption': '{name} · {fee}',
+        'delivery.zoneFreeFrom': '{name} · {fee}, {min} 이상 무료',
+        'delivery.date': '날짜',
+        'delivery.slot': '시간',
+        'delivery.slotSelect': '시간을 선택하세요',
+        'delivery.slotOption': '{from}–{to}',
+        'delivery.slotLeft': '{from}–{to} ({count}자리 남음)',
+        'delivery.slotFull': '{from}–{to} (마감)',
+        'delivery.slotTooSoon': '{from}–{to} (준비 시간 부족)',
+        'delivery.pickupNote': '{address}에서 주문을 찾아가세요. 배송비가 없습니다.',
+        'delivery.pickupLine': '매장 픽업',
+        'delivery.shippingZone': '배송비 · {zone}',
+        'delivery.when': '배송: {when}',
+        'delivery.pickupWhen': '픽업: {when}',
+        'checkout.summary': '주문 내역:',
+        'checkout.total': '합계:',
+        'checkout.promoCode': '프로모션 코드',
+        'checkout.promoPlaceholder': '코드 입력',
+        'checkout.promoApply': '적용',
+        'checkout.subtotal': '상품 금액',
+        'checkout.shipping': '배송비',
+        'checkout.shippingFree': '무료',
+        'promo.applied': '{code} 코드가 적용되었습니다',
+        'promo.unknown': '존재하지 않는 프로모션 코드입니다',
+        'promo.expired': '만료된 프로모션 코드입니다',
+        'promo.minimum': '{min} 이상 주문 시 사용할 수 있는 코드입니다',
+        'promo.notApplicable': '장바구니 상품에 적용할 수 없는 코드입니다',
+        'promo.percent': '{code}: {value}% 할인',
+        'promo.percentCategory': '{code}: {category} {value}% 할인',
+        'promo.fixed': '{code}: {amount} 할인',
+        'promo.freeShipping': '{code}: 무료 배송',
+        'promo.bundle': '{code}: {category} {buy}개 구매 시 {get}개 무료',
+        'checkout.submit': '주문 완료',
+        'checkout.giftLegend': '🎁 선물 정보',
+        'checkout.recipientName': '받는 분 이름',
+        'checkout.recipientNamePlaceholder': '누구에게 보내시나요?',
+        'checkout.recipientPhone': '받는 분 전화번호',
+        'checkout.recipientAddress': '받는 분 주소',
+        'checkout.giftMessage': '선물 메시지',
+        'checkout.giftMessagePlaceholder': '따뜻한 한마디 (선택)',
+        'checkout.giftWrap': '선물 포장 (+{fee})',
+        'checkout.giftNote': '인쇄용 선물 영수증에는 가격이 표시되지 않습니다.',
+        'checkout.giftWrapLine': '선물 포장',
+        'checkout.errorEmpty': '장바구니가 비어 있습니다. 주문 전에 상품을 담아 주세요.',
+        'checkout.errorChanged': '주문 화면을 연 뒤 장바구니가 변경되었습니다. 주문 내역을 확인하고 다시 제출해 주세요.',
+        'checkout.errorInvalid': '표시된 항목을 수정해 주세요.',
+        'checkout.sending': '주문을 전송하는 중…',
+        'checkout.errorUnreachable': 'ChocoWorld 서버에 연결할 수 없어 주문이 접수되지 않았습니다. 장바구니와 입력한 정보는 그대로 있으니 잠시 후 다시 시도해 주세요.',
+        'checkout.errorRejected': '주문을 접수할 수 없습니다: {reason}',
+        'checkout.errorStock': '쇼핑하는 동안 일부 상품의 재고가 부족해졌습니다: {items}. 장바구니를 수정해 주세요.',
+        'validation.nameRequired': '이름을 입력해 주세요',
+        'validation.nameShort': '이름이 너무 짧습니다',
+        'validation.nameDigits': '이름에는 숫자를 사용할 수 없습니다',
+        'validation.phoneRequired': '전화번호를 입력해 주세요',
+        'validation.phoneChars': '숫자, 공백, 맨 앞의 + 만 사용할 수 있습니다',
+        'validation.phoneInternational': '국가 번호를 포함해 입력해 주세요. 예: +82 10 1234 5678',
+        'validation.phoneLocal': '올바른 전화번호를 입력해 주세요. 예: 010 1234 5678',
+        'validation.emailRequired': '이메일을 입력해 주세요',
+        'validation.emailInvalid': '올바른 이메일을 입력해 주세요. 예: name@example.com',
+        'validation.addressRequired': '배송 주소를 입력해 주세요',
+        'validation.addressParts': '도시, 도로명, 건물 번호를 쉼표로 구분해 입력해 주세요',
+        'validation.addressNumber': '건물 번호를 포함해 주세요',
+        'validation.payment': '결제 방법을 선택해 주세요',
+        'validation.notesLength': '메모는 최대 {max}자까지 입력할 수 있습니다',
+        'validation.zoneRequired': '배송 지역을 선택해 주세요',
+        'validation.dateRequired': '날짜를 선택해 주세요',
+        'validation.dateRange': '{from}부터 {to} 사이의 날짜를 선택해 주세요',
+        'validation.dateClosed': '이 날은 휴무입니다. 다른 날짜를 선택해 주세요',
+        'validation.dateFull': '이 날은 남은 시간이 없습니다. 다른 날짜를 선택해 주세요',
+        'validation.slotRequired': '시간을 선택해 주세요',
+        'validation.slotFull': '이 시간은 예약이 마감되었습니다. 다른 시간을 선택해 주세요',
+        'validation.slotTooSoon': '너무 이른 시간입니다. 주문 준비에 {hours}시간이 필요합니다',
+        'validation.giftMessageLength': '선물 메시지는 최대 {max}자까지 입력할 수 있습니다',
+        'notify.added': '{name}을(를) 장바구니에 담았습니다!',
+        'notify.orderPlaced': '주문이 완료되었습니다!',
+        'notify.reorderAdded': '주문 상품을 장바구니에 담았습니다!',
+        'notify.reorderMissing': '장바구니에 담았습니다. 판매가 종료된 상품: {names}',
+        'notify.cartExpired': '{days}일 넘게 장바구니에 있던 상품 {count}개를 삭제했습니다',
+        'notify.cartSynced': '다른 탭에서 장바구니가 변경되었습니다',
+        'notify.orderCancelled': '주문이 취소되었습니다',
+        'notify.orderStatus': '주문 {id}의 상태: {status}',
+        'notify.dataDeleted': '저장된 정보를 삭제했어요',
+        'notify.allowPopups': '선물 영수증을 인쇄하려면 팝업을 허용해 주세요',
+        'notify.backupDownloaded': '백업을 다운로드했습니다',
+        'notify.backupImported': '백업을 가져왔습니다',
+        'update.available': 'ChocoWorld 새 버전이 있습니다.',
+        'update.reload': '새로고침',
+        'consent.text': '쇼핑몰 개선을 위해 익명 이용 통계를 수집해도 될까요?',
+        'consent.allow': '허용',
+        'consent.decline': '거부',
+        'offline.banner': '오프라인 상태입니다. 계속 쇼핑할 수 있으며 주문은 다시 연결되면 전송됩니다.',
+        'success.contact': '{phone} 번호로 연락드려 주문을 확인하겠습니다.',
+        'success.followUp': '"내 주문"에서 주문 상태를 확인할 수 있습니다.',
+        'success.queued': '현재 오프라인 상태입니다. 주문은 이 기기에 저장되었으며 다시 연결되는 즉시 전송됩니다.',
+        'success.giftReceipt': '{name}님을 위한 인쇄용 선물 영수증도 그곳에서 확인할 수 있습니다.',
+        'receipt.title': '영수증',
+        'receipt.confirmedTitle': '주문 확인 🎉',
+        'receipt.thanks': '{name}님, 감사합니다! 주문이 접수되었습니다.',
+        'receipt.notFound': '주문 {id}을(를) 찾을 수 없습니다',
+        'receipt.print': '인쇄',
+        'receipt.download': '다운로드',
+        'receipt.continue': '쇼핑 계속하기',
+        'receipt.customer': '고객',
+        'receipt.gift': '{name}님을 위한 선물',
+        'receipt.delivery': '배송',
+        'receipt.pickup': '매장 픽업',
+        'receipt.payment': '결제',
+        'receipt.item': '상품',
+        'receipt.quantity': '수량',
+        'receipt.price': '가격',
+        'receipt.amount': '금액',
+        'receipt.total': '합계',
+        'receipt.notes': '요청 사항',
+        'receipt.footer': 'ChocoWorld를 이용해 주셔서 감사합니다!'
+    },
+    uk: {
+        'nav.chocolate': 'Шоколад',
+        'nav.jelly': 'Желе',
+        'nav.mixes': 'Мікси',
+        'mode.personal': 'Для себе',
+        'mode.gift': 'Подарувати усмішку',
+        'header.orders': 'Мої замовлення',
+        'header.backup': 'Резервна копія',
+        'header.wishlist': 'Обране',
+        'header.profile': 'Мої дані',
+        'header.language': 'Мова',
+        'header.currency': 'Валюта',
+        'common.close': 'Закрити',
+        'hero.title': 'Преміальна колекція шоколаду та цукерок',
+        'hero.text': 'Вишукані смаки з усього світу з доставкою по Кореї',
+        'hero.cta': 'До покупок',
+        'section.chocolate': 'Шоколадні колекції',
+        'section.chocolateCount': 'ексклюзивних шоколадних наборів',
+        'section.jelly': 'Колекції желе та жувальних цукерок',
+        'section.jellyCount': 'наборів желе та жувальних цукерок',
+        'section.mixes': 'Мікс- і комбо-набори',
+        'section.mixesCount': 'унікальних міксів шоколаду та желе',
+        'admin.title': 'Панель адміністратора',
+        'admin.passcode': 'Пароль адміністратора',
+        'admin.unlock': 'Розблокувати',
+        'admin.errorShort': 'Пароль має містити щонайменше 4 символи',
+        'admin.errorNotSetUp': 'Доступ адміністратора не налаштовано: додайте passcodeHash у data/admin.json',
+        'admin.errorWrong': 'Неправильний пароль',
+        'admin.tabOrders': 'Замовлення',
+        'admin.tabCustomers': 'Клієнти',
+        'admin.tabReviews': 'Відгуки',
+        'admin.tabRevenue': 'Виручка',
+        'admin.filterStatus': 'Статус',
+        'admin.allStatuses': 'Усі статуси',
+        'admin.filterPayment': 'Спосіб оплати',
+        'admin.allPayments': 'Усі способи оплати',
+        'admin.filterFrom': 'Від дати',
+        'admin.filterTo': 'До дати',
+        'admin.exportCsv': 'Експорт CSV',
+        'admin.colOrder': 'Замовлення',
+        'admin.colDate': 'Дата',
+        'admin.colCustomer': 'Клієнт',
+        'admin.colDelivery': 'Доставка',
+        'admin.colPayment': 'Оплата',
+        'admin.colTotal': 'Сума',
+        'admin.colStatus': 'Статус',
+        'admin.colName': 'Ім’я',
+        'admin.colEmail': 'Email',
+        'admin.colPhone': 'Телефон',
+        'admin.colOrders': 'Замовлень',
+        'admin.colSpent': 'Витрачено',
+        'admin.colSince': 'Клієнт з',
+        'admin.colProduct': 'Товар',
+        'admin.colRating': 'Оцінка',
+        'admin.colReview': 'Відгук',
+        'admin.colReports': 'Скарги',
+        'admin.pickup': 'Самовивіз',
+        'admin.noOrders': 'Немає замовлень за цими фільтрами',
+        'admin.noCustomers': 'Клієнтів поки немає',
+        'admin.noReviews': 'Відгуків поки немає',
+        'admin.reviewHidden': 'Приховано',
+        'admin.reviewVisible': 'Показано',
+        'admin.hide': 'Приховати',
+        'admin.show': 'Показати',
+        'admin.dismissReports': 'Відхилити скарги',
+        'admin.totalOrders': 'Усього замовлень',
+        'admin.totalRevenue': 'Загальна виручка',
+        'admin.lastOrder': 'Останнє замовлення',
+        'admin.revenueByDay': 'Виручка за днями (останні {days} днів)',
+        'admin.revenueByCategory': 'Виручка за категоріями',
+        'status.pending': 'Очікує',
+        'status.confirmed': 'Підтверджено',
+        'status.shipped': 'Відправлено',
+        'status.delivered': 'Доставлено',
+        'status.cancelled': 'Скасовано',
+        'orders.empty': 'Ви ще не робили замовлень.',
+        'orders.items': 'товарів: {count}',
+        'orders.pendingSync': '⏳ Очікує синхронізації',
+        'orders.details': 'Деталі',
+        'orders.back': '← Усі замовлення',
+        'orders.placed': 'Оформлено {date}',
+        'orders.giftFor': '🎁 Подарунок для {name}',
+        'orders.giftWrapped': 'Подарункова упаковка ({fee})',
+        'orders.noGiftWrap': 'Без подарункової упаковки',
+        'orders.deliveryTime': 'Час доставки',
+        'orders.pickupTime': 'Час самовивозу',
+        'orders.history': 'Історія статусів',
+        'orders.reorder': 'Замовити знову',
+        'orders.giftReceipt': 'Подарунковий чек',
+        'orders.cancel': 'Скасувати замовлення',
+        'orders.cancelConfirm': 'Скасувати це замовлення?',
+        'giftReceipt.title': 'Подарунковий чек {id}',
+        'giftReceipt.heading': 'Подарунок для {name} 🎁',
+        'giftReceipt.meta': 'Від {name} · Замовлення {id} · {date}',
+        'giftReceipt.contents': 'У цій посилці',
+        'giftReceipt.footer': 'З любов\'ю від ChocoWorld',
+        'profile.empty': 'На цьому пристрої про вас нічого не збережено.',
+        'profile.intro': 'Ваші дані зберігаються лише в цьому браузері й використовуються для заповнення форми замовлення. Ви можете видалити їх будь-коли.',
+        'profile.remembered': 'Запам\'ятовано',
+        'profile.email': 'Email',
+        'profile.phone': 'Телефон',
+        'profile.payment': 'Оплата',
+        'profile.orders': 'Замовлення',
+        'profile.since': 'З',
+        'profile.addresses': 'Збережені адреси',
+        'profile.noAddresses': 'Немає збережених адрес.',
+        'profile.removeAddress': 'Видалити',
+        'profile.forget': 'Більше не запам\'ятовувати',
+        'profile.remember': 'Запам\'ятати мене для замовлень',
+        'profile.delete': 'Видалити мої дані',
+        'profile.deleteConfirm': 'Видалити все, що збережено для {email}? Минулі замовлення залишаться, але без вашого імені та контактів.',
+        'profile.analyticsTitle': 'Статистика використання',
+        'profile.analyticsAllowed': 'Дозволено',
+        'profile.analyticsOff': 'Вимкнено',
+        'profile.analyticsText': 'Які сторінки й товари ви переглядаєте та як далеко доходите в оформленні замовлення, без вашого імені чи контактів.',
+        'profile.analyticsStop': 'Припинити надсилати статистику',
+        'profile.analyticsShare': 'Надсилати статистику використання',
+        'backup.title': 'Резервна копія та відновлення',
+        'backup.export': 'Експорт',
+        'backup.exportText': 'Завантажте кошик, замовлення, клієнтів і налаштування як JSON-файл із версією.',
+        'backup.download': 'Завантажити копію',
+        'backup.import': 'Імпорт',
+        'backup.file': 'Файл резервної копії',
+        'backup.mode': 'Режим імпорту',
+        'backup.merge': 'Об\'єднати з поточними даними',
+        'backup.replace': 'Замінити поточні дані',
+        'backup.replaceConfirm': 'Замінити всі поточні дані цією копією?',
+        'backup.invalidJson': 'Файл не є коректним JSON',
+        'backup.errorFormat': 'Це не файл резервної копії ChocoWorld',
+        'backup.errorNoTables': 'У резервній копії немає таблиць',
+        'backup.errorChecksum': 'Контрольна сума не збігається: файл змінено або він неповний',
+        'backup.errorNoVersion': 'У резервній копії немає версії схеми',
+        'backup.errorNewer': 'Версія резервної копії {version} новіша за версію застосунку ({current})',
+        'backup.errorUnknownTable': 'Невідома таблиця «{table}»',
+        'backup.errorList': 'Таблиця «{table}» має бути списком',
+        'backup.errorObject': 'Таблиця «{table}» має бути об’єктом',
+        'backup.errorUpgrade': 'Не вдалося оновити резервну копію: {error}',
+        'backup.errorRecordKey': 'Кожен запис у «{table}» має містити «{key}»',
+        'backup.errorWrite': 'Не вдалося записати «{table}»',
+        'backup.tables.products': 'Товари',
+        'backup.tables.cart': 'Кошик',
+        'backup.tables.orders': 'Замовлення',
+        'backup.tables.customers': 'Клієнти',
+        'backup.tables.settings': 'Налаштування',
+        'backup.tables.stats': 'Статистика',
+        'backup.tables.inventory': 'Запаси',
+        'backup.tables.wishlist': 'Список бажань',
+        'backup.tables.reviews': 'Відгуки',
+        'backup.meta': 'Копія від {date}, версія {version}',
+        'backup.unknownDate': 'дата невідома',
+        'backup.table': 'Таблиця',
+        'backup.added': 'Додано',
+        'backup.updated': 'Змінено',
+        'backup.removed': 'Видалено',
+        'backup.unchanged': 'Без змін',
+        'product.addToCart': 'До кошика',
+        'product.added': '✓ Додано',
+        'product.soldOut': 'Розпродано',
+        'product.lowStock': 'Залишилось {count}',
+        'stock.soldOut': '{name} розпродано',
+        'stock.limit': 'Доступно лише {count} шт. товару {name}',
+        'stock.shortage': '{name}: залишилось {count}',
+        'category.chocolate': 'Шоколад',
+        'category.jelly': 'Желе',
+        'category.mix': 'Мікс',
+        'search.label': 'Пошук товарів',
+        'search.placeholder': 'Шукати шоколад, желейки, мікси…',
+        'search.allCategories': 'Усі категорії',
+        'search.anyPrice': 'Будь-яка ціна',
+        'search.anyWeight': 'Будь-яка вага',
+        'search.anyBadge': 'Будь-яка позначка',
+        'search.sortFeatured': 'Рекомендовані',
+        'search.sortPriceAsc': 'Ціна: від низької',
+        'search.sortPriceDesc': 'Ціна: від високої',
+        'search.sortName': 'Назва А–Я',
+        'search.sortPopular': 'Найпопулярніші',
+        'search.sortRating': 'За рейтингом',
+        'search.clear': 'Скинути',
+        'search.title': 'Результати пошуку',
+        'search.count': 'Знайдено товарів: {count}',
+        'search.empty': 'Нічого не знайдено. Спробуйте зменшити кількість фільтрів.',
+        'search.under': 'До {max}',
+        'search.over': 'Від {min}',
+        'search.anyDiet': 'Будь-яка дієта',
+        'search.freeFrom': 'Без:',
+        'diet.vegetarian': 'Вегетаріанське',
+        'diet.halal': 'Підходить для халяль',
+        'allergen.nuts': 'Горіхи',
+        'allergen.gluten': 'Глютен',
+        'allergen.dairy': 'Молоко',
+        'allergen.gelatin': 'Желатин',
+        'allergen.alcohol': 'Алкоголь',
+        'detail.ingredients': 'Склад',
+        'detail.allergens': 'Алергени та дієта',
+        'detail.contains': 'Містить',
+        'detail.containsList': 'Містить: {list}',
+        'detail.traces': 'Може містити сліди: {list}',
+        'detail.noAllergens': 'Алергенів у списку немає.',
+        'detail.nutrition': 'Харчова цінність на 100 г',
+        'detail.related': 'Вам також може сподобатися',
+        'detail.image': '{name}, зображення {index} з {count}',
+        'nutrition.energy': 'Енергетична цінність',
+        'nutrition.fat': 'Жири',
+        'nutrition.saturates': 'з них насичені',
+        'nutrition.carbohydrates': 'Вуглеводи',
+        'nutrition.sugars': 'з них цукри',
+        'nutrition.protein': 'Білки',
+        'nutrition.salt': 'Сіль',
+        'reviews.title': 'Відгуки',
+        'reviews.summary': '{average} з 5 · відгуків: {count}',
+        'reviews.rated': 'Оцінка {average} з 5, відгуків: {count}',
+        'reviews.stars': '{count} з 5 зірок',
+        'reviews.none': 'Відгуків поки немає.',
+        'reviews.sortLabel': 'Сортувати відгуки',
+        'reviews.sortNewest': 'Найновіші',
+        'reviews.sortHighest': 'Найвища оцінка',
+        'reviews.sortLowest': 'Найнижча оцінка',
+        'reviews.verified': 'Підтверджена покупка',
+        'reviews.report': 'Поскаржитися',
+        'reviews.reportReason': 'Що не так із цим відгуком? (необов’язково)',
+        'reviews.reportSend': 'Надіслати скаргу',
+        'reviews.reportCancel': 'Скасувати',
+        'reviews.reported': 'Скаргу надіслано. Дякуємо!',
+        'reviews.locked': 'Залишити відгук можуть лише покупці цього товару.',
+        'reviews.formTitle': 'Написати відгук',
+        'reviews.editTitle': 'Оновити відгук',
+        'reviews.verifyIntro': 'Щоб залишити відгук, введіть номер замовлення та email із чека.',
+        'reviews.orderId': 'Номер замовлення',
+        'reviews.email': 'Email',
+        'reviews.verify': 'Продовжити',
+        'reviews.errorVerify': 'Замовлення з цим номером та email, що містить цей товар, не знайдено',
+        'reviews.as': 'Відгук від {name}',
+        'reviews.switch': 'Це не ви?',
+        'reviews.rating': 'Ваша оцінка',
+        'reviews.text': 'Ваш відгук',
+        'reviews.submit': 'Опублікувати',
+        'reviews.errorRating': 'Оберіть оцінку',
+        'reviews.errorText': 'Напишіть щонайменше {min} символів',
+        'reviews.thanks': 'Дякуємо за відгук!',
+        'mixBox.bannerTitle': 'Збери свій набір',
+        'mixBox.bannerText': 'Оберіть розмір коробки та заповніть кожну комірку улюбленим шоколадом і желейками.',
+        'mixBox.start': 'Почати збирати',
+        'mixBox.title': 'Збери свій набір',
+        'mixBox.size.small': 'Мала коробка',
+        'mixBox.size.medium': 'Середня коробка',
+        'mixBox.size.large': 'Велика коробка',
+        'mixBox.sizeInfo': '{slots} комірок · коробка {fee}',
+        'mixBox.slots': 'Заповнено {filled} з {total} комірок',
+        'mixBox.emptySlot': 'Порожня комірка',
+        'mixBox.remove': 'Прибрати {name}',
+        'mixBox.add': 'Додати',
+        'mixBox.weight': 'Вага',
+        'mixBox.price': 'Ціна',
+        'mixBox.addToCart': 'Додати набір до кошика',
+        'mixBox.fillAll': 'Заповніть усі комірки, щоб додати набір до кошика.',
+        'mixBox.lineName': '{size} (власний набір)',
+        'cart.title': 'Кошик',
+        'cart.empty': 'Кошик порожній',
+        'cart.stale': 'У кошику вже {days} дн.',
+        'cart.total': 'Разом:',
+        'cart.checkout': 'Оформити замовлення',
+        'cart.remove': 'Видалити {name}',
+        'cart.decrease': 'Зменшити кількість: {name}',
+        'cart.increase': 'Збільшити кількість: {name}',
+        'cart.quantity': 'Кількість: {name}',
+        'cart.toggle': 'Кошик, товарів: {count}',
+        'cart.updated': '{name}: кількість {quantity}. Разом у кошику {total}',
+        'cart.removed': '{name} видалено. Разом у кошику {total}',
+        'wishlist.title': 'Обране',
+        'wishlist.sharedTitle': 'Спільний список',
+        'wishlist.add': 'Додати {name} до обраного',
+        'wishlist.remove': 'Прибрати {name} з обраного',
+        'wishlist.empty': 'Натисніть сердечко на будь-якому товарі, щоб зберегти його на потім.',
+        'wishlist.moveToCart': 'У кошик',
+        'wishlist.share': 'Поділитися',
+        'wishlist.copied': 'Посилання на список скопійовано',
+        'wishlist.copyPrompt': 'Скопіюйте це посилання, щоб поділитися списком:',
+        'wishlist.sharedIntro': 'З вами поділилися улюбленими товарами: {count}.',
+        'wishlist.sharedEmpty': 'Жодного товару з цього посилання вже немає в продажу.',
+        'wishlist.sendGift': 'Надіслати як подарунок',
+        'wishlist.saveAll': 'Зберегти в моє обране',
+        'wishlist.mine': '← Моє обране',
+        'checkout.title': 'Оформлення замовлення',
+        'checkout.name': 'Повне ім\'я',
+        'checkout.phone': 'Телефон',
+        'checkout.email': 'Email',
+        'checkout.address': 'Адреса доставки',
+        'checkout.addressPlaceholder': 'Місто, вулиця, будинок, квартира',
+        'checkout.payment': 'Спосіб оплати',
+        'checkout.paymentSelect': 'Оберіть спосіб оплати',
+        'checkout.paymentCash': 'Готівкою при отриманні',
+        'checkout.paymentCard': 'Карткою при отриманні',
+        'checkout.paymentOnline': 'Онлайн-оплата',
+        'checkout.notes': 'Коментар до замовлення',
+        'checkout.notesPlaceholder': 'Додаткові побажання (необов\'язково)',
+        'checkout.profile': 'Вже замовляли?',
+        'checkout.profileSelect': 'Оберіть збережений профіль',
+        'checkout.newAddress': 'Нова адреса',
+        'checkout.addressLabelPlaceholder': 'Назва адреси, напр. Дім (необов\'язково)',
+        'checkout.remember': 'Запам\'ятати мої дані на цьому пристрої',
+        'checkout.autofilled': 'З поверненням, {name}! Ми заповнили ваші збережені дані.',
+        'delivery.legend': '🚚 Доставка',
+        'delivery.methodDelivery': 'Доставити за моєю адресою',
+        'delivery.methodPickup': 'Самовивіз із магазину',
+        'delivery.zone': 'Зона доставки',
+        'delivery.zoneSelect': 'Оберіть свій район',
+        'delivery.zoneOption': '{name} · {fee}',
+        'delivery.zoneFreeFrom': '{name} · {fee}, безкоштовно від {min}',
+        'delivery.date': 'Дата',
+        'delivery.slot': 'Час',
+        'delivery.slotSelect': 'Оберіть час',
+        'delivery.slotOption': '{from}–{to}',
+        'delivery.slotLeft': '{from}–{to} (залишилось {count})',
+        'delivery.slotFull': '{from}–{to} (усе зайнято)',
+        'delivery.slotTooSoon': '{from}–{to} (занадто рано)',
+        'delivery.pickupNote': 'Заберіть замовлення за адресою: {address}. Без плати за доставку.',
+        'delivery.pickupLine': 'Самовивіз',
+        'delivery.shippingZone': 'Доставка · {zone}',
+        'delivery.when': 'Доставка: {when}',
+        'delivery.pickupWhen': 'Самовивіз: {when}',
+        'checkout.summary': 'Ваше замовлення:',
+        'checkout.total': 'Разом:',
+        'checkout.promoCode': 'Промокод',
+        'checkout.promoPlaceholder': 'Введіть код',
+        'checkout.promoApply': 'Застосувати',
+        'checkout.subtotal': 'Товари',
+        'checkout.shipping': 'Доставка',
+        'checkout.shippingFree': 'Безкоштовно',
+        'promo.applied': 'Код {code} застосовано',
+        'promo.unknown': 'Такого промокоду не існує',
+        'promo.expired': 'Термін дії промокоду минув',
+        'promo.minimum': 'Код діє для замовлень від {min}',
+        'promo.notApplicable': 'Код не діє для товарів у вашому кошику',
+        'promo.percent': '{code}: знижка {value}%',
+        'promo.percentCategory': '{code}: знижка {value}% на {category}',
+        'promo.fixed': '{code}: знижка {amount}',
+        'promo.freeShipping': '{code}: безкоштовна доставка',
+        'promo.bundle': '{code}: {buy} + {get} у подарунок ({category})',
+        'checkout.submit': 'Підтвердити замовлення',
+        'checkout.giftLegend': '🎁 Дані подарунка',
+        'checkout.recipientName': 'Ім\'я отримувача',
+        'checkout.recipientNamePlaceholder': 'Для кого подарунок?',
+        'checkout.recipientPhone': 'Телефон отримувача',
+        'checkout.recipientAddress': 'Адреса отримувача',
+        'checkout.giftMessage': 'Побажання',
+        'checkout.giftMessagePlaceholder': 'Кілька теплих слів (необов\'язково)',
+        'checkout.giftWrap': 'Подарункове пакування (+{fee})',
+        'checkout.giftNote': 'На подарунковому чеку для друку ціни не вказуються.',
+        'checkout.giftWrapLine': 'Подарункове пакування',
+        'checkout.errorEmpty': 'Кошик порожній. Додайте смаколики, перш ніж оформлювати замовлення.',
+        'checkout.errorChanged': 'Кошик змінився після відкриття оформлення. Перевірте замовлення та надішліть його ще раз.',
+        'checkout.errorInvalid': 'Будь ласка, виправте виділені поля.',
+        'checkout.sending': 'Надсилаємо замовлення…',
+        'checkout.errorUnreachable': 'Не вдалося зв’язатися із сервером ChocoWorld, тож замовлення не оформлено. Кошик і ваші дані збережено. Спробуйте ще раз за хвилину.',
+        'checkout.errorRejected': 'Магазин не може прийняти це замовлення: {reason}',
+        'checkout.errorStock': 'Поки ви робили покупки, деякі товари закінчилися: {items}. Будь ласка, оновіть кошик.',
+        'validation.nameRequired': 'Введіть повне ім\'я',
+        'validation.nameShort': 'Ім\'я занадто коротке',
+        'validation.nameDigits': 'Ім\'я не може містити цифри',
+        'validation.phoneRequired': 'Введіть номер телефону',
+        'validation.phoneChars': 'Використовуйте цифри, пробіли та + на початку',
+        'validation.phoneInternational': 'Введіть номер із кодом країни, напр. +82 10 1234 5678',
+        'validation.phoneLocal': 'Введіть правильний номер, напр. 010-1234-5678 або +82 10 1234 5678',
+        'validation.emailRequired': 'Введіть email',
+        'validation.emailInvalid': 'Введіть правильний email, напр. name@example.com',
+        'validation.addressRequired': 'Введіть адресу доставки',
+        'validation.addressParts': 'Вкажіть місто, вулицю та будинок через кому',
+        'validation.addressNumber': 'Вкажіть номер будинку',
+        'validation.payment': 'Оберіть спосіб оплати',
+        'validation.notesLength': 'Коментар може містити не більше {max} символів',
+        'validation.zoneRequired': 'Оберіть зону доставки',
+        'validation.dateRequired': 'Оберіть дату',
+        'validation.dateRange': 'Оберіть дату від {from} до {to}',
+        'validation.dateClosed': 'Цього дня ми не працюємо. Оберіть іншу дату',
+        'validation.dateFull': 'На цей день вільного часу не залишилось. Оберіть іншу дату',
+        'validation.slotRequired': 'Оберіть час',
+        'validation.slotFull': 'Цей час уже повністю зайнятий. Оберіть інший',
+        'validation.slotTooSoon': 'Занадто рано. Нам потрібно {hours} год., щоб підготувати замовлення',
+        'validation.giftMessageLength': 'Побажання може містити не більше {max} символів',
+        'notify.added': '{name} додано до кошика!',
+        'notify.orderPlaced': 'Замовлення успішно оформлено!',
+        'notify.reorderAdded': 'Товари із замовлення додано до кошика!',
+        'notify.reorderMissing': 'Додано до кошика. Більше недоступні: {names}',
+        'notify.cartExpired': 'Видалено товарів, що пролежали в кошику понад {days} дн.: {count}',
+        'notify.cartSynced': 'Кошик оновлено в іншій вкладці',
+        'notify.orderCancelled': 'Замовлення скасовано',
+        'notify.orderStatus': 'Замовлення {id} тепер має статус: {status}',
+        'notify.dataDeleted': 'Ваші збережені дані видалено',
+        'notify.allowPopups': 'Дозвольте спливаючі вікна, щоб надрукувати подарунковий чек',
+        'notify.backupDownloaded': 'Резервну копію завантажено',
+        'notify.backupImported': 'Резервну копію імпортовано',
+        'update.available': 'Доступна нова версія ChocoWorld.',
+        'update.reload': 'Оновити',
+        'consent.text': 'Чи можемо ми збирати анонімну статистику використання, щоб покращити магазин?',
+        'consent.allow': 'Дозволити',
+        'consent.decline': 'Ні, дякую',
+        'offline.banner': 'Ви офлайн. Можна й далі робити покупки, а замовлення буде надіслано після відновлення зв’язку.',
+        'success.contact': 'Ми зателефонуємо вам за номером {phone} для підтвердження.',
+        'success.followUp': 'Стежити за замовленням можна в розділі "Мої замовлення".',
+        'success.queued': 'Зараз ви офлайн. Замовлення збережено на цьому пристрої й буде надіслано, щойно з’явиться зв’язок.',
+        'success.giftReceipt': 'Там же є подарунковий чек для {name}, готовий до друку.',
+        'receipt.title': 'Чек',
+        'receipt.confirmedTitle': 'Замовлення підтверджено 🎉',
+        'receipt.thanks': 'Дякуємо, {name}! Ваше замовлення оформлено.',
+        'receipt.notFound': 'Замовлення {id} не знайдено',
+        'receipt.print': 'Друкувати',
+        'receipt.download': 'Завантажити',
+        'receipt.continue': 'Продовжити покупки',
+        'receipt.customer': 'Покупець',
+        'receipt.gift': 'Подарунок для {name}',
+        'receipt.delivery': 'Доставка',
+        'receipt.pickup': 'Самовивіз з магазину',
+        'receipt.payment': 'Оплата',
+        'receipt.item': 'Товар',
+        'receipt.quantity': 'К-сть',
+        'receipt.price': 'Ціна',
+        'receipt.amount': 'Сума',
+        'receipt.total': 'Разом',
+        'receipt.notes': 'Примітки',
+        'receipt.footer': 'Дякуємо за покупку в ChocoWorld!'
+    }
+};
+
+class Localization {
+    constructor(settings = {}) {
+        this.configure(settings);
+    }
+
+    configure({ language = 'en', currency = 'KRW', exchangeRates = {} } = {}) {
+        this.language = MESSAGES[language] ? language : 'en';
+        this.exchangeRates = { ...DEFAULT_EXCHANGE_RATES, ...exchangeRates };
+        this.currency = this.exchangeRates[currency] ? currency : 'KRW';
+        this.formatter = new Intl.NumberFormat(LANGUAGES[this.language].locale, {
+            style: 'currency',
+            currency: this.currency
+        });
+    }
+
+    t(key, params = {}) {
+        const template = MESSAGES[this.language][key] || MESSAGES.en[key] || key;
+        return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+
+    convert(amount) {
+        return amount * this.exchangeRates[this.currency];
+    }
+
+    formatPrice(amount) {
+        return this.formatter.format(this.convert(amount));
+    }
+
+    // A KRW amount in another currency at a fixed rate, e.g. the one an order was placed at
+    formatPriceAt(amount, currency, rate) {
+        return new Intl.NumberFormat(LANGUAGES[this.language].locale, { style: 'currency', currency }).format(amount * rate);
+    }
+
+    // Fills elements marked with data-i18n (text), data-i18n-placeholder and data-i18n-label (aria-label)
+    apply(root) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            const prices = element.dataset.i18nPrices ? JSON.parse(element.dataset.i18nPrices) : {};
+            const params = {};
+            Object.keys(prices).forEach(name => {
+                params[name] = this.formatPrice(prices[name]);
+            });
+            element.textContent = this.t(element.dataset.i18n, params);
+        });
+
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+
+        root.querySelectorAll('[data-i18n-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nLabel));
+        });
+    }
+}
+
+// Shared instance behind the t() and formatPrice() helpers; LocaleSwitcher configures it from settings
+const localization = new Localization();
+
+class LocaleSwitcher {
+    constructor(database) {
+        this.db = database;
+        this.listeners = [];
+        this.init();
+    }
+
+    init() {
+        localization.configure(this.db.loadSettings());
+
+        const languageSelect = document.getElementById('languageSelect');
+        if (languageSelect) {
+            languageSelect.innerHTML = Object.keys(LANGUAGES)
+                .map(code => `<option value="${code}">${LANGUAGES[code].label}</option>`)
+                .join('');
+            languageSelect.addEventListener('change', () => this.update({ language: languageSelect.value }));
+        }
+
+        const currencySelect = document.getElementById('currencySelect');
+        if (currencySelect) {
+            currencySelect.innerHTML = Object.keys(localization.exchangeRates)
+                .map(code => `<option value="${code}">${code}</option>`)
+                .join('');
+            currencySelect.addEventListener('change', () => this.update({ currency: currencySelect.value }));
+        }
+
+        this.applyToPage();
+    }
+
+    update(changes) {
+        this.db.saveSettings({ ...this.db.loadSettings(), ...changes });
+        this.reload();
+    }
+
+    // Applies the stored language and currency again, e.g. after a backup import replaced them
+    reload() {
+        localization.configure(this.db.loadSettings());
+        this.applyToPage();
+        this.listeners.forEach(listener => listener());
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    applyToPage() {
+        document.documentElement.lang = localization.language;
+        localization.apply(document);
+
+        const languageSelect = document.getElementById('languageSelect');
+        if (languageSelect) languageSelect.value = localization.language;
+
+        const currencySelect = document.getElementById('currencySelect');
+        if (currencySelect) currencySelect.value = localization.currency;
+    }
+}
+
+// ====================================
+// Product Catalog
+// ====================================
+
+// Cards show "Only N left" at or below this stock level
+const LOW_STOCK_THRESHOLD = 5;
+
+class ProductCatalog {
+    constructor(database, source = 'data/products.json') {
+        this.db = database;
+        this.source = source;
+        this.products = [];
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.source);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const products = await response.json();
+            this.products = products.filter(product => this.isValid(product));
+            this.db.saveProducts(this.products);
+            console.log(`📦 Catalog loaded: ${this.products.length} products`);
+        } catch (error) {
+            // Fall back to the last catalog stored in the database (e.g. offline or file://)
+            console.warn('Catalog fetch failed, using stored products:', error.message);
+            this.products = this.db.loadProducts();
+        }
+        this.db.seedInventory(this.products);
+        return this.products;
+    }
+
+    isValid(product) {
+        const valid = product &&
+            typeof product.id === 'string' &&
+            typeof product.name === 'string' &&
+            Number.isFinite(product.price) &&
+            ['chocolate', 'jelly', 'mix'].includes(product.category);
+
+        if (!valid) {
+            console.warn('Skipping invalid catalog entry:', product);
+        }
+        return valid;
+    }
+
+    getById(productId) {
+        return this.products.find(product => product.id === productId);
+    }
+
+    getByCategory(category) {
+        return this.products.filter(product => product.category === category);
+    }
+
+    render() {
+        document.querySelectorAll('.products-grid[data-category]').forEach(grid => {
+            const products = this.getByCategory(grid.dataset.category);
+            grid.innerHTML = products.map(product => this.renderCard(product)).join('');
+        });
+
+        document.querySelectorAll('.section-count[data-category]').forEach(counter => {
+            counter.textContent = this.getByCategory(counter.dataset.category).length;
+        });
+    }
+
+    renderCard(product) {
+        const badge = product.badge ? `<div class="product-badge">${escapeHTML(product.badge)}</div>` : '';
+        const stock = this.db.getStock(product.id);
+        const soldOut = stock === 0;
+
+        let stockStatus = '';
+        if (soldOut) {
+            stockStatus = `<div class="stock-status sold-out">${t('product.soldOut')}</div>`;
+        } else if (stock !== null && stock <= LOW_STOCK_THRESHOLD) {
+            stockStatus = `<div class="stock-status low-stock">${t('product.lowStock', { count: stock })}</div>`;
+        }
+
+        const saved = this.db.isWishlisted(product.id);
+
+        return `
+            <div class="product-card ${soldOut ? 'sold-out' : ''}" data-id="${escapeHTML(product.id)}">
+                <div class="product-image">
+                    ${badge}
+                    ${stockStatus}
+                    <button type="button" class="wishlist-heart ${saved ? 'active' : ''}" data-wishlist-id="${escapeHTML(product.id)}" aria-pressed="${saved}" aria-label="${escapeHTML(t(saved ? 'wishlist.remove' : 'wishlist.add', { name: product.name }))}">${saved ? '♥' : '♡'}</button>
+                    <div class="placeholder-img ${product.category}-img">${escapeHTML(product.icon || '')}</div>
+                </div>
+                <div class="product-info">
+                    <h3><a class="product-link" href="#product/${escapeHTML(product.id)}">${escapeHTML(product.name)}</a></h3>
+                    <p class="product-desc">${escapeHTML(product.description || '')}</p>
+                    <div class="product-meta">
+                        <span class="weight">${product.weight}g</span>
+                        <span class="pieces">${escapeHTML(product.pieces || '')}</span>
+                    </div>
+                    ${this.renderRating(product)}
+                    ${this.renderAllergens(product)}
+                    <div class="product-footer">
+                        <span class="price">${formatPrice(product.price)}</span>
+                        <button class="add-to-cart" data-id="${escapeHTML(product.id)}" ${soldOut ? 'disabled' : ''}>${t(soldOut ? 'product.soldOut' : 'product.addToCart')}</button>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    renderRating(product) {
+        const { average, count } = this.db.getRatingSummary(product.id);
+        if (count === 0) return '';
+
+        return `
+            <div class="product-rating" role="img" aria-label="${escapeHTML(t('reviews.rated', { average, count }))}">
+                <span class="stars">${formatStars(average)}</span>
+                <span>${average}</span>
+                <span class="rating-count">(${count})</span>
+            </div>
+        `;
+    }
+
+    renderAllergens(product) {
+        const allergens = product.allergens || [];
+        if (allergens.length === 0) return '';
+
+        return `
+            <ul class="allergen-list" aria-label="${escapeHTML(t('detail.contains'))}">
+                ${allergens.map(allergen => `<li class="allergen-chip">${t(`allergen.${allergen}`)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    // Same category first, closest in price
+    getRelated(product, limit = 4) {
+        return this.getByCategory(product.category)
+            .filter(other => other.id !== product.id)
+            .sort((a, b) => Math.abs(a.price - product.price) - Math.abs(b.price - product.price))
+            .slice(0, limit);
+    }
+
+    // Re-renders the cards on the page after stock changed (an order was placed or cancelled)
+    // or a rating did (a review was posted or hidden)
+    refreshStock() {
+        document.querySelectorAll('.product-card[data-id]').forEach(card => {
+            const product = this.getById(card.dataset.id);
+            if (product) {
+                card.outerHTML = this.renderCard(product);
+            }
+        });
+    }
+}
+
+// ====================================
+// Product Details
+// ====================================
+
+// Per 100g; energy in kcal, everything else in grams
+const NUTRITION_FIELDS = ['energy', 'fat', 'saturates', 'carbohydrates', 'sugars', 'protein', 'salt'];
+
+// The detail view lives at #product/<id>, so it can be linked and the back button closes it.
+// Navigation opens it from the hash; clicking a card or its title just sets the hash.
+class ProductDetail {
+    constructor(catalog, database) {
+        this.catalog = catalog;
+        this.db = database;
+        this.product = null;
+        this.imageIndex = 0;
+        this.reviewSort = 'newest';
+        // The buyer who proved a purchase of the open product with their order number and email
+        this.reviewer = null;
+        this.init();
+    }
+
+    init() {
+        // Buttons on the card (add to cart, wishlist) keep their own behaviour
+        document.addEventListener('click', (e) => {
+            const card = e.target.closest('.product-card[data-id]');
+            if (!card || e.target.closest('button, a')) return;
+            window.location.hash = `product/${card.dataset.id}`;
+        });
+
+        const close = document.getElementById('productClose');
+        if (close) {
+            close.addEventListener('click', () => this.close());
+        }
+
+        const body = document.getElementById('productBody');
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const thumb = e.target.closest('[data-detail-image]');
+                if (thumb) {
+                    this.imageIndex = Number(thumb.dataset.detailImage);
+                    this.render();
+                }
+
+                const report = e.target.closest('[data-review-report]');
+                if (report) {
+                    this.openReportForm(report);
+                }
+
+                if (e.target.closest('[data-review-switch]')) {
+                    this.reviewer = null;
+                    this.render();
+                    document.getElementById('reviewOrderId').focus();
+                }
+
+                const cancel = e.target.closest('[data-report-cancel]');
+                if (cancel) {
+                    this.closeReportForm(cancel.form);
+                }
+            });
+
+            body.addEventListener('change', (e) => {
+                if (e.target.name === 'reviewSort') {
+                    this.reviewSort = e.target.value;
+                    this.render();
+                }
+            });
+
+            body.addEventListener('submit', (e) => {
+                if (e.target.id === 'reviewVerifyForm') {
+                    e.preventDefault();
+                    this.verifyReviewer(e.target);
+                }
+
+                if (e.target.id === 'reviewForm') {
+                    e.preventDefault();
+                    this.submitReview(e.target);
+                }
+
+                if (e.target.dataset.reportReview) {
+                    e.preventDefault();
+                    this.reportReview(e.target);
+                }
+            });
+        }
+
+        const overlay = document.getElementById('overlay');
+        if (overlay) {
+            overlay.addEventListener('click', () => this.close());
+        }
+    }
+
+    isOpen() {
+        const modal = document.getElementById('productModal');
+        return Boolean(modal && modal.classList.contains('open'));
+    }
+
+    open(productId) {
+        const product = this.catalog.getById(productId);
+        if (!product) {
+            console.error('Unknown product:', productId);
+            this.close();
+            return;
+        }
+
+        const modal = document.getElementById('productModal');
+        const overlay = document.getElementById('overlay');
+        if (!modal || !overlay) return;
+
+        if (!this.product || this.product.id !== product.id) this.reviewer = null;
+        this.product = product;
+        this.imageIndex = 0;
+        this.render();
+        modal.querySelector('.modal-body').scrollTop = 0;
+        modal.classList.add('open');
+        overlay.classList.add('open');
+        eventBus.emit('product_viewed', { productId: product.id, name: product.name, category: product.category });
+    }
+
+    close() {
+        const modal = document.getElementById('productModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && modal.classList.contains('open')) {
+            modal.classList.remove('open');
+            if (overlay) overlay.classList.remove('open');
+        }
+        this.product = null;
+        this.reviewer = null;
+
+        // Drop the #product/... hash without triggering another navigation
+        if (window.location.hash.startsWith('#product/')) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+
+    // `images` in data/products.json lists the product's image paths; without it the icon is shown
+    renderGallery(product) {
+        const images = product.images || [];
+        const main = images.length > 0
+            ? `<img src="${escapeHTML(images[this.imageIndex] || images[0])}" alt="${escapeHTML(t('detail.image', { name: product.name, index: this.imageIndex + 1, count: images.length }))}">`
+            : escapeHTML(product.icon || '');
+
+        const thumbs = images.length > 1 ? `
+            <div class="detail-thumbs">
+                ${images.map((src, index) => `
+                    <button type="button" class="detail-thumb ${index === this.imageIndex ? 'active' : ''}" data-detail-image="${index}" aria-pressed="${index === this.imageIndex}" aria-label="${escapeHTML(t('detail.image', { name: product.name, index: index + 1, count: images.length }))}">
+                        <img src="${escapeHTML(src)}" alt="">
+                    </button>
+                `).join('')}
+            </div>
+        ` : '';
+
+        const saved = this.db.isWishlisted(product.id);
+        return `
+            <div class="detail-gallery">
+                <div class="detail-image placeholder-img ${product.category}-img">
+                    ${main}
+                    <button type="button" class="wishlist-heart ${saved ? 'active' : ''}" data-wishlist-id="${escapeHTML(product.id)}" aria-pressed="${saved}" aria-label="${escapeHTML(t(saved ? 'wishlist.remove' : 'wishlist.add', { name: product.name }))}">${saved ? '♥' : '♡'}</button>
+                </div>
+                ${thumbs}
+            </div>
+        `;
+    }
+
+    renderAllergenInfo(product) {
+        const list = allergens => allergens.map(allergen => t(`allergen.${allergen}`)).join(', ');
+        const contains = product.allergens || [];
+        const traces = product.traces || [];
+        const diets = DIETS.filter(diet => suitsDiet(product, diet));
+
+        return `
+            <div class="detail-section">
+                <h3>${t('detail.allergens')}</h3>
+                ${contains.length > 0
+                    ? `<p class="detail-allergens">${t('detail.containsList', { list: list(contains) })}</p>`
+                    : `<p>${t('detail.noAllergens')}</p>`}
+                ${traces.length > 0 ? `<p>${t('detail.traces', { list: list(traces) })}</p>` : ''}
+                ${diets.length > 0 ? `
+                    <ul class="allergen-list">
+                        ${diets.map(diet => `<li class="allergen-chip diet">${t(`diet.${diet}`)}</li>`).join('')}
+                    </ul>
+                ` : ''}
+            </div>
+        `;
+    }
+
+    renderNutrition(product) {
+        if (!product.nutrition) return '';
+
+        const rows = NUTRITION_FIELDS
+            .filter(field => Number.isFinite(product.nutrition[field]))
+            .map(field => `
+                <tr class="${['saturates', 'sugars'].includes(field) ? 'sub' : ''}">
+                    <th scope="row">${t(`nutrition.${field}`)}</th>
+                    <td>${product.nutrition[field]} ${field === 'energy' ? 'kcal' : 'g'}</td>
+                </tr>
+            `).join('');
+
+        return `
+            <div class="detail-section">
+                <h3>${t('detail.nutrition')}</h3>
+                <table class="nutrition-table">${rows}</table>
+            </div>
+        `;
+    }
+
+    renderRelated(product) {
+        const related = this.catalog.getRelated(product);
+        if (related.length === 0) return '';
+
+        return `
+            <div class="detail-section">
+                <h3>${t('detail.related')}</h3>
+                <div class="detail-related">
+                    ${related.map(other => `
+                        <a class="related-item" href="#product/${escapeHTML(other.id)}">
+                            <span class="related-icon placeholder-img ${other.category}-img">${escapeHTML(other.icon || '')}</span>
+                            <span class="related-name">${escapeHTML(other.name)}</span>
+                            <span class="related-price">${formatPrice(other.price)}</span>
+                        </a>
+                    `).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    render() {
+        const product = this.product;
+        const title = document.getElementById('productTitle');
+        const body = document.getElementById('productBody');
+        if (!product || !body) return;
+
+        const stock = this.db.getStock(product.id);
+        const soldOut = stock === 0;
+        let stockStatus = '';
+        if (soldOut) {
+            stockStatus = `<span class="detail-stock sold-out">${t('product.soldOut')}</span>`;
+        } else if (stock !== null && stock <= LOW_STOCK_THRESHOLD) {
+            stockStatus = `<span class="detail-stock low-stock">${t('product.lowStock', { count: stock })}</span>`;
+        }
+
+        if (title) title.textContent = product.name;
+        body.innerHTML = `
+            <div class="detail-top">
+                ${this.renderGallery(product)}
+                <div class="detail-summary">
+                    ${product.badge ? `<span class="product-badge detail-badge">${escapeHTML(product.badge)}</span>` : ''}
+                    <p class="detail-description">${escapeHTML(product.description || '')}</p>
+                    <div class="product-meta">
+                        <span class="weight">${product.weight}g</span>
+                        <span class="pieces">${escapeHTML(product.pieces || '')}</span>
+                    </div>
+                    <div class="product-footer">
+                        <span class="price">${formatPrice(product.price)}</span>
+                        ${stockStatus}
+                        <button class="add-to-cart" data-id="${escapeHTML(product.id)}" ${soldOut ? 'disabled' : ''}>${t(soldOut ? 'product.soldOut' : 'product.addToCart')}</button>
+                    </div>
+                </div>
+            </div>
+            ${product.ingredients ? `
+                <div class="detail-section">
+                    <h3>${t('detail.ingredients')}</h3>
+                    <p>${escapeHTML(product.ingredients)}</p>
+                </div>
+            ` : ''}
+            ${this.renderAllergenInfo(product)}
+            ${this.renderNutrition(product)}
+            ${this.renderReviews(product)}
+            ${this.renderRelated(product)}
+        `;
+    }
+
+    renderReviews(product) {
+        const { average, count } = this.db.getRatingSummary(product.id);
+        const reviews = sortReviews(this.db.getReviews(product.id), this.reviewSort);
+
+        const list = reviews.map(review => `
+            <li class="review">
+                <div class="review-header">
+                    <span class="stars" aria-label="${escapeHTML(t('reviews.stars', { count: review.rating }))}">${formatStars(review.rating)}</span>
+                    <strong>${escapeHTML(formatReviewerName(review.name))}</strong>
+                    <span class="review-verified">${t('reviews.verified')}</span>
+                    <span class="review-date">${new Date(review.createdAt).toLocaleDateString(LANGUAGES[localization.language].locale)}</span>
+                </div>
+                <p class="review-text">${escapeHTML(review.text)}</p>
+                <button type="button" class="order-link" data-review-report="${escapeHTML(review.id)}">${t('reviews.report')}</button>
+            </li>
+        `).join('');
+
+        return `
+            <div class="detail-section" id="productReviews">
+                <div class="reviews-header">
+                    <h3>${t('reviews.title')}</h3>
+                    ${count > 0 ? `
+                        <span class="reviews-summary">
+                            <span class="stars" aria-hidden="true">${formatStars(average)}</span>
+                            ${t('reviews.summary', { average, count })}
+                        </span>
+                        <select class="filter-select" name="reviewSort" aria-label="${escapeHTML(t('reviews.sortLabel'))}">
+                            ${Object.keys(REVIEW_SORTS).map(order => `<option value="${order}" ${order === this.reviewSort ? 'selected' : ''}>${t(REVIEW_SORTS[order])}</option>`).join('')}
+                        </select>
+                    ` : ''}
+                </div>
+                ${count > 0 ? `<ul class="review-list">${list}</ul>` : `<p>${t('reviews.none')}</p>`}
+                ${this.renderReviewForm(product)}
+            </div>
+        `;
+    }
+
+    // Only customers with a saved order that includes the product can review it. Several customers
+    // may share the device, so they prove which order is theirs instead of picking from a list.
+    renderReviewForm(product) {
+        if (this.db.getVerifiedBuyers(product.id).length === 0) {
+            return `<p class="review-locked">${t('reviews.locked')}</p>`;
+        }
+        if (!this.reviewer) {
+            return this.renderVerifyForm();
+        }
+
+        const existing = this.db.findReview(product.id, this.reviewer.email);
+        const stars = [5, 4, 3, 2, 1].map(rating => `
+            <input type="radio" id="reviewRating${rating}" name="rating" value="${rating}" ${existing && existing.rating === rating ? 'checked' : ''}>
+            <label for="reviewRating${rating}" title="${escapeHTML(t('reviews.stars', { count: rating }))}"><span aria-hidden="true">★</span><span class="visually-hidden">${t('reviews.stars', { count: rating })}</span></label>
+        `).join('');
+
+        return `
+            <form class="review-form" id="reviewForm" novalidate>
+                <h4>${t(existing ? 'reviews.editTitle' : 'reviews.formTitle')}</h4>
+                <p class="review-as">
+                    ${escapeHTML(t('reviews.as', { name: formatReviewerName(this.reviewer.name) }))}
+                    <button type="button" class="order-link" data-review-switch>${t('reviews.switch')}</button>
+                </p>
+                <div class="form-group">
+                    <fieldset class="review-stars">
+                        <legend>${t('reviews.rating')}</legend>
+                        ${stars}
+                    </fieldset>
+                    <span class="field-error" id="reviewRatingError"></span>
+                </div>
+                <div class="form-group">
+                    <label for="reviewText">${t('reviews.text')}</label>
+                    <textarea id="reviewText" name="text" rows="4" maxlength="${REVIEW_TEXT_MAX}">${existing ? escapeHTML(existing.text) : ''}</textarea>
+                    <span class="field-error" id="reviewTextError"></span>
+                </div>
+                <button type="submit" class="order-action">${t('reviews.submit')}</button>
+            </form>
+        `;
+    }
+
+    renderVerifyForm() {
+        return `
+            <form class="review-form" id="reviewVerifyForm" novalidate>
+                <h4>${t('reviews.formTitle')}</h4>
+                <p>${t('reviews.verifyIntro')}</p>
+                <div class="form-group">
+                    <label for="reviewOrderId">${t('reviews.orderId')}</label>
+                    <input type="text" id="reviewOrderId" name="orderId" autocomplete="off" placeholder="ORD-1700000000000">
+                </div>
+                <div class="form-group">
+                    <label for="reviewEmail">${t('reviews.email')}</label>
+                    <input type="email" id="reviewEmail" name="email" autocomplete="email">
+                    <span class="field-error" id="reviewVerifyError"></span>
+                </div>
+                <button type="submit" class="order-action">${t('reviews.verify')}</button>
+            </form>
+        `;
+    }
+
+    verifyReviewer(form) {
+        const buyer = this.db.findVerifiedBuyer(this.product.id, form.elements.orderId.value, form.elements.email.value);
+        if (!buyer) {
+            document.getElementById('reviewVerifyError').textContent = t('reviews.errorVerify');
+            return;
+        }
+
+        this.reviewer = buyer;
+        this.render();
+        document.getElementById('reviewRating5').focus();
+    }
+
+    submitReview(form) {
+        const rating = Number(form.elements.rating.value);
+        const text = form.elements.text.value.trim();
+        const ratingError = rating >= 1 && rating <= 5 ? '' : t('reviews.errorRating');
+        const textError = text.length >= REVIEW_TEXT_MIN ? '' : t('reviews.errorText', { min: REVIEW_TEXT_MIN });
+
+        document.getElementById('reviewRatingError').textContent = ratingError;
+        document.getElementById('reviewTextError').textContent = textError;
+        if (ratingError || textError) return;
+
+        const review = this.db.saveReview({ productId: this.product.id, orderId: this.reviewer.orderId, email: this.reviewer.email, rating, text });
+        if (!review) return;
+
+        eventBus.emit('review_submitted', { productId: review.productId, rating: review.rating });
+        announce(t('reviews.thanks'));
+        this.render();
+        // Cards show the new average straight away
+        this.catalog.refreshStock();
+    }
+
+    // The report form opens inside the review, in place of its Report button
+    openReportForm(button) {
+        const reviewId = button.dataset.reviewReport;
+        const fieldId = `reportReason-${reviewId}`;
+
+        button.hidden = true;
+        button.insertAdjacentHTML('afterend', `
+            <form class="review-report-form" data-report-review="${escapeHTML(reviewId)}" novalidate>
+                <label for="${escapeHTML(fieldId)}">${t('reviews.reportReason')}</label>
+                <textarea id="${escapeHTML(fieldId)}" name="reason" rows="2" maxlength="${REVIEW_TEXT_MAX}"></textarea>
+                <div class="review-report-actions">
+                    <button type="submit" class="order-action">${t('reviews.reportSend')}</button>
+                    <button type="button" class="order-action secondary" data-report-cancel>${t('reviews.reportCancel')}</button>
+                </div>
+            </form>
+        `);
+        document.getElementById(fieldId).focus();
+    }
+
+    closeReportForm(form) {
+        const button = form.previousElementSibling;
+        form.remove();
+        button.hidden = false;
+        button.focus();
+    }
+
+    reportReview(form) {
+        if (!this.db.reportReview(form.dataset.reportReview, form.elements.reason.value.trim())) return;
+
+        const button = form.previousElementSibling;
+        form.remove();
+        button.hidden = false;
+        button.disabled = true;
+        button.textContent = t('reviews.reported');
+        announce(t('reviews.reported'));
+    }
+}
+
+// ====================================
+// Product Reviews
+// ====================================
+
+const REVIEW_TEXT_MIN = 10;
+const REVIEW_TEXT_MAX = 1000;
+const REVIEW_SORTS = {
+    newest: 'reviews.sortNewest',
+    highest: 'reviews.sortHighest',
+    lowest: 'reviews.sortLowest'
+};
+
+function sortReviews(reviews, order = 'newest') {
+    const newest = (a, b) => b.createdAt.localeCompare(a.createdAt);
+    const sorters = {
+        newest,
+        highest: (a, b) => b.rating - a.rating || newest(a, b),
+        lowest: (a, b) => a.rating - b.rating || newest(a, b)
+    };
+    return reviews.slice().sort(sorters[order] || newest);
+}
+
+// ★★★★☆ for 4 (rounded to the nearest whole star)
+function formatStars(rating) {
+    const full = Math.round(rating);
+    return '★'.repeat(full) + '☆'.repeat(5 - full);
+}
+
+// Reviews show the first name and the initial of the last one: "Ann L."
+function formatReviewerName(name) {
+    const [first, ...rest] = String(name || '').trim().split(/\s+/);
+    const last = rest.length > 0 ? ` ${rest[rest.length - 1].charAt(0)}.` : '';
+    return `${first}${last}`;
+}
+
+// ====================================
+// Product Search & Filters
+// ====================================
+
+const PRICE_RANGES = ['0-20000', '20000-40000', '40000-70000', '70000-'];
+const WEIGHT_RANGES = ['0-300', '300-600', '600-1000', '1000-'];
+const SORT_ORDERS = {
+    featured: 'search.sortFeatured',
+    'price-asc': 'search.sortPriceAsc',
+    'price-desc': 'search.sortPriceDesc',
+    name: 'search.sortName',
+    popular: 'search.sortPopular',
+    rating: 'search.sortRating'
+};
+
+// Allergen flags used in data/products.json: `allergens` lists what a product contains,
+// `traces` what it may contain. `diets` lists the diets the shop states a product suits;
+// it is never worked out from the allergen flags.
+const ALLERGENS = ['nuts', 'gluten', 'dairy', 'gelatin', 'alcohol'];
+const DIETS = ['vegetarian', 'halal'];
+
+// Traces count too, so "free from nuts" is safe for a nut allergy
+function hasAllergen(product, allergen) {
+    return (product.allergens || []).includes(allergen) || (product.traces || []).includes(allergen);
+}
+
+function suitsDiet(product, diet) {
+    return (product.diets || []).includes(diet);
+}
+
+function parseRange(range) {
+    const [min, max] = String(range).split('-');
+    return {
+        min: min ? Number(min) : 0,
+        max: max ? Number(max) : Infinity
+    };
+}
+
+// Pure filter + sort over catalog products; `popularity` maps product id to units sold
+// and `ratings` maps it to { average, count } (see ChocoDatabase.getRatingSummaries)
+function searchProducts(products, criteria, popularity = {}, ratings = {}) {
+    const terms = (criteria.q || '').toLowerCase().split(/\s+/).filter(Boolean);
+    const price = criteria.price ? parseRange(criteria.price) : null;
+    const weight = criteria.weight ? parseRange(criteria.weight) : null;
+    const excluded = criteria.free ? criteria.free.split(',') : [];
+
+    const results = products.filter(product => {
+        const text = `${product.name} ${product.description || ''}`.toLowerCase();
+        return terms.every(term => text.includes(term)) &&
+            (!criteria.category || product.category === criteria.category) &&
+            (!criteria.badge || product.badge === criteria.badge) &&
+            (!price || (product.price >= price.min && product.price < price.max)) &&
+            (!weight || (product.weight >= weight.min && product.weight < weight.max)) &&
+            (!DIETS.includes(criteria.diet) || suitsDiet(product, criteria.diet)) &&
+            excluded.every(allergen => !hasAllergen(product, allergen));
+    });
+
+    const sorters = {
+        'price-asc': (a, b) => a.price - b.price,
+        'price-desc': (a, b) => b.price - a.price,
+        name: (a, b) => a.name.localeCompare(b.name),
+        popular: (a, b) => (popularity[b.id] || 0) - (popularity[a.id] || 0),
+        rating: (a, b) => {
+            const left = ratings[a.id] || { average: 0, count: 0 };
+            const right = ratings[b.id] || { average: 0, count: 0 };
+            return right.average - left.average || right.count - left.count;
+        }
+    };
+    // Array.prototype.sort is stable, so ties keep catalog order
+    return sorters[criteria.sort] ? results.slice().sort(sorters[criteria.sort]) : results;
+}
+
+class ProductSearch {
+    static FIELDS = ['q', 'category', 'price', 'weight', 'badge', 'diet', 'free', 'sort'];
+
+    constructor(catalog, database) {
+        this.catalog = catalog;
+        this.db = database;
+        this.criteria = {};
+        this.typingTimer = null;
+        this.init();
+    }
+
+    init() {
+        this.renderOptions();
+
+        const form = document.getElementById('searchForm');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.update();
+            });
+
+            form.addEventListener('change', () => this.update());
+
+            form.addEventListener('input', (e) => {
+                if (e.target.name === 'q') {
+                    clearTimeout(this.typingTimer);
+                    this.typingTimer = setTimeout(() => this.update(), 250);
+                }
+            });
+        }
+
+        const clearButton = document.getElementById('searchClear');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.clear());
+        }
+    }
+
+    renderOptions() {
+        const fill = (id, options) => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const current = select.value;
+            select.innerHTML = options.map(([value, label]) => `<option value="${escapeHTML(value)}">${escapeHTML(label)}</option>`).join('');
+            select.value = current;
+        };
+
+        const rangeLabel = (range, format) => {
+            const { min, max } = parseRange(range);
+            if (min === 0) return t('search.under', { max: format(max) });
+            if (max === Infinity) return t('search.over', { min: format(min) });
+            return `${format(min)} – ${format(max)}`;
+        };
+
+        const badges = [...new Set(this.catalog.products.map(product => product.badge).filter(Boolean))];
+
+        fill('filterCategory', [['', t('search.allCategories')],
+            ...['chocolate', 'jelly', 'mix'].map(category => [category, t(`category.${category}`)])]);
+        fill('filterPrice', [['', t('search.anyPrice')],
+            ...PRICE_RANGES.map(range => [range, rangeLabel(range, formatPrice)])]);
+        fill('filterWeight', [['', t('search.anyWeight')],
+            ...WEIGHT_RANGES.map(range => [range, rangeLabel(range, grams => `${grams}g`)])]);
+        fill('filterBadge', [['', t('search.anyBadge')], ...badges.map(badge => [badge, badge])]);
+        fill('filterDiet', [['', t('search.anyDiet')],
+            ...DIETS.map(diet => [diet, t(`diet.${diet}`)])]);
+        fill('sortOrder', Object.keys(SORT_ORDERS).map(order => [order, t(SORT_ORDERS[order])]));
+
+        const allergens = document.getElementById('filterAllergens');
+        if (allergens) {
+            const checked = this.getCheckedAllergens();
+            allergens.innerHTML = `<legend>${t('search.freeFrom')}</legend>` + ALLERGENS.map(allergen => `
+                <label class="filter-check">
+                    <input type="checkbox" name="free" value="${allergen}" ${checked.includes(allergen) ? 'checked' : ''}>
+                    ${t(`allergen.${allergen}`)}
+                </label>
+            `).join('');
+        }
+    }
+
+    getCheckedAllergens() {
+        return [...document.querySelectorAll('#searchForm [name="free"]:checked')].map(input => input.value);
+    }
+
+    readForm() {
+        const form = document.getElementById('searchForm');
+        const criteria = {};
+        ProductSearch.FIELDS.forEach(field => {
+            let value = form.elements[field] ? form.elements[field].value.trim() : '';
+            if (field === 'free') value = this.getCheckedAllergens().join(',');
+            if (value && !(field === 'sort' && value === 'featured')) {
+                criteria[field] = value;
+            }
+        });
+        return criteria;
+    }
+
+    writeForm() {
+        const form = document.getElementById('searchForm');
+        if (!form) return;
+        ProductSearch.FIELDS.forEach(field => {
+            if (field === 'free') {
+                const free = (this.criteria.free || '').split(',');
+                form.querySelectorAll('[name="free"]').forEach(input => {
+                    input.checked = free.includes(input.value);
+                });
+            } else if (form.elements[field]) {
+                form.elements[field].value = this.criteria[field] || (field === 'sort' ? 'featured' : '');
+            }
+        });
+    }
+
+    isActive() {
+        return Object.keys(this.criteria).length > 0;
+    }
+
+    update() {
+        this.criteria = this.readForm();
+        this.render();
+        this.writeHash();
+    }
+
+    // Called by Navigation with the parameters from a #search?... link
+    restore(params) {
+        this.criteria = {};
+        ProductSearch.FIELDS.forEach(field => {
+            const value = params.get(field);
+            if (value) this.criteria[field] = value;
+        });
+        this.writeForm();
+        this.render();
+    }
+
+    clear() {
+        this.criteria = {};
+        this.writeForm();
+        this.render();
+        this.writeHash();
+    }
+
+    writeHash() {
+        const params = new URLSearchParams(this.criteria).toString();
+        const base = window.location.pathname + window.location.search;
+        history.replaceState(null, '', params ? `${base}#search?${params}` : base);
+    }
+
+    getPopularity() {
+        const popularity = {};
+        this.db.loadOrders()
+            .filter(order => order.status !== 'cancelled')
+            .forEach(order => {
+                order.items.forEach(item => {
+                    popularity[item.productId] = (popularity[item.productId] || 0) + (item.quantity || 1);
+                });
+            });
+        return popularity;
+    }
+
+    render() {
+        const resultsSection = document.getElementById('searchResults');
+        const grid = document.getElementById('searchResultsGrid');
+        const summary = document.getElementById('searchSummary');
+        const active = this.isActive();
+
+        document.querySelectorAll('.products-section[data-catalog-section]').forEach(section => {
+            section.hidden = active;
+        });
+        if (!resultsSection) return;
+
+        resultsSection.hidden = !active;
+        if (!active) return;
+
+        const results = searchProducts(this.catalog.products, this.criteria, this.getPopularity(), this.db.getRatingSummaries());
+        grid.innerHTML = results.map(product => this.catalog.renderCard(product)).join('');
+        summary.textContent = results.length > 0
+            ? t('search.count', { count: results.length })
+            : t('search.empty');
+    }
+}
+
+// ====================================
+// Mix Box Builder
+// ====================================
+
+const CUSTOM_BOX_ID = 'custom-box';
+
+// Each slot holds one pack of a chocolate or jelly product; the fee covers the box itself
+const MIX_BOX_SIZES = {
+    small: { slots: 4, fee: 2000, icon: '🍬' },
+    medium: { slots: 6, fee: 3000, icon: '🎁' },
+    large: { slots: 9, fee: 4000, icon: '🧺' }
+};
+
+// Builds the composite cart line for a box filled with `products` (one entry per slot)
+function createMixBox(size, products) {
+    const contents = [];
+    products.forEach(product => {
+        const existing = contents.find(entry => entry.productId === product.id);
+        if (existing) {
+            existing.quantity += 1;
+        } else {
+            contents.push({
+                productId: product.id,
+                name: product.name,
+                price: product.price,
+                weight: product.weight || 0,
+                category: product.category,
+                quantity: 1
+            });
+        }
+    });
+
+    // Boxes with the same size and contents share an id, so adding one twice bumps its quantity
+    const signature = contents
+        .map(entry => `${entry.productId}x${entry.quantity}`)
+        .sort()
+        .join(',');
+
+    return {
+        id: `${CUSTOM_BOX_ID}-${size}-${checksum(signature)}`,
+        productId: CUSTOM_BOX_ID,
+        name: t('mixBox.lineName', { size: t(`mixBox.size.${size}`) }),
+        price: contents.reduce((sum, entry) => sum + entry.price * entry.quantity, 0) + MIX_BOX_SIZES[size].fee,
+        category: 'mix',
+        box: size,
+        weight: contents.reduce((sum, entry) => sum + entry.weight * entry.quantity, 0),
+        contents
+    };
+}
+
+function formatBoxContents(contents) {
+    return contents.map(entry => `${entry.quantity} × ${entry.name}`).join(', ');
+}
+
+class MixBoxBuilder {
+    constructor(catalog, cart) {
+        this.catalog = catalog;
+        this.cart = cart;
+        this.size = 'medium';
+        this.slots = [];
+        this.category = 'chocolate';
+        this.init();
+    }
+
+    init() {
+        const openButton = document.getElementById('mixBuilderOpen');
+        if (openButton) {
+            openButton.addEventListener('click', () => this.open());
+        }
+
+        const close = document.getElementById('mixBuilderClose');
+        if (close) {
+            close.addEventListener('click', () => this.close());
+        }
+
+        const body = document.getElementById('mixBuilderBody');
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-mix-action]');
+                if (!button || button.disabled) return;
+
+                switch (button.dataset.mixAction) {
+                    case 'size':
+                        this.setSize(button.dataset.size);
+                        break;
+                    case 'tab':
+                        this.category = button.dataset.category;
+                        this.render();
+                        break;
+                    case 'add':
+                        this.addSlot(button.dataset.id);
+                        break;
+                    case 'remove':
+                        this.removeSlot(Number(button.dataset.index));
+                        break;
+                    case 'add-to-cart':
+                        this.addToCart();
+                        break;
+                }
+            });
+        }
+
+        const overlay = document.getElementById('overlay');
+        if (overlay) {
+            overlay.addEventListener('click', () => this.close());
+        }
+    }
+
+    open() {
+        this.cart.closeCart();
+
+        const modal = document.getElementById('mixBuilderModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && overlay) {
+            this.render();
+            modal.classList.add('open');
+            overlay.classList.add('open');
+        }
+    }
+
+    close() {
+        const modal = document.getElementById('mixBuilderModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && modal.classList.contains('open')) {
+            modal.classList.remove('open');
+            if (overlay) overlay.classList.remove('open');
+        }
+    }
+
+    getCapacity() {
+        return MIX_BOX_SIZES[this.size].slots;
+    }
+
+    getSlotProducts() {
+        return this.slots.map(productId => this.catalog.getById(productId)).filter(Boolean);
+    }
+
+    setSize(size) {
+        if (!MIX_BOX_SIZES[size]) return;
+        this.size = size;
+        this.slots = this.slots.slice(0, this.getCapacity());
+        this.render();
+    }
+
+    // Stock left for the builder after the cart and the slots filled so far
+    getAvailable(productId) {
+        const stock = this.cart.db.getStock(productId);
+        if (stock === null) return Infinity;
+
+        const inCart = this.cart.db.countUnits(this.cart.items).get(productId);
+        const inSlots = this.slots.filter(id => id === productId).length;
+        return stock - (inCart ? inCart.quantity : 0) - inSlots;
+    }
+
+    addSlot(productId) {
+        if (this.slots.length >= this.getCapacity() || !this.catalog.getById(productId)) return;
+        if (this.getAvailable(productId) <= 0) return;
+        this.slots.push(productId);
+        this.render();
+    }
+
+    removeSlot(index) {
+        this.slots.splice(index, 1);
+        this.render();
+    }
+
+    addToCart() {
+        const products = this.getSlotProducts();
+        if (products.length !== this.getCapacity()) return;
+
+        if (!this.cart.addMixBox(createMixBox(this.size, products))) {
+            this.render();
+            return;
+        }
+        this.slots = [];
+        this.close();
+    }
+
+    render() {
+        const body = document.getElementById('mixBuilderBody');
+        if (!body) return;
+
+        const capacity = this.getCapacity();
+        const products = this.getSlotProducts();
+        const isFull = products.length === capacity;
+        const preview = createMixBox(this.size, products);
+
+        const sizesHTML = Object.entries(MIX_BOX_SIZES).map(([size, box]) => `
+            <button type="button" class="mix-size ${size === this.size ? 'active' : ''}" data-mix-action="size" data-size="${size}" aria-pressed="${size === this.size}">
+                <span class="mix-size-icon">${box.icon}</span>
+                <span class="mix-size-name">${t(`mixBox.size.${size}`)}</span>
+                <span class="mix-size-info">${t('mixBox.sizeInfo', { slots: box.slots, fee: formatPrice(box.fee) })}</span>
+            </button>
+        `).join('');
+
+        const slotsHTML = Array.from({ length: capacity }, (_, index) => {
+            const product = products[index];
+            return product ? `
+                <button type="button" class="mix-slot filled" data-mix-action="remove" data-index="${index}" aria-label="${escapeHTML(t('mixBox.remove', { name: product.name }))}">
+                    <span class="mix-slot-icon">${product.icon || '🍫'}</span>
+                    <span class="mix-slot-name">${escapeHTML(product.name)}</span>
+                    <span class="mix-slot-remove">×</span>
+                </button>
+            ` : `
+                <div class="mix-slot empty">${t('mixBox.emptySlot')}</div>
+            `;
+        }).join('');
+
+        const tabsHTML = ['chocolate', 'jelly'].map(category => `
+            <button type="button" class="mix-tab ${category === this.category ? 'active' : ''}" data-mix-action="tab" data-category="${category}" aria-pressed="${category === this.category}">${t(`category.${category}`)}</button>
+        `).join('');
+
+        const pickerHTML = this.catalog.getByCategory(this.category).map(product => `
+            <div class="mix-option">
+                <span class="mix-option-icon">${product.icon || '🍫'}</span>
+                <span class="mix-option-name">${escapeHTML(product.name)}</span>
+                <span class="mix-option-meta">${product.weight}g · ${formatPrice(product.price)}</span>
+                <button type="button" class="mix-option-add" data-mix-action="add" data-id="${escapeHTML(product.id)}" ${isFull || this.getAvailable(product.id) <= 0 ? 'disabled' : ''}>${this.getAvailable(product.id) <= 0 ? t('product.soldOut') : t('mixBox.add')}</button>
+            </div>
+        `).join('');
+
+        body.innerHTML = `
+            <div class="mix-sizes">${sizesHTML}</div>
+            <p class="mix-progress">${t('mixBox.slots', { filled: products.length, total: capacity })}</p>
+            <div class="mix-slots">${slotsHTML}</div>
+            <div class="mix-tabs">${tabsHTML}</div>
+            <div class="mix-picker">${pickerHTML}</div>
+            <div class="mix-summary">
+                <div class="mix-summary-values">
+                    <span>${t('mixBox.weight')}: <strong>${preview.weight}g</strong></span>
+                    <span>${t('mixBox.price')}: <strong>${formatPrice(preview.price)}</strong></span>
+                </div>
+                ${isFull ? '' : `<p class="mix-hint">${t('mixBox.fillAll')}</p>`}
+                <button type="button" class="submit-order" data-mix-action="add-to-cart" ${isFull ? '' : 'disabled'}>${t('mixBox.addToCart')}</button>
+            </div>
+        `;
+    }
+}
+
+// ====================================
+// Pricing Engine
+// ====================================
+
+const SHIPPING_FEE = 3000;
+const FREE_SHIPPING_FROM = 50000;
+const PROMOTION_TYPES = ['percent', 'fixed', 'free-shipping', 'buy-x-get-y'];
+
+// Turns cart lines into a price breakdown. Promo codes come from data/promotions.json:
+// { code, type, value, category, buy, get, minSubtotal, expiresAt }
+class PricingEngine {
+    constructor(source = 'data/promotions.json') {
+        this.source = source;
+        this.promotions = [];
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.source);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.setPromotions(await response.json());
+            console.log(`🏷️ Promotions loaded: ${this.promotions.length} codes`);
+        } catch (error) {
+            console.warn('Promotions fetch failed, promo codes are unavailable:', error.message);
+            this.promotions = [];
+        }
+        return this.promotions;
+    }
+
+    setPromotions(promotions) {
+        this.promotions = (Array.isArray(promotions) ? promotions : []).filter(promo => this.isValid(promo));
+    }
+
+    isValid(promo) {
+        const valid = promo &&
+            typeof promo.code === 'string' &&
+            PROMOTION_TYPES.includes(promo.type) &&
+            (promo.type !== 'buy-x-get-y' || (promo.buy > 0 && promo.get > 0 && Boolean(promo.category)));
+
+        if (!valid) {
+            console.warn('Skipping invalid promotion:', promo);
+        }
+        return valid;
+    }
+
+    findPromotion(code) {
+        const wanted = String(code || '').trim().toUpperCase();
+        return this.promotions.find(promo => promo.code.toUpperCase() === wanted);
+    }
+
+    // `delivery` is the chosen zone's { fee, freeFrom }; until one is chosen the flat rate applies.
+    // Free shipping is earned by what the goods cost after `discount`.
+    getShipping(subtotal, delivery = null, discount = 0) {
+        const fee = delivery ? delivery.fee : SHIPPING_FEE;
+        const freeFrom = delivery ? delivery.freeFrom : FREE_SHIPPING_FROM;
+        return subtotal === 0 || (freeFrom !== null && subtotal - discount >= freeFrom) ? 0 : fee;
+    }
+
+    // Returns the reason a promotion can't be used, or null
+    checkPromotion(promo, items, subtotal, now, shipping) {
+        if (!promo) return t('promo.unknown');
+
+        // Codes are valid through the whole expiry day
+        if (promo.expiresAt && now > new Date(`${promo.expiresAt}T23:59:59.999`)) {
+            return t('promo.expired');
+        }
+
+        if (subtotal < (promo.minSubtotal || 0)) {
+            return t('promo.minimum', { min: formatPrice(promo.minSubtotal) });
+        }
+
+        if (this.getDiscount(promo, items, subtotal, shipping) <= 0) {
+            return t('promo.notApplicable');
+        }
+        return null;
+    }
+
+    getDiscount(promo, items, subtotal, shipping) {
+        const lines = promo.category ? items.filter(item => item.category === promo.category) : items;
+        const base = lines.reduce((sum, item) => sum + item.price * item.quantity, 0);
+
+        switch (promo.type) {
+            case 'percent':
+                return Math.round(base * Math.min(promo.value, 100) / 100);
+            case 'fixed':
+                return Math.min(promo.value, base);
+            case 'free-shipping':
+                return shipping;
+            case 'buy-x-get-y': {
+                // Every full group of buy + get units makes the cheapest `get` of them free
+                const unitPrices = lines
+                    .flatMap(item => Array(item.quantity).fill(item.price))
+                    .sort((a, b) => a - b);
+                const freeUnits = Math.floor(unitPrices.length / (promo.buy + promo.get)) * promo.get;
+                return unitPrices.slice(0, freeUnits).reduce((sum, price) => sum + price, 0);
+            }
+            default:
+                return 0;
+        }
+    }
+
+    getLabel(promo) {
+        const category = promo.category ? t(`category.${promo.category}`) : '';
+        switch (promo.type) {
+            case 'percent':
+                return t(promo.category ? 'promo.percentCategory' : 'promo.percent', { code: promo.code, value: promo.value, category });
+            case 'fixed':
+                return t('promo.fixed', { code: promo.code, amount: formatPrice(promo.value) });
+            case 'free-shipping':
+                return t('promo.freeShipping', { code: promo.code });
+            default:
+                return t('promo.bundle', { code: promo.code, buy: promo.buy, get: promo.get, category });
+        }
+    }
+
+    // extras are checkout charges on top of the goods (e.g. gift wrap): [{ label, amount }]
+    quote(items, { promoCode = null, extras = [], delivery = null, now = new Date() } = {}) {
+        const subtotal = items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+        const discounts = [];
+        let shipping = this.getShipping(subtotal, delivery);
+        let promoError = null;
+
+        if (promoCode) {
+            const promo = this.findPromotion(promoCode);
+            promoError = this.checkPromotion(promo, items, subtotal, now, shipping);
+            if (!promoError) {
+                const amount = this.getDiscount(promo, items, subtotal, shipping);
+                if (promo.type !== 'free-shipping') {
+                    shipping = this.getShipping(subtotal, delivery, amount);
+                }
+                discounts.push({
+                    code: promo.code,
+                    type: promo.type,
+                    label: this.getLabel(promo),
+                    amount
+                });
+            }
+        }
+
+        const discountTotal = discounts.reduce((sum, discount) => sum + discount.amount, 0);
+        const extrasTotal = extras.reduce((sum, extra) => sum + extra.amount, 0);
+
+        return {
+            subtotal,
+            discounts,
+            extras,
+            shipping,
+            total: Math.max(0, subtotal - discountTotal) + shipping + extrasTotal,
+            promoCode: promoError ? null : (discounts[0] ? discounts[0].code : null),
+            promoError
+        };
+    }
+}
+
+// ====================================
+// Delivery Scheduling
+// ====================================
+
+const DELIVERY_METHODS = ['delivery', 'pickup'];
+
+// Local calendar day as YYYY-MM-DD, the format of <input type="date">
+function toDateKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// "Sat, Oct 24" in the current language
+function formatDeliveryDay(date) {
+    return new Date(`${date}T00:00`).toLocaleDateString(LANGUAGES[localization.language].locale, {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric'
+    });
+}
+
+// "Sat, Oct 24 · 10:00–13:00" for an order's delivery or pickup
+function formatDeliveryWindow(delivery) {
+    return `${formatDeliveryDay(delivery.date)} · ${delivery.from}–${delivery.to}`;
+}
+
+// Zones, time slots and pickup hours come from data/delivery.json:
+// { daysAhead, closedWeekdays, leadHours, zones: [{ id, name, fee, freeFrom, leadHours }],
+//   slots: [{ id, from, to, capacity }], pickup: { address, leadHours, slots } }
+// A slot can be booked while it has capacity left and starts at least `leadHours` from now.
+class DeliveryPlanner {
+    constructor(database, source = 'data/delivery.json') {
+        this.db = database;
+        this.source = source;
+        this.config = null;
+        this.booked = null;
+    }
+
+    async load() {
+        try {
+            const response = await fetch(this.source);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.setConfig(await response.json());
+            console.log(`🚚 Delivery options loaded: ${this.config.zones.length} zones`);
+        } catch (error) {
+            console.warn('Delivery options fetch failed, checkout uses flat-rate shipping:', error.message);
+            this.config = null;
+        }
+        return this.config;
+    }
+
+    setConfig(config) {
+        const isSlot = slot => slot && typeof slot.id === 'string' && /^\d\d:\d\d$/.test(slot.from) && /^\d\d:\d\d$/.test(slot.to) && slot.capacity > 0;
+        const zones = (config.zones || []).filter(zone => zone && typeof zone.id === 'string' && Number.isFinite(zone.fee));
+        const pickup = config.pickup && config.pickup.address
+            ? { ...config.pickup, slots: (config.pickup.slots || []).filter(isSlot) }
+            : null;
+
+        this.config = {
+            daysAhead: config.daysAhead || 14,
+            closedWeekdays: config.closedWeekdays || [],
+            leadHours: config.leadHours || 0,
+            zones: zones.map(zone => ({ ...zone, freeFrom: Number.isFinite(zone.freeFrom) ? zone.freeFrom : null })),
+            slots: (config.slots || []).filter(isSlot),
+            pickup
+        };
+    }
+
+    isEnabled() {
+        return Boolean(this.config && this.config.zones.length > 0);
+    }
+
+    hasPickup() {
+        return Boolean(this.config && this.config.pickup && this.config.pickup.slots.length > 0);
+    }
+
+    getZone(zoneId) {
+        return this.config.zones.find(zone => zone.id === zoneId);
+    }
+
+    getSlotList(method) {
+        return method === 'pickup' ? this.config.pickup.slots : this.config.slots;
+    }
+
+    getLeadHours(method, zoneId) {
+        if (method === 'pickup') return this.config.pickup.leadHours || 0;
+        const zone = this.getZone(zoneId);
+        return zone && Number.isFinite(zone.leadHours) ? zone.leadHours : this.config.leadHours;
+    }
+
+    // What the pricing engine needs to work out shipping, or null for the flat rate
+    getFee(method, zoneId) {
+        if (method === 'pickup') return { fee: 0, freeFrom: null };
+        const zone = this.getZone(zoneId);
+        return zone ? { fee: zone.fee, freeFrom: zone.freeFrom } : null;
+    }
+
+    getDateRange(now = new Date()) {
+        const last = new Date(now);
+        last.setDate(last.getDate() + this.config.daysAhead);
+        return { from: toDateKey(now), to: toDateKey(last) };
+    }
+
+    // Slot bookings come from the order endpoint (GET <endpoint>/slots), which sees every customer's
+    // orders. This browser only knows its own, so without an endpoint capacity isn't checked at all.
+    async loadBookings(endpoint) {
+        this.booked = null;
+        if (!endpoint || !this.isEnabled()) return null;
+
+        try {
+            const response = await fetch(`${endpoint}/slots`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const { booked } = await response.json();
+            this.booked = new Map(booked.map(entry => [`${entry.method}|${entry.date}|${entry.slot}`, entry.count]));
+        } catch (error) {
+            console.warn('Slot bookings fetch failed, slot capacity is not checked:', error.message);
+        }
+        return this.booked;
+    }
+
+    hasBookings() {
+        return Boolean(this.booked);
+    }
+
+    countBooked(method, date, slotId) {
+        return this.booked.get(`${method}|${date}|${slotId}`) || 0;
+    }
+
+    // Every slot of the day with what's left (null when bookings aren't known) and whether it can still be booked
+    getSlots(method, date, zoneId, now = new Date()) {
+        const earliest = now.getTime() + this.getLeadHours(method, zoneId) * 3600000;
+
+        return this.getSlotList(method).map(slot => {
+            const remaining = this.hasBookings()
+                ? Math.max(0, slot.capacity - this.countBooked(method, date, slot.id))
+                : null;
+            const tooSoon = new Date(`${date}T${slot.from}`).getTime() < earliest;
+            return { ...slot, remaining, tooSoon, available: remaining !== 0 && !tooSoon };
+        });
+    }
+
+    // The first day from today that still has a bookable slot
+    getFirstDate(method, zoneId, now = new Date()) {
+        const day = new Date(now);
+        for (let i = 0; i <= this.config.daysAhead; i++) {
+            const date = toDateKey(day);
+            if (!this.checkDate(date, method, zoneId, now)) return date;
+            day.setDate(day.getDate() + 1);
+        }
+        return null;
+    }
+
+    isInRange(date, now = new Date()) {
+        const range = this.getDateRange(now);
+        return Boolean(date) && date >= range.from && date <= range.to;
+    }
+
+    isClosed(date) {
+        return this.config.closedWeekdays.includes(new Date(`${date}T00:00`).getDay());
+    }
+
+    isOpenDay(date, now = new Date()) {
+        return this.isInRange(date, now) && !this.isClosed(date);
+    }
+
+    checkDate(date, method, zoneId, now = new Date()) {
+        if (!date) return t('validation.dateRequired');
+
+        if (!this.isInRange(date, now)) {
+            const range = this.getDateRange(now);
+            return t('validation.dateRange', { from: formatDeliveryDay(range.from), to: formatDeliveryDay(range.to) });
+        }
+        if (this.isClosed(date)) return t('validation.dateClosed');
+        if (!this.getSlots(method, date, zoneId, now).some(slot => slot.available)) {
+            return t('validation.dateFull');
+        }
+        return null;
+    }
+
+    checkSlot(date, slotId, method, zoneId, now = new Date()) {
+        if (!slotId) return t('validation.slotRequired');
+
+        const slot = this.getSlots(method, date, zoneId, now).find(entry => entry.id === slotId);
+        if (!slot) return t('validation.slotRequired');
+        if (slot.remaining === 0) return t('validation.slotFull');
+        if (slot.tooSoon) return t('validation.slotTooSoon', { hours: this.getLeadHours(method, zoneId) });
+        return null;
+    }
+
+    // Checkout rules for the delivery fields, in the same shape as CHECKOUT_RULES
+    getRules(method) {
+        const rules = {};
+        if (method === 'delivery') {
+            rules.deliveryZone = value => this.getZone(value) ? null : t('validation.zoneRequired');
+        }
+
+        rules.deliveryDate = (value, data) => this.checkDate(value, method, data.deliveryZone);
+        // Only once the day itself is fine, so a bad date doesn't show two errors
+        rules.deliverySlot = (value, data) => this.checkDate(data.deliveryDate, method, data.deliveryZone)
+            ? null
+            : this.checkSlot(data.deliveryDate, value, method, data.deliveryZone);
+        return rules;
+    }
+
+    // The record stored on the order
+    toOrder({ method, zone, date, slot }, fee) {
+        const entry = this.getSlotList(method).find(item => item.id === slot);
+        const delivery = { method, date, slot, from: entry.from, to: entry.to, fee };
+
+        if (method === 'pickup') {
+            delivery.pickupAddress = this.config.pickup.address;
+        } else {
+            delivery.zone = zone;
+            delivery.zoneName = this.getZone(zone).name;
+        }
+        return delivery;
+    }
+}
+
+// ====================================
+// Shopping Cart with Database
+// ====================================
+
+class ShoppingCart {
+    static MAX_QUANTITY = 99;
+
+    constructor(database, catalog, pricing = new PricingEngine()) {
+        this.db = database;
+        this.catalog = catalog;
+        this.pricing = pricing;
+        this.items = [];
+        this.checkoutExtras = [];
+        this.delivery = null;
+        this.promoCode = null;
+        this.updatedAt = 0;
+        this.sync = null;
+        this.init();
+    }
+
+    init() {
+        const expired = this.loadFromStorage();
+        this.attachEventListeners();
+        this.updateCartUI();
+
+        if (expired > 0) {
+            this.showNotification(t('notify.cartExpired', { count: expired, days: this.db.loadSettings().cartExpireDays }));
+        }
+    }
+
+    // Returns how many lines were dropped for being older than settings.cartExpireDays
+    loadFromStorage() {
+        const stored = this.db.loadCart();
+        const lines = this.migrateItems(stored);
+        const { cartExpireDays } = this.db.loadSettings();
+
+        this.items = lines.filter(item => !(cartExpireDays > 0 && this.getAgeInDays(item) > cartExpireDays));
+
+        if (JSON.stringify(stored) !== JSON.stringify(this.items)) {
+            this.saveToStorage();
+            console.log('🔄 Cart migrated to line items');
+        }
+        return lines.length - this.items.length;
+    }
+
+    getAgeInDays(item) {
+        return (Date.now() - Date.parse(item.updatedAt)) / (24 * 60 * 60 * 1000);
+    }
+
+    isStale(item) {
+        const { cartStaleDays } = this.db.loadSettings();
+        return cartStaleDays > 0 && this.getAgeInDays(item) > cartStaleDays;
+    }
+
+    // Old carts stored one entry per click without a quantity; fold them into line items
+    migrateItems(storedItems) {
+        const lines = [];
+
+        storedItems.forEach(entry => {
+            // Custom mix boxes carry their own contents and price
+            const now = new Date().toISOString();
+            const addedAt = entry.addedAt || now;
+            const updatedAt = entry.updatedAt || addedAt;
+
+            if (Array.isArray(entry.contents)) {
+                const quantity = Number.isInteger(entry.quantity) && entry.quantity > 0 ? entry.quantity : 1;
+                lines.push({ ...entry, quantity: Math.min(quantity, ShoppingCart.MAX_QUANTITY), addedAt, updatedAt });
+                return;
+            }
+
+            const product = (entry.productId && this.catalog.getById(entry.productId)) ||
+                this.catalog.products.find(p => p.name === entry.name);
+            const productId = product ? product.id : (entry.productId || entry.name);
+            const quantity = Number.isInteger(entry.quantity) && entry.quantity > 0 ? entry.quantity : 1;
+            const existing = lines.find(line => line.productId === productId);
+
+            if (existing) {
+                existing.quantity = Math.min(existing.quantity + quantity, ShoppingCart.MAX_QUANTITY);
+                existing.updatedAt = existing.updatedAt > updatedAt ? existing.updatedAt : updatedAt;
+            } else {
+                lines.push({
+                    id: productId,
+                    productId,
+                    name: product ? product.name : entry.name,
+                    price: product ? product.price : parseInt(entry.price),
+                    category: product ? product.category : entry.category,
+                    quantity: Math.min(quantity, ShoppingCart.MAX_QUANTITY),
+                    addedAt,
+                    updatedAt
+                });
+            }
+        });
+
+        return lines;
+    }
+
+    saveToStorage() {
+        this.updatedAt = Date.now();
+        this.db.saveCart(this.items);
+        if (this.sync) {
+            this.sync.publish(this.items, this.updatedAt);
+        }
+    }
+
+    // Another tab saved its cart; take it over unless ours is newer
+    applyRemoteItems(items, updatedAt) {
+        if (!Array.isArray(items) || updatedAt < this.updatedAt) return;
+
+        this.items = this.migrateItems(items);
+        this.updatedAt = updatedAt;
+        // Keep this tab's copy of the database current without echoing the change back
+        this.db.saveCart(this.items);
+        this.updateCartUI();
+
+        const checkoutModal = document.getElementById('checkoutModal');
+        if (checkoutModal && checkoutModal.classList.contains('open')) {
+            this.showNotification(t('notify.cartSynced'));
+        }
+    }
+
+    getItem(id) {
+        return this.items.find(item => item.id === id);
+    }
+
+    // Adds to an existing line with the same id, or starts a new one
+    addLine(line, quantity) {
+        const now = new Date().toISOString();
+        const existing = this.getItem(line.id);
+        if (existing) {
+            existing.quantity = Math.min(existing.quantity + quantity, ShoppingCart.MAX_QUANTITY);
+            existing.updatedAt = now;
+        } else {
+            this.items.push({
+                ...line,
+                quantity: Math.min(quantity, ShoppingCart.MAX_QUANTITY),
+                addedAt: now,
+                updatedAt: now
+            });
+        }
+        eventBus.emit('item_added', { productId: line.id, name: line.name, price: line.price, quantity, category: line.category });
+    }
+
+    productLine(product) {
+        return {
+            id: product.id,
+            productId: product.id,
+            name: product.name,
+            price: product.price,
+            category: product.category
+        };
+    }
+
+    // Shows what ran short and returns false when `items` need more than is in stock
+    checkStock(items) {
+        const [shortage] = this.db.checkStock(items);
+        if (!shortage) return true;
+
+        this.showNotification(shortage.available === 0
+            ? t('stock.soldOut', { name: shortage.name })
+            : t('stock.limit', { name: shortage.name, count: shortage.available }));
+        return false;
+    }
+
+    addItem(productId, quantity = 1) {
+        const product = this.catalog.getById(productId);
+        if (!product) {
+            console.error('Unknown product:', productId);
+            return false;
+        }
+        if (!this.checkStock([...this.items, { ...this.productLine(product), quantity }])) {
+            return false;
+        }
+
+        this.addLine(this.productLine(product), quantity);
+        this.saveToStorage();
+        this.updateCartUI();
+        this.showNotification(t('notify.added', { name: product.name }));
+        return true;
+    }
+
+    // box comes from createMixBox()
+    addMixBox(box, quantity = 1) {
+        if (!this.checkStock([...this.items, { ...box, quantity }])) {
+            return false;
+        }
+
+        this.addLine(box, quantity);
+        this.saveToStorage();
+        this.updateCartUI();
+        this.showNotification(t('notify.added', { name: box.name }));
+        return true;
+    }
+
+    // How many of `line` can be added on top of the cart without running out (up to `quantity`)
+    fitQuantity(line, quantity) {
+        let fitting = quantity;
+        while (fitting > 0 && this.db.checkStock([...this.items, { ...line, quantity: fitting }]).length > 0) {
+            fitting--;
+        }
+        return fitting;
+    }
+
+    // Adds several products at once (e.g. a reorder) with a single notification
+    addItems(lines) {
+        const missing = [];
+
+        lines.forEach(line => {
+            if (Array.isArray(line.contents)) {
+                // Rebuild custom boxes at today's prices; skip them if a product is gone
+                const products = line.contents.flatMap(entry => Array(entry.quantity).fill(this.catalog.getById(entry.productId)));
+                if (!MIX_BOX_SIZES[line.box] || products.some(product => !product)) {
+                    missing.push(line.name);
+                    return;
+                }
+
+                const box = createMixBox(line.box, products);
+                const quantity = this.fitQuantity(box, line.quantity);
+                if (quantity === 0) {
+                    missing.push(line.name);
+                    return;
+                }
+                this.addLine(box, quantity);
+                return;
+            }
+
+            const product = this.catalog.getById(line.productId);
+            if (!product) {
+                missing.push(line.name || line.productId);
+                return;
+            }
+
+            // Sold-out products count as unavailable; low stock adds what's left
+            const quantity = this.fitQuantity(this.productLine(product), line.quantity);
+            if (quantity === 0) {
+                missing.push(product.name);
+                return;
+            }
+            this.addLine(this.productLine(product), quantity);
+        });
+
+        this.saveToStorage();
+        this.updateCartUI();
+        return missing;
+    }
+
+    setQuantity(id, quantity) {
+        const item = this.getItem(id);
+        if (!item) return;
+
+        const value = parseInt(quantity);
+        if (!Number.isFinite(value) || value <= 0) {
+            this.removeItem(id);
+            return;
+        }
+
+        // Increases stop at what's in stock; decreases are always allowed
+        const others = this.items.filter(line => line.id !== id);
+        let allowed = Math.min(value, ShoppingCart.MAX_QUANTITY);
+        if (allowed > item.quantity && !this.checkStock([...others, { ...item, quantity: allowed }])) {
+            while (allowed > item.quantity && this.db.checkStock([...others, { ...item, quantity: allowed }]).length > 0) {
+                allowed--;
+            }
+        }
+
+        const previous = item.quantity;
+        item.quantity = allowed;
+        item.updatedAt = new Date().toISOString();
+        if (allowed !== previous) {
+            eventBus.emit('quantity_changed', { productId: id, from: previous, to: allowed });
+        }
+        this.saveToStorage();
+        this.updateCartUI();
+        announce(t('cart.updated', { name: item.name, quantity: allowed, total: formatPrice(this.getTotal()) }));
+    }
+
+    changeQuantity(id, delta) {
+        const item = this.getItem(id);
+        if (item) {
+            this.setQuantity(id, item.quantity + delta);
+        }
+    }
+
+    removeItem(id) {
+        const removed = this.getItem(id);
+        this.items = this.items.filter(item => item.id !== id);
+        this.saveToStorage();
+        this.updateCartUI();
+        if (removed) {
+            eventBus.emit('item_removed', { productId: id, name: removed.name, quantity: removed.quantity });
+            announce(t('cart.removed', { name: removed.name, total: formatPrice(this.getTotal()) }));
+        }
+    }
+
+    clearCart() {
+        this.items = [];
+        this.saveToStorage();
+        this.updateCartUI();
+    }
+
+    getLineTotal(item) {
+        return item.price * item.quantity;
+    }
+
+    getTotal() {
+        return this.items.reduce((sum, item) => sum + this.getLineTotal(item), 0);
+    }
+
+    getCount() {
+        return this.items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    renderQuantityControl(item) {
+        return `
+            <div class="quantity-control">
+                <button type="button" class="qty-button" data-action="decrease" data-id="${escapeHTML(item.id)}" aria-label="${escapeHTML(t('cart.decrease', { name: item.name }))}">−</button>
+                <input type="number" class="qty-input" data-id="${escapeHTML(item.id)}" value="${item.quantity}" min="1" max="${ShoppingCart.MAX_QUANTITY}" aria-label="${escapeHTML(t('cart.quantity', { name: item.name }))}">
+                <button type="button" class="qty-button" data-action="increase" data-id="${escapeHTML(item.id)}" aria-label="${escapeHTML(t('cart.increase', { name: item.name }))}">+</button>
+            </div>
+        `;
+    }
+
+    updateCartUI() {
+        const cartCount = document.querySelector('.cart-count');
+        if (cartCount) {
+            cartCount.textContent = this.getCount();
+        }
+
+        const cartToggle = document.getElementById('cartToggle');
+        if (cartToggle) {
+            cartToggle.setAttribute('aria-label', t('cart.toggle', { count: this.getCount() }));
+        }
+
+        const cartItemsContainer = document.getElementById('cartItems');
+        const totalPriceElement = document.querySelector('.total-price');
+        const checkoutButton = document.getElementById('checkoutButton');
+
+        if (this.items.length === 0) {
+            cartItemsContainer.innerHTML = `
+                <div class="empty-cart">
+                    <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" aria-hidden="true">
+                        <path d="M6 2L3 6v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2V6l-3-4z"></path>
+                        <line x1="3" y1="6" x2="21" y2="6"></line>
+                        <path d="M16 10a4 4 0 0 1-8 0"></path>
+                    </svg>
+                    <p>${t('cart.empty')}</p>
+                </div>
+            `;
+            if (totalPriceElement) totalPriceElement.textContent = formatPrice(0);
+            if (checkoutButton) checkoutButton.disabled = true;
+        } else {
+            const shortages = this.db.checkStock(this.items);
+            const itemsHTML = this.items.map(item => `
+                <div class="cart-item">
+                    <div class="cart-item-info">
+                        <div class="cart-item-name">${escapeHTML(item.name)}</div>
+                        ${this.renderContents(item)}
+                        <div class="cart-item-price">${formatPrice(item.price)}</div>
+                        <div class="cart-item-category">${this.getCategoryName(item.category)}</div>
+                        ${this.isStale(item) ? `<div class="cart-item-stale">${t('cart.stale', { days: Math.floor(this.getAgeInDays(item)) })}</div>` : ''}
+                        ${this.renderShortages(item, shortages)}
+                        <div class="cart-item-controls">
+                            ${this.renderQuantityControl(item)}
+                            <span class="cart-item-subtotal">${formatPrice(this.getLineTotal(item))}</span>
+                        </div>
+                    </div>
+                    <button type="button" class="cart-item-remove" data-id="${escapeHTML(item.id)}" aria-label="${escapeHTML(t('cart.remove', { name: item.name }))}">×</button>
+                </div>
+            `).join('');
+
+            cartItemsContainer.innerHTML = itemsHTML;
+            if (totalPriceElement) totalPriceElement.textContent = formatPrice(this.getTotal());
+            if (checkoutButton) checkoutButton.disabled = false;
+        }
+
+        this.updateCheckoutSummary();
+    }
+
+    renderShortages(item, shortages) {
+        const productIds = Array.isArray(item.contents)
+            ? item.contents.map(entry => entry.productId)
+            : [item.productId];
+
+        return shortages
+            .filter(shortage => productIds.includes(shortage.productId))
+            .map(shortage => `<div class="cart-item-warning">${escapeHTML(t('stock.shortage', { name: shortage.name, count: shortage.available }))}</div>`)
+            .join('');
+    }
+
+    renderContents(item) {
+        return Array.isArray(item.contents)
+            ? `<span class="line-contents">${escapeHTML(formatBoxContents(item.contents))}</span>`
+            : '';
+    }
+
+    getCategoryName(category) {
+        return ['chocolate', 'jelly', 'mix'].includes(category) ? t(`category.${category}`) : category;
+    }
+
+    showNotification(message) {
+        const existing = document.querySelector('.success-message');
+        if (existing) existing.remove();
+
+        const notification = document.createElement('div');
+        notification.className = 'success-message';
+        notification.textContent = message;
+        // The live region does the announcing; the toast itself is only visual
+        notification.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(notification);
+        announce(message);
+
+        setTimeout(() => {
+            notification.style.animation = 'slideOut 0.4s ease-out forwards';
+            setTimeout(() => notification.remove(), 400);
+        }, 3000);
+    }
+
+    attachEventListeners() {
+        document.addEventListener('click', (e) => {
+            if (e.target.closest('.add-to-cart')) {
+                const button = e.target.closest('.add-to-cart');
+                if (!this.addItem(button.dataset.id)) return;
+
+                button.textContent = t('product.added');
+                button.style.background = 'linear-gradient(135deg, #98FF98, #00FA9A)';
+                setTimeout(() => {
+                    button.textContent = t('product.addToCart');
+                    button.style.background = '';
+                }, 1500);
+            }
+        });
+
+        // Quantity and remove controls are re-rendered on every change, so delegate from the containers
+        ['cartItems', 'orderItems'].forEach(containerId => {
+            const container = document.getElementById(containerId);
+            if (!container) return;
+
+            container.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('.cart-item-remove');
+                if (removeButton) {
+                    this.removeItem(removeButton.dataset.id);
+                    // The line is gone, so keep keyboard focus in the list rather than losing it to the page
+                    const next = container.querySelector('.cart-item-remove') || container.closest('[role="dialog"]');
+                    if (next) next.focus();
+                    return;
+                }
+
+                const qtyButton = e.target.closest('.qty-button');
+                if (qtyButton) {
+                    const { id, action } = qtyButton.dataset;
+                    this.changeQuantity(id, action === 'increase' ? 1 : -1);
+                    // The list is re-rendered on every change; put focus back on the same button
+                    const same = [...container.querySelectorAll('.qty-button')]
+                        .find(button => button.dataset.id === id && button.dataset.action === action);
+                    if (same) same.focus();
+                }
+            });
+
+            container.addEventListener('change', (e) => {
+                if (e.target.matches('.qty-input')) {
+                    this.setQuantity(e.target.dataset.id, e.target.value);
+                }
+            });
+        });
+
+        const cartToggle = document.getElementById('cartToggle');
+        if (cartToggle) {
+            cartToggle.addEventListener('click', () => {
+                this.toggleCart();
+            });
+        }
+
+        const cartClose = document.getElementById('cartClose');
+        if (cartClose) {
+            cartClose.addEventListener('click', () => {
+                this.toggleCart();
+            });
+        }
+
+        const checkoutButton = document.getElementById('checkoutButton');
+        if (checkoutButton) {
+            checkoutButton.addEventListener('click', () => {
+                this.openCheckoutModal();
+            });
+        }
+
+        const overlay = document.getElementById('overlay');
+        if (overlay) {
+            overlay.addEventListener('click', () => {
+                this.closeCart();
+                this.closeCheckoutModal();
+            });
+        }
+    }
+
+    toggleCart() {
+        const cartSidebar = document.getElementById('cartSidebar');
+        const overlay = document.getElementById('overlay');
+
+        if (cartSidebar && overlay) {
+            cartSidebar.classList.toggle('open');
+            overlay.classList.toggle('open');
+            if (cartSidebar.classList.contains('open')) {
+                eventBus.emit('cart_viewed', { itemCount: this.getCount(), total: this.getTotal() });
+            }
+        }
+    }
+
+    closeCart() {
+        const cartSidebar = document.getElementById('cartSidebar');
+        const overlay = document.getElementById('overlay');
+
+        if (cartSidebar && overlay) {
+            cartSidebar.classList.remove('open');
+            overlay.classList.remove('open');
+        }
+    }
+
+    openCheckoutModal() {
+        this.closeCart();
+
+        const modal = document.getElementById('checkoutModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && overlay) {
+            modal.classList.add('open');
+            overlay.classList.add('open');
+            this.updateCheckoutSummary();
+        }
+    }
+
+    closeCheckoutModal() {
+        const modal = document.getElementById('checkoutModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && overlay) {
+            modal.classList.remove('open');
+            overlay.classList.remove('open');
+        }
+    }
+
+    updateCheckoutSummary() {
+        const orderItemsContainer = document.getElementById('orderItems');
+        const orderTotalElement = document.getElementById('orderTotal');
+
+        if (orderItemsContainer && orderTotalElement) {
+            const itemsHTML = this.items.map(item => `
+                <div class="order-item">
+                    <span class="order-item-name">${escapeHTML(item.name)}${this.renderContents(item)}</span>
+                    ${this.renderQuantityControl(item)}
+                    <span class="order-item-price">${formatPrice(this.getLineTotal(item))}</span>
+                </div>
+            `).join('');
+
+            const quote = this.getQuote();
+            const row = (label, amount, className = '') => `
+                <div class="order-item order-extra ${className}">
+                    <span class="order-item-name">${escapeHTML(label)}</span>
+                    <span class="order-item-price">${amount}</span>
+                </div>
+            `;
+
+            const breakdownHTML = this.items.length === 0 ? '' : [
+                row(t('checkout.subtotal'), formatPrice(quote.subtotal), 'order-subtotal'),
+                ...quote.discounts.map(discount => row(discount.label, `−${formatPrice(discount.amount)}`, 'order-discount')),
+                ...quote.extras.map(extra => row(extra.label, formatPrice(extra.amount))),
+                row(this.delivery ? this.delivery.label : t('checkout.shipping'), quote.shipping > 0 ? formatPrice(quote.shipping) : t('checkout.shippingFree')),
+                this.delivery && this.delivery.when ? `<div class="order-delivery-when">${escapeHTML(this.delivery.when)}</div>` : ''
+            ].join('');
+
+            orderItemsContainer.innerHTML = itemsHTML + breakdownHTML;
+            orderTotalElement.textContent = formatPrice(quote.total);
+            this.updatePromoMessage(quote);
+        }
+    }
+
+    updatePromoMessage(quote) {
+        const message = document.getElementById('promoMessage');
+        if (!message) return;
+
+        if (!this.promoCode) {
+            message.textContent = '';
+            message.className = 'promo-message';
+        } else if (quote.promoError) {
+            message.textContent = quote.promoError;
+            message.className = 'promo-message error';
+        } else {
+            message.textContent = t('promo.applied', { code: quote.promoCode });
+            message.className = 'promo-message success';
+        }
+    }
+
+    // Charges added at checkout on top of the cart lines, e.g. gift wrapping
+    setCheckoutExtras(extras) {
+        this.checkoutExtras = extras;
+        this.updateCheckoutSummary();
+    }
+
+    // The code stays on the cart while it changes, so it re-applies once the cart qualifies again
+    setPromoCode(code) {
+        this.promoCode = String(code || '').trim() || null;
+        this.updateCheckoutSummary();
+        return this.getQuote();
+    }
+
+    // The delivery picked at checkout: { fee, freeFrom, label, when }, or null for the flat rate
+    setDelivery(delivery) {
+        this.delivery = delivery;
+        this.updateCheckoutSummary();
+    }
+
+    getQuote() {
+        return this.pricing.quote(this.items, {
+            promoCode: this.promoCode,
+            extras: this.checkoutExtras,
+            delivery: this.delivery
+        });
+    }
+
+    getCheckoutTotal() {
+        return this.getQuote().total;
+    }
+}
+
+// ====================================
+// Cross-Tab Cart Sync
+// ====================================
+
+// Every cart save is announced to the other open tabs, which adopt the newer cart.
+// Uses BroadcastChannel where available and falls back to localStorage `storage` events.
+class CartSync {
+    static CHANNEL = 'chocoworld-cart';
+    static STORAGE_KEY = 'chocoworld_cart_sync';
+
+    constructor(cart) {
+        this.cart = cart;
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+        this.channel = null;
+        this.init();
+    }
+
+    init() {
+        if (typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(CartSync.CHANNEL);
+            this.channel.addEventListener('message', (e) => this.receive(e.data));
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key === CartSync.STORAGE_KEY && e.newValue) {
+                    this.receive(JSON.parse(e.newValue));
+                }
+            });
+        }
+
+        this.cart.sync = this;
+    }
+
+    publish(items, updatedAt) {
+        const message = { type: 'cart', source: this.tabId, items, updatedAt };
+
+        try {
+            if (this.channel) {
+                this.channel.postMessage(message);
+            } else {
+                localStorage.setItem(CartSync.STORAGE_KEY, JSON.stringify(message));
+            }
+        } catch (error) {
+            console.warn('Cart sync failed:', error.message);
+        }
+    }
+
+    receive(message) {
+        if (!message || message.type !== 'cart' || message.source === this.tabId) return;
+        this.cart.applyRemoteItems(message.items, message.updatedAt);
+    }
+}
+
+// ====================================
+// Wishlist
+// ====================================
+
+// Shared lists travel in the page URL: index.html?wishlist=choc-1,jelly-3
+const WISHLIST_PARAM = 'wishlist';
+
+function encodeWishlist(productIds) {
+    const { origin, pathname } = window.location;
+    return `${origin}${pathname}?${WISHLIST_PARAM}=${productIds.map(encodeURIComponent).join(',')}`;
+}
+
+function decodeWishlist(search) {
+    const value = new URLSearchParams(search).get(WISHLIST_PARAM);
+    if (!value) return [];
+    return [...new Set(value.split(',').map(id => id.trim()).filter(Boolean))];
+}
+
+class Wishlist {
+    constructor(database, catalog, cart, giftMode) {
+        this.db = database;
+        this.catalog = catalog;
+        this.cart = cart;
+        this.giftMode = giftMode;
+        // Product ids from a link someone shared; shown instead of our own list while set
+        this.shared = decodeWishlist(window.location.search);
+        this.init();
+    }
+
+    init() {
+        document.addEventListener('click', (e) => {
+            const heart = e.target.closest('.wishlist-heart');
+            if (heart) this.toggle(heart.dataset.wishlistId);
+        });
+
+        const toggle = document.getElementById('wishlistToggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => this.open());
+        }
+
+        const close = document.getElementById('wishlistClose');
+        if (close) {
+            close.addEventListener('click', () => this.close());
+        }
+
+        const body = document.getElementById('wishlistItems');
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-wishlist-action]');
+                if (!button) return;
+
+                const productId = button.dataset.id;
+                switch (button.dataset.wishlistAction) {
+                    case 'move':
+                        this.moveToCart(productId);
+                        break;
+                    case 'add':
+                        this.cart.addItem(productId);
+                        break;
+                    case 'remove':
+                        this.toggle(productId);
+                        break;
+                    case 'mine':
+                        this.leaveShared();
+                        break;
+                }
+            });
+        }
+
+        const footer = document.getElementById('wishlistFooter');
+        if (footer) {
+            footer.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-wishlist-action]');
+                if (!button) return;
+
+                switch (button.dataset.wishlistAction) {
+                    case 'share':
+                        this.share();
+                        break;
+                    case 'save-all':
+                        this.saveShared();
+                        break;
+                    case 'gift':
+                        this.sendAsGift();
+                        break;
+                }
+            });
+        }
+
+        const overlay = document.getElementById('overlay');
+        if (overlay) {
+            overlay.addEventListener('click', () => this.close());
+        }
+
+        this.updateCount();
+        if (this.shared.length > 0) this.open();
+    }
+
+    getProducts(productIds) {
+        return productIds.map(id => this.catalog.getById(id)).filter(Boolean);
+    }
+
+    getIds() {
+        return this.db.loadWishlist().map(entry => entry.productId);
+    }
+
+    toggle(productId) {
+        const product = this.catalog.getById(productId);
+        if (!product) return;
+
+        if (this.db.isWishlisted(productId)) {
+            this.db.removeFromWishlist(productId);
+        } else {
+            this.db.addToWishlist(productId);
+        }
+        this.refresh(productId);
+    }
+
+    // Updates every heart for the product (it can be on screen twice while searching) and the panel
+    refresh(productId) {
+        const saved = this.db.isWishlisted(productId);
+        const product = this.catalog.getById(productId);
+
+        document.querySelectorAll('.wishlist-heart').forEach(heart => {
+            if (heart.dataset.wishlistId !== productId) return;
+            heart.classList.toggle('active', saved);
+            heart.setAttribute('aria-pressed', saved ? 'true' : 'false');
+            heart.setAttribute('aria-label', t(saved ? 'wishlist.remove' : 'wishlist.add', { name: product.name }));
+            heart.textContent = saved ? '♥' : '♡';
+        });
+
+        this.updateCount();
+        this.render();
+    }
+
+    updateCount() {
+        const count = document.querySelector('.wishlist-count');
+        if (count) {
+            count.textContent = this.getProducts(this.getIds()).length;
+        }
+    }
+
+    moveToCart(productId) {
+        if (this.cart.addItem(productId)) {
+            this.db.removeFromWishlist(productId);
+            this.refresh(productId);
+        }
+    }
+
+    async share() {
+        const link = encodeWishlist(this.getIds());
+
+        try {
+            await navigator.clipboard.writeText(link);
+            this.cart.showNotification(t('wishlist.copied'));
+        } catch (error) {
+            // No clipboard access (file://, older browsers): let the customer copy it by hand
+            window.prompt(t('wishlist.copyPrompt'), link);
+        }
+    }
+
+    saveShared() {
+        this.shared.forEach(productId => {
+            if (this.catalog.getById(productId)) this.db.addToWishlist(productId);
+        });
+        this.leaveShared();
+        this.catalog.refreshStock();
+    }
+
+    // Buying from a friend's list is usually a present for them
+    sendAsGift() {
+        const missing = this.cart.addItems(this.getProducts(this.shared).map(product => ({
+            productId: product.id,
+            name: product.name,
+            quantity: 1
+        })));
+
+        if (this.giftMode) this.giftMode.setMode('gift');
+        this.close();
+        this.cart.toggleCart();
+        if (missing.length > 0) {
+            this.cart.showNotification(t('notify.reorderMissing', { names: missing.join(', ') }));
+        }
+    }
+
+    leaveShared() {
+        this.shared = [];
+        const url = new URL(window.location.href);
+        if (url.searchParams.has(WISHLIST_PARAM)) {
+            url.searchParams.delete(WISHLIST_PARAM);
+            history.replaceState(null, '', url.toString());
+        }
+        this.updateCount();
+        this.render();
+    }
+
+    open() {
+        this.cart.closeCart();
+        this.cart.closeCheckoutModal();
+
+        const sidebar = document.getElementById('wishlistSidebar');
+        const overlay = document.getElementById('overlay');
+
+        if (sidebar && overlay) {
+            this.render();
+            sidebar.classList.add('open');
+            overlay.classList.add('open');
+        }
+    }
+
+    close() {
+        const sidebar = document.getElementById('wishlistSidebar');
+        const overlay = document.getElementById('overlay');
+
+        if (sidebar && sidebar.classList.contains('open')) {
+            sidebar.classList.remove('open');
+            if (overlay) overlay.classList.remove('open');
+        }
+    }
+
+    renderItem(product, isShared) {
+        const stock = this.db.getStock(product.id);
+        const soldOut = stock === 0;
+        const action = isShared
+            ? `<button type="button" class="wishlist-move" data-wishlist-action="add" data-id="${escapeHTML(product.id)}" ${soldOut ? 'disabled' : ''}>${t(soldOut ? 'product.soldOut' : 'product.addToCart')}</button>`
+            : `<button type="button" class="wishlist-move" data-wishlist-action="move" data-id="${escapeHTML(product.id)}" ${soldOut ? 'disabled' : ''}>${t(soldOut ? 'product.soldOut' : 'wishlist.moveToCart')}</button>`;
+
+        return `
+            <div class="cart-item">
+                <div class="cart-item-info">
+                    <div class="cart-item-name">${escapeHTML(product.icon || '')} ${escapeHTML(product.name)}</div>
+                    <div class="cart-item-price">${formatPrice(product.price)}</div>
+                    <div class="cart-item-category">${this.cart.getCategoryName(product.category)}</div>
+                    <div class="cart-item-controls">${action}</div>
+                </div>
+                ${isShared ? '' : `<button type="button" class="cart-item-remove" data-wishlist-action="remove" data-id="${escapeHTML(product.id)}" aria-label="${escapeHTML(t('cart.remove', { name: product.name }))}">×</button>`}
+            </div>
+        `;
+    }
+
+    render() {
+        const title = document.getElementById('wishlistTitle');
+        const body = document.getElementById('wishlistItems');
+        const footer = document.getElementById('wishlistFooter');
+        if (!body || !footer) return;
+
+        const isShared = this.shared.length > 0;
+        const products = this.getProducts(isShared ? this.shared : this.getIds());
+        if (title) title.textContent = t(isShared ? 'wishlist.sharedTitle' : 'wishlist.title');
+
+        if (isShared) {
+            body.innerHTML = `
+                <p class="wishlist-intro">${escapeHTML(products.length > 0 ? t('wishlist.sharedIntro', { count: products.length }) : t('wishlist.sharedEmpty'))}</p>
+                ${products.map(product => this.renderItem(product, true)).join('')}
+                <button type="button" class="order-link" data-wishlist-action="mine">${t('wishlist.mine')}</button>
+            `;
+            footer.innerHTML = products.length > 0 ? `
+                <button type="button" class="checkout-button" data-wishlist-action="gift">${t('wishlist.sendGift')}</button>
+                <button type="button" class="wishlist-secondary" data-wishlist-action="save-all">${t('wishlist.saveAll')}</button>
+            ` : '';
+            return;
+        }
+
+        body.innerHTML = products.length > 0
+            ? products.map(product => this.renderItem(product, false)).join('')
+            : `
+                <div class="empty-cart">
+                    <div class="wishlist-empty-icon">♡</div>
+                    <p>${t('wishlist.empty')}</p>
+                </div>
+            `;
+        footer.innerHTML = products.length > 0
+            ? `<button type="button" class="checkout-button" data-wishlist-action="share">${t('wishlist.share')}</button>`
+            : '';
+    }
+}
+
+// ====================================
+// Navigation & Smooth Scrolling
+// ====================================
+
+class Navigation {
+    constructor(search, productDetail) {
+        this.search = search;
+        this.productDetail = productDetail;
+        this.currentSection = '';
+        this.init();
+    }
+
+    init() {
+        this.attachScrollListeners();
+        this.handleHashNavigation();
+        window.addEventListener('hashchange', () => this.handleHashNavigation());
+    }
+
+    attachScrollListeners() {
+        const navLinks = document.querySelectorAll('.nav-link');
+
+        navLinks.forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+
+                const section = link.dataset.section;
+                if (this.search && this.search.isActive()) {
+                    this.search.clear();
+                }
+                this.scrollToSection(section);
+
+                navLinks.forEach(l => l.classList.remove('active'));
+                link.classList.add('active');
+            });
+        });
+
+        window.addEventListener('scroll', () => {
+            this.updateActiveNavOnScroll();
+        });
+    }
+
+    scrollToSection(sectionId) {
+        const section = document.getElementById(sectionId);
+        if (section) {
+            const headerOffset = 80;
+            const sectionPosition = section.offsetTop - headerOffset;
+
+            window.scrollTo({
+                top: sectionPosition,
+                behavior: 'smooth'
+            });
+        }
+    }
+
+    updateActiveNavOnScroll() {
+        const sections = ['chocolate', 'jelly', 'mixes'];
+        const navLinks = document.querySelectorAll('.nav-link');
+
+        let currentSection = '';
+
+        sections.forEach(sectionId => {
+            const section = document.getElementById(sectionId);
+            if (section) {
+                const sectionTop = section.offsetTop - 100;
+                const sectionBottom = sectionTop + section.offsetHeight;
+
+                if (window.pageYOffset >= sectionTop && window.pageYOffset < sectionBottom) {
+                    currentSection = sectionId;
+                }
+            }
+        });
+
+        navLinks.forEach(link => {
+            link.classList.remove('active');
+            if (link.dataset.section === currentSection) {
+                link.classList.add('active');
+            }
+        });
+
+        if (currentSection && currentSection !== this.currentSection) {
+            eventBus.emit('section_viewed', { section: currentSection });
+        }
+        this.currentSection = currentSection;
+    }
+
+    handleHashNavigation() {
+        const hash = window.location.hash;
+
+        // Product pages look like #product/choc-7; any other hash (or going back) closes one
+        if (this.productDetail) {
+            if (hash.startsWith('#product/')) {
+                this.productDetail.open(decodeURIComponent(hash.slice('#product/'.length)));
+                return;
+            }
+            this.productDetail.close();
+        }
+
+        // Shared search links look like #search?q=gummy&category=jelly&sort=price-asc
+        if (hash.startsWith('#search') && this.search) {
+            this.search.restore(new URLSearchParams(hash.split('?')[1] || ''));
+            setTimeout(() => {
+                this.scrollToSection('catalogToolbar');
+            }, 100);
+            return;
+        }
+
+        if (hash) {
+            const sectionId = hash.substring(1);
+            setTimeout(() => {
+                this.scrollToSection(sectionId);
+            }, 100);
+        }
+    }
+}
+
+// ====================================
+// Gift Mode ("Treat Yourself" / "Send a Smile")
+// ====================================
+
+class GiftMode {
+    constructor(database) {
+        this.db = database;
+        this.mode = this.db.loadSettings().mode === 'gift' ? 'gift' : 'personal';
+        this.listeners = [];
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll('.mode-option').forEach(button => {
+            button.addEventListener('click', () => this.setMode(button.dataset.mode));
+        });
+        this.updateUI();
+    }
+
+    isGift() {
+        return this.mode === 'gift';
+    }
+
+    setMode(mode) {
+        if (mode === this.mode) return;
+
+        this.mode = mode;
+        this.db.saveSettings({ ...this.db.loadSettings(), mode });
+        this.updateUI();
+        this.listeners.forEach(listener => listener(mode));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    updateUI() {
+        document.body.classList.toggle('gift-mode', this.isGift());
+        document.querySelectorAll('.mode-option').forEach(button => {
+            const active = button.dataset.mode === this.mode;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+    }
+}
+
+// ====================================
+// Checkout Validation
+// ====================================
+
+// Each rule gets the trimmed field value (and all form values) and returns an
+// error message, or null when the value is acceptable.
+const CHECKOUT_RULES = {
+    name(value) {
+        if (!value) return t('validation.nameRequired');
+        if (value.length < 2) return t('validation.nameShort');
+        if (/\d/.test(value)) return t('validation.nameDigits');
+        return null;
+    },
+
+    phone(value) {
+        if (!value) return t('validation.phoneRequired');
+        if (!/^\+?[\d\s\-()]+$/.test(value)) return t('validation.phoneChars');
+
+        const digits = value.replace(/\D/g, '');
+        if (value.startsWith('+')) {
+            if (digits.length < 10 || digits.length > 15) return t('validation.phoneInternational');
+        } else if (digits.length < 9 || digits.length > 11) {
+            return t('validation.phoneLocal');
+        }
+        return null;
+    },
+
+    email(value) {
+        if (!value) return t('validation.emailRequired');
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value)) return t('validation.emailInvalid');
+        return null;
+    },
+
+    address(value) {
+        if (!value) return t('validation.addressRequired');
+
+        const parts = value.split(',').map(part => part.trim()).filter(Boolean);
+        if (value.length < 10 || parts.length < 2) return t('validation.addressParts');
+        if (!/\d/.test(value)) return t('validation.addressNumber');
+        return null;
+    },
+
+    payment(value) {
+        if (!['cash', 'card', 'online'].includes(value)) return t('validation.payment');
+        return null;
+    },
+
+    notes(value) {
+        if (value.length > 500) return t('validation.notesLength', { max: 500 });
+        return null;
+    }
+};
+
+const GIFT_WRAP_FEE = 3000;
+
+// In gift mode the order is delivered to the recipient, so their details replace the buyer's address
+const GIFT_CHECKOUT_RULES = {
+    name: CHECKOUT_RULES.name,
+    phone: CHECKOUT_RULES.phone,
+    email: CHECKOUT_RULES.email,
+    recipientName: CHECKOUT_RULES.name,
+    recipientPhone: CHECKOUT_RULES.phone,
+    recipientAddress: CHECKOUT_RULES.address,
+
+    giftMessage(value) {
+        if (value.length > 300) return t('validation.giftMessageLength', { max: 300 });
+        return null;
+    },
+
+    payment: CHECKOUT_RULES.payment,
+    notes: CHECKOUT_RULES.notes
+};
+
+// Store pickup needs no delivery address
+const PICKUP_CHECKOUT_RULES = {
+    name: CHECKOUT_RULES.name,
+    phone: CHECKOUT_RULES.phone,
+    email: CHECKOUT_RULES.email,
+    payment: CHECKOUT_RULES.payment,
+    notes: CHECKOUT_RULES.notes
+};
+
+function validateCheckoutField(field, data, rules = CHECKOUT_RULES) {
+    const rule = rules[field];
+    if (!rule) return null;
+    return rule(String(data[field] || '').trim(), data);
+}
+
+function validateCheckout(data, rules = CHECKOUT_RULES) {
+    const errors = {};
+    Object.keys(rules).forEach(field => {
+        const error = validateCheckoutField(field, data, rules);
+        if (error) errors[field] = error;
+    });
+    return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// ====================================
+// Checkout Form Handler
+// ====================================
+
+class CheckoutForm {
+    constructor(cart, database, giftMode, outbox, delivery, receipt) {
+        this.cart = cart;
+        this.db = database;
+        this.giftMode = giftMode;
+        this.outbox = outbox;
+        this.delivery = delivery;
+        this.receipt = receipt;
+        this.cartSignature = null;
+        this.touched = new Set();
+        this.attempt = null;
+        this.submitting = false;
+        this.init();
+    }
+
+    get rules() {
+        const isGift = this.isGift();
+        const method = this.getDeliveryMethod();
+        let rules = isGift ? GIFT_CHECKOUT_RULES : CHECKOUT_RULES;
+        if (!isGift && method === 'pickup') rules = PICKUP_CHECKOUT_RULES;
+
+        return this.delivery && this.delivery.isEnabled()
+            ? { ...rules, ...this.delivery.getRules(method) }
+            : rules;
+    }
+
+    isGift() {
+        return Boolean(this.giftMode && this.giftMode.isGift());
+    }
+
+    init() {
+        const form = document.getElementById('checkoutForm');
+        if (form) {
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSubmit(form);
+            });
+
+            // Validate as you type once a field has been visited, and on leaving it
+            form.addEventListener('input', (e) => {
+                if (this.touched.has(e.target.name)) {
+                    this.validateField(form, e.target.name);
+                }
+            });
+
+            form.addEventListener('focusout', (e) => {
+                if (e.target.name in this.rules) {
+                    this.touched.add(e.target.name);
+                    this.validateField(form, e.target.name);
+                }
+            });
+        }
+
+        const modalClose = document.getElementById('modalClose');
+        if (modalClose) {
+            modalClose.addEventListener('click', () => {
+                this.cart.closeCheckoutModal();
+            });
+        }
+
+        const giftWrap = document.getElementById('giftWrap');
+        if (giftWrap) {
+            giftWrap.addEventListener('change', () => this.applyGiftMode());
+        }
+        if (this.giftMode) {
+            this.giftMode.onChange(() => this.applyGiftMode());
+        }
+
+        const deliveryFields = document.getElementById('deliveryFields');
+        if (deliveryFields && form && this.delivery && this.delivery.isEnabled()) {
+            deliveryFields.hidden = false;
+            deliveryFields.addEventListener('change', (e) => {
+                // A new method, zone or day changes which times are on offer
+                if (e.target.name !== 'deliverySlot') this.renderSlots(form);
+                this.applyDelivery(form);
+            });
+        }
+        this.applyGiftMode();
+
+        // Registered after ShoppingCart's own listeners, so the cart is already updated here
+        const checkoutButton = document.getElementById('checkoutButton');
+        if (checkoutButton) {
+            checkoutButton.addEventListener('click', () => this.start(form));
+        }
+
+        const promoApply = document.getElementById('promoApply');
+        if (promoApply && form) {
+            promoApply.addEventListener('click', () => this.cart.setPromoCode(form.elements.promoCode.value));
+            form.elements.promoCode.addEventListener('keydown', (e) => {
+                // Enter applies the code instead of submitting the order
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.cart.setPromoCode(form.elements.promoCode.value);
+                }
+            });
+        }
+
+        const orderItems = document.getElementById('orderItems');
+        if (orderItems) {
+            // Quantity changes made inside the modal are seen by the customer, so they don't count as stale
+            ['click', 'change'].forEach(type => {
+                orderItems.addEventListener(type, () => this.rememberCart());
+            });
+        }
+
+        const profileSelect = document.getElementById('profileSelect');
+        if (profileSelect && form) {
+            profileSelect.addEventListener('change', () => {
+                const customer = this.db.getCustomerByEmail(profileSelect.value);
+                if (customer) this.fillProfile(form, customer, true);
+            });
+        }
+
+        if (form) {
+            // A known email fills in whatever the customer hasn't typed yet
+            form.elements.email.addEventListener('change', () => {
+                const customer = this.db.getCustomerByEmail(form.elements.email.value);
+                if (customer) {
+                    this.fillProfile(form, customer, false);
+                } else {
+                    this.renderAddresses(form, null);
+                }
+            });
+        }
+
+        const savedAddress = document.getElementById('savedAddress');
+        if (savedAddress && form) {
+            savedAddress.addEventListener('change', () => {
+                const customer = this.db.getCustomerByEmail(form.elements.email.value);
+                const entry = customer && (customer.addresses || []).find(a => a.id === savedAddress.value);
+                form.elements.address.value = entry ? entry.address : '';
+                form.elements.addressLabel.value = entry ? entry.label : '';
+                if (this.touched.has('address')) this.validateField(form, 'address');
+            });
+        }
+    }
+
+    start(form) {
+        eventBus.emit('checkout_started', {
+            itemCount: this.cart.getCount(),
+            total: this.cart.getTotal(),
+            mode: this.isGift() ? 'gift' : 'personal'
+        });
+        this.rememberCart();
+        this.touched.clear();
+        this.showFormError(null);
+        this.renderProfiles();
+        if (form) this.refreshDelivery(form);
+        if (form && this.delivery && this.delivery.isEnabled() && this.outbox && this.outbox.isEnabled()) {
+            this.delivery.loadBookings(this.outbox.getEndpoint()).then(() => this.refreshDelivery(form));
+        }
+        if (form) {
+            const fields = new Set([...Object.keys(CHECKOUT_RULES), ...Object.keys(GIFT_CHECKOUT_RULES), 'deliveryZone', 'deliveryDate', 'deliverySlot']);
+            fields.forEach(field => this.showFieldError(form, field, null));
+        }
+    }
+
+    renderProfiles() {
+        const group = document.getElementById('profileGroup');
+        const select = document.getElementById('profileSelect');
+        if (!group || !select) return;
+
+        const profiles = this.db.getRememberedCustomers();
+        group.hidden = profiles.length === 0;
+        select.innerHTML = `<option value="">${escapeHTML(t('checkout.profileSelect'))}</option>` +
+            profiles.map(customer => `
+                <option value="${escapeHTML(customer.email)}">${escapeHTML(customer.name)} · ${escapeHTML(customer.email)}</option>
+            `).join('');
+    }
+
+    renderAddresses(form, customer) {
+        const select = document.getElementById('savedAddress');
+        if (!select) return;
+
+        const addresses = customer && Array.isArray(customer.addresses) ? customer.addresses : [];
+        const current = addresses.find(entry => entry.address === form.elements.address.value.trim());
+        select.hidden = addresses.length === 0;
+        select.innerHTML = `<option value="">${escapeHTML(t('checkout.newAddress'))}</option>` +
+            addresses.map(entry => `
+                <option value="${entry.id}">${escapeHTML(entry.label || entry.address.split('\n')[0])}</option>
+            `).join('');
+        select.value = current ? current.id : '';
+    }
+
+    // Fills the form from a stored profile. Without overwrite, anything already typed is kept.
+    fillProfile(form, customer, overwrite) {
+        const fill = (field, value) => {
+            const input = form.elements[field];
+            if (!input || !value || (!overwrite && input.value.trim())) return;
+            input.value = value;
+            if (this.touched.has(field)) this.validateField(form, field);
+        };
+
+        fill('name', customer.name);
+        fill('phone', customer.phone);
+        fill('email', customer.email);
+        fill('address', customer.address);
+        fill('payment', customer.preferredPayment);
+
+        const entry = (customer.addresses || []).find(a => a.address === form.elements.address.value.trim());
+        form.elements.addressLabel.value = entry ? entry.label : '';
+        form.elements.rememberMe.checked = Boolean(customer.remember);
+        this.renderAddresses(form, customer);
+
+        const note = document.getElementById('autofillNote');
+        if (note) {
+            note.textContent = t('checkout.autofilled', { name: customer.name });
+            note.hidden = false;
+        }
+    }
+
+    resetProfile(form) {
+        const note = document.getElementById('autofillNote');
+        if (note) note.hidden = true;
+        this.renderAddresses(form, null);
+    }
+
+    isGiftWrapped() {
+        const giftWrap = document.getElementById('giftWrap');
+        return Boolean(this.giftMode && this.giftMode.isGift() && giftWrap && giftWrap.checked);
+    }
+
+    applyGiftMode() {
+        const isGift = this.isGift();
+        const giftFields = document.getElementById('giftFields');
+
+        if (giftFields) giftFields.hidden = !isGift;
+
+        this.cart.setCheckoutExtras(this.isGiftWrapped()
+            ? [{ label: t('checkout.giftWrapLine'), amount: GIFT_WRAP_FEE }]
+            : []);
+
+        const form = document.getElementById('checkoutForm');
+        if (form) this.refreshDelivery(form);
+    }
+
+    getDeliveryMethod() {
+        const form = document.getElementById('checkoutForm');
+        const method = form && form.elements.deliveryMethod ? form.elements.deliveryMethod.value : 'delivery';
+        if (method === 'pickup' && (this.isGift() || !this.delivery || !this.delivery.hasPickup())) {
+            // Gifts go to the recipient, so they can't be collected from the store
+            return 'delivery';
+        }
+        return DELIVERY_METHODS.includes(method) ? method : 'delivery';
+    }
+
+    // Zone fees follow the display currency; slots fill up and lead times pass while the page is open
+    refreshDelivery(form) {
+        if (this.delivery && this.delivery.isEnabled()) {
+            this.renderZones(form);
+            this.renderSlots(form);
+        }
+        this.applyDelivery(form);
+    }
+
+    renderZones(form) {
+        const select = form.elements.deliveryZone;
+        const current = select.value;
+
+        select.innerHTML = `<option value="">${escapeHTML(t('delivery.zoneSelect'))}</option>` +
+            this.delivery.config.zones.map(zone => {
+                const label = zone.freeFrom === null
+                    ? t('delivery.zoneOption', { name: zone.name, fee: formatPrice(zone.fee) })
+                    : t('delivery.zoneFreeFrom', { name: zone.name, fee: formatPrice(zone.fee), min: formatPrice(zone.freeFrom) });
+                return `<option value="${escapeHTML(zone.id)}">${escapeHTML(label)}</option>`;
+            }).join('');
+        select.value = current;
+    }
+
+    // Fills the time picker for the chosen day; full and too-early slots stay listed but disabled
+    renderSlots(form) {
+        if (!this.delivery || !this.delivery.isEnabled()) return;
+
+        const method = this.getDeliveryMethod();
+        const zone = form.elements.deliveryZone.value;
+        const dateInput = form.elements.deliveryDate;
+        const select = form.elements.deliverySlot;
+        const range = this.delivery.getDateRange();
+
+        dateInput.min = this.delivery.getFirstDate(method, zone) || range.from;
+        dateInput.max = range.to;
+        if (!dateInput.value) dateInput.value = dateInput.min;
+
+        const current = select.value;
+        const slots = this.delivery.isOpenDay(dateInput.value)
+            ? this.delivery.getSlots(method, dateInput.value, zone)
+            : [];
+
+        select.innerHTML = `<option value="">${escapeHTML(t('delivery.slotSelect'))}</option>` +
+            slots.map(slot => {
+                let key = 'delivery.slotOption';
+                if (slot.remaining === 0) key = 'delivery.slotFull';
+                else if (slot.tooSoon) key = 'delivery.slotTooSoon';
+                else if (slot.remaining !== null && slot.remaining <= 2) key = 'delivery.slotLeft';
+
+                return `<option value="${slot.id}" ${slot.available ? '' : 'disabled'}>${escapeHTML(t(key, { from: slot.from, to: slot.to, count: slot.remaining }))}</option>`;
+            }).join('');
+
+        const keep = slots.find(slot => slot.id === current && slot.available);
+        const first = slots.find(slot => slot.available);
+        select.value = keep ? keep.id : (first ? first.id : '');
+    }
+
+    // The checkout selection: { method, zone, date, slot }, or null when delivery options aren't loaded
+    getDeliverySelection(form) {
+        if (!this.delivery || !this.delivery.isEnabled()) return null;
+
+        return {
+            method: this.getDeliveryMethod(),
+            zone: form.elements.deliveryZone.value,
+            date: form.elements.deliveryDate.value,
+            slot: form.elements.deliverySlot.value
+        };
+    }
+
+    // Shows the fields for the chosen method and passes its fee to the order summary
+    applyDelivery(form) {
+        const isGift = this.isGift();
+        const selection = this.getDeliverySelection(form);
+        const isPickup = Boolean(selection && selection.method === 'pickup');
+
+        const addressGroup = document.getElementById('addressGroup');
+        if (addressGroup) addressGroup.hidden = isGift || isPickup;
+        if (!selection) return;
+
+        const pickupOption = form.querySelector('input[name="deliveryMethod"][value="pickup"]');
+        if (pickupOption) {
+            pickupOption.disabled = isGift || !this.delivery.hasPickup();
+            if (pickupOption.disabled && pickupOption.checked) {
+                form.querySelector('input[name="deliveryMethod"][value="delivery"]').checked = true;
+            }
+        }
+
+        const zoneGroup = document.getElementById('zoneGroup');
+        const pickupNote = document.getElementById('pickupNote');
+        if (zoneGroup) zoneGroup.hidden = isPickup;
+        if (pickupNote) {
+            pickupNote.hidden = !isPickup;
+            pickupNote.textContent = this.delivery.hasPickup() ? t('delivery.pickupNote', { address: this.delivery.config.pickup.address }) : '';
+        }
+
+        ['deliveryZone', 'deliveryDate', 'deliverySlot'].forEach(field => {
+            if (this.touched.has(field)) this.validateField(form, field);
+        });
+
+        const fee = this.delivery.getFee(selection.method, selection.zone);
+        const slot = this.delivery.getSlotList(selection.method).find(entry => entry.id === selection.slot);
+        const when = slot && selection.date
+            ? formatDeliveryWindow({ date: selection.date, from: slot.from, to: slot.to })
+            : '';
+        const zone = this.delivery.getZone(selection.zone);
+
+        this.cart.setDelivery(fee && {
+            ...fee,
+            label: isPickup ? t('delivery.pickupLine') : t('delivery.shippingZone', { zone: zone.name }),
+            when: when && t(isPickup ? 'delivery.pickupWhen' : 'delivery.when', { when })
+        });
+    }
+
+    getCartSignature() {
+        return JSON.stringify(this.cart.items.map(item => [item.id, item.quantity, item.price]));
+    }
+
+    rememberCart() {
+        this.cartSignature = this.getCartSignature();
+    }
+
+    getFormValues(form) {
+        const formData = new FormData(form);
+        const values = {};
+        Object.keys(this.rules).forEach(field => {
+            values[field] = (formData.get(field) || '').trim();
+        });
+        return values;
+    }
+
+    validateField(form, field) {
+        const error = validateCheckoutField(field, this.getFormValues(form), this.rules);
+        this.showFieldError(form, field, error);
+        return !error;
+    }
+
+    showFieldError(form, field, message) {
+        const input = form.elements[field];
+        if (!input) return;
+
+        const group = input.closest('.form-group');
+        let errorElement = group.querySelector('.field-error');
+
+        if (!errorElement) {
+            errorElement = document.createElement('div');
+            errorElement.className = 'field-error';
+            errorElement.id = `${input.id}-error`;
+            group.appendChild(errorElement);
+            input.setAttribute('aria-describedby', errorElement.id);
+        }
+
+        errorElement.textContent = message || '';
+        group.classList.toggle('has-error', Boolean(message));
+        input.setAttribute('aria-invalid', message ? 'true' : 'false');
+    }
+
+    showFormError(message) {
+        const errorElement = document.getElementById('checkoutError');
+        if (!errorElement) return;
+
+        errorElement.textContent = message || '';
+        errorElement.hidden = !message;
+    }
+
+    async handleSubmit(form) {
+        if (this.submitting) return;
+
+        if (this.cart.items.length === 0) {
+            this.showFormError(t('checkout.errorEmpty'));
+            eventBus.emit('checkout_failed', { reason: 'empty' });
+            return;
+        }
+
+        if (this.cartSignature !== null && this.cartSignature !== this.getCartSignature()) {
+            this.rememberCart();
+            this.cart.updateCheckoutSummary();
+            this.showFormError(t('checkout.errorChanged'));
+            eventBus.emit('checkout_failed', { reason: 'cart-changed' });
+            return;
+        }
+
+        const values = this.getFormValues(form);
+        const validation = validateCheckout(values, this.rules);
+
+        Object.keys(this.rules).forEach(field => {
+            this.touched.add(field);
+            this.showFieldError(form, field, validation.errors[field]);
+        });
+
+        if (!validation.valid) {
+            this.showFormError(t('checkout.errorInvalid'));
+            eventBus.emit('checkout_failed', { reason: 'invalid', fields: Object.keys(validation.errors) });
+            const firstInvalid = Object.keys(this.rules).find(field => validation.errors[field]);
+            form.elements[firstInvalid].focus();
+            return;
+        }
+        this.showFormError(null);
+
+        const isGift = this.isGift();
+        const selection = this.getDeliverySelection(form);
+        const isPickup = Boolean(selection && selection.method === 'pickup');
+        const quote = this.cart.getQuote();
+        if (quote.promoError) {
+            this.showFormError(quote.promoError);
+            eventBus.emit('checkout_failed', { reason: 'promo' });
+            form.elements.promoCode.focus();
+            return;
+        }
+
+        const shortages = this.db.checkStock(this.cart.items);
+        if (shortages.length > 0) {
+            const items = shortages.map(shortage => t('stock.shortage', { name: shortage.name, count: shortage.available }));
+            this.showFormError(t('checkout.errorStock', { items: items.join(', ') }));
+            eventBus.emit('checkout_failed', { reason: 'stock' });
+            this.cart.updateCartUI();
+            return;
+        }
+
+        const orderData = {
+            name: values.name,
+            phone: values.phone,
+            email: values.email,
+            address: isGift ? values.recipientAddress : (isPickup ? '' : values.address),
+            payment: values.payment,
+            notes: values.notes,
+            items: this.cart.items,
+            promoCode: quote.promoCode,
+            pricing: {
+                subtotal: quote.subtotal,
+                discounts: quote.discounts,
+                extras: quote.extras,
+                shipping: quote.shipping,
+                total: quote.total
+            },
+            total: quote.total,
+            currency: localization.currency,
+            exchangeRate: localization.exchangeRates[localization.currency],
+            date: new Date().toISOString(),
+            status: 'pending'
+        };
+
+        if (selection) {
+            orderData.delivery = this.delivery.toOrder(selection, quote.shipping);
+        }
+
+        if (isGift) {
+            orderData.gift = {
+                recipientName: values.recipientName,
+                recipientPhone: values.recipientPhone,
+                recipientAddress: values.recipientAddress,
+                message: values.giftMessage,
+                wrap: this.isGiftWrapped(),
+                wrapFee: this.isGiftWrapped() ? GIFT_WRAP_FEE : 0
+            };
+        }
+
+        // Save customer data to database (a gift recipient's address is not the customer's)
+        const customerData = {
+            name: orderData.name,
+            phone: orderData.phone,
+            email: orderData.email,
+            preferredPayment: orderData.payment,
+            remember: form.elements.rememberMe.checked
+        };
+        if (!isGift && !isPickup) {
+            customerData.address = orderData.address;
+            customerData.addressLabel = form.elements.addressLabel.value.trim();
+        }
+
+        if (this.outbox && this.outbox.isEnabled() && navigator.onLine) {
+            const placed = await this.submitToServer(form, orderData, customerData);
+            if (!placed) return;
+        } else {
+            this.db.saveCustomer(customerData);
+
+            // With a server configured, an offline order waits in the queue until the connection returns
+            if (this.outbox && this.outbox.isEnabled()) {
+                orderData.syncStatus = 'pending-sync';
+            }
+
+            // Save order to database
+            this.db.saveOrder(orderData);
+        }
+
+        console.log('📊 Database stats:', this.db.getStats());
+        eventBus.emit('order_placed', {
+            orderId: orderData.id,
+            total: orderData.total,
+            itemCount: orderData.items.reduce((sum, item) => sum + item.quantity, 0),
+            payment: orderData.payment,
+            deliveryMethod: orderData.delivery ? orderData.delivery.method : null,
+            promoCode: orderData.promoCode || null,
+            gift: isGift
+        });
+
+        this.cart.catalog.refreshStock();
+        this.cart.clearCart();
+        this.cart.setPromoCode(null);
+        this.cart.closeCheckoutModal();
+        this.showSuccess(orderData);
+        form.reset();
+        this.resetProfile(form);
+        this.touched.clear();
+        this.applyGiftMode();
+    }
+
+    // Sends the order and waits for the shop's answer. Returns true when it was accepted.
+    async submitToServer(form, orderData, customerData) {
+        // Retrying the same cart reuses the order id, so the server can drop a duplicate
+        const signature = this.getCartSignature();
+        orderData.id = this.attempt && this.attempt.signature === signature
+            ? this.attempt.id
+            : `ORD-${Date.now()}`;
+        this.attempt = { id: orderData.id, signature };
+
+        let result;
+        this.setSubmitting(form, true);
+        try {
+            result = await this.outbox.client.submit(this.outbox.getEndpoint(), orderData);
+        } catch (error) {
+            console.warn(`Order ${orderData.id} not sent:`, error.message);
+            this.showFormError(t('checkout.errorUnreachable'));
+            eventBus.emit('checkout_failed', { reason: 'unreachable' });
+            return false;
+        } finally {
+            this.setSubmitting(form, false);
+        }
+
+        this.attempt = null;
+        this.db.saveCustomer(customerData);
+        this.db.saveOrder(orderData);
+        Object.assign(orderData, this.outbox.recordResult(orderData.id, result));
+
+        if (result.outcome === 'rejected') {
+            this.cart.catalog.refreshStock();
+            this.showFormError(t('checkout.errorRejected', { reason: result.reason }));
+            eventBus.emit('checkout_failed', { reason: 'rejected' });
+            return false;
+        }
+        return true;
+    }
+
+    setSubmitting(form, submitting) {
+        this.submitting = submitting;
+        const button = form.querySelector('.submit-order');
+        if (button) {
+            button.disabled = submitting;
+            button.textContent = t(submitting ? 'checkout.sending' : 'checkout.submit');
+        }
+        form.setAttribute('aria-busy', submitting ? 'true' : 'false');
+    }
+
+    showSuccess(orderData) {
+        const notes = [];
+        if (orderData.gift) {
+            notes.push(t('success.giftReceipt', { name: orderData.gift.recipientName }));
+        }
+        if (orderData.syncStatus === 'pending-sync' && !navigator.onLine) {
+            notes.push(t('success.queued'));
+        }
+
+        this.receipt.open(orderData.id, { confirmation: true, notes });
+        this.cart.showNotification(t('notify.orderPlaced'));
+    }
+}
+
+// ====================================
+// Order History
+// ====================================
+
+class OrderHistory {
+    constructor(database, cart, receipt) {
+        this.db = database;
+        this.cart = cart;
+        this.receipt = receipt;
+        this.init();
+    }
+
+    init() {
+        const toggle = document.getElementById('ordersToggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => this.open());
+        }
+
+        const close = document.getElementById('ordersClose');
+        if (close) {
+            close.addEventListener('click', () => this.close());
+        }
+
+        const body = document.getElementById('ordersBody');
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-order-action]');
+                if (!button) return;
+
+                const orderId = button.dataset.orderId;
+                switch (button.dataset.orderAction) {
+                    case 'view':
+                        this.renderDetail(orderId);
+                        break;
+                    case 'back':
+                        this.renderList();
+                        break;
+                    case 'reorder':
+                        this.reorder(orderId);
+                        break;
+                    case 'cancel':
+                        this.cancel(orderId);
+                        break;
+                    case 'receipt':
+                        this.close();
+                        this.receipt.open(orderId);
+                        break;
+                    case 'gift-receipt':
+                        this.printGiftReceipt(orderId);
+                        break;
+                }
+            });
+        }
+
+        const overlay = document.getElementById('overlay');
+        if (overlay) {
+            overlay.addEventListener('click', () => this.close());
+        }
+    }
+
+    open() {
+        this.cart.closeCart();
+        this.cart.closeCheckoutModal();
+
+        const modal = document.getElementById('ordersModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && overlay) {
+            this.renderList();
+            modal.classList.add('open');
+            overlay.classList.add('open');
+        }
+    }
+
+    close() {
+        const modal = document.getElementById('ordersModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && modal.classList.contains('open')) {
+            modal.classList.remove('open');
+            if (overlay) overlay.classList.remove('open');
+        }
+    }
+
+    getStatusLabel(status) {
+        return t(`status.${status}`);
+    }
+
+    formatDate(isoDate) {
+        return new Date(isoDate).toLocaleString(LANGUAGES[localization.language].locale);
+    }
+
+    countItems(order) {
+        return order.items.reduce((sum, item) => sum + (item.quantity || 1), 0);
+    }
+
+    renderList() {
+        const body = document.getElementById('ordersBody');
+        const orders = this.db.loadOrders().slice().reverse();
+
+        if (orders.length === 0) {
+            body.innerHTML = `<p class="orders-empty">${escapeHTML(t('orders.empty'))}</p>`;
+            return;
+        }
+
+        body.innerHTML = orders.map(order => `
+            <div class="order-row">
+                <div class="order-row-info">
+                    <div class="order-row-id">${escapeHTML(order.id)}</div>
+                    <div class="order-row-meta">${this.formatDate(order.createdAt)} · ${t('orders.items', { count: this.countItems(order) })}</div>
+                    ${order.syncStatus === 'pending-sync' ? `<div class="order-sync">${t('orders.pendingSync')}</div>` : ''}
+                </div>
+                <span class="order-status status-${order.status}">${this.getStatusLabel(order.status)}</span>
+                <span class="order-row-total">${formatOrderPrice(order, order.total)}</span>
+                <button type="button" class="order-link" data-order-action="view" data-order-id="${escapeHTML(order.id)}">${t('orders.details')}</button>
+            </div>
+        `).join('');
+    }
+
+    renderDetail(orderId) {
+        const body = document.getElementById('ordersBody');
+        const order = this.db.getOrderById(orderId);
+        if (!order) {
+            this.renderList();
+            return;
+        }
+
+        const itemsHTML = order.items.map(item => `
+            <div class="order-item">
+                <span class="order-item-name">${escapeHTML(item.name)} × ${item.quantity || 1}${this.cart.renderContents(item)}</span>
+                <span class="order-item-price">${formatOrderPrice(order, item.price * (item.quantity || 1))}</span>
+            </div>
+        `).join('');
+
+        const historyHTML = (order.statusHistory || []).map(entry => `
+            <li>
+                <span class="order-status status-${entry.status}">${this.getStatusLabel(entry.status)}</span>
+                <span class="order-timeline-date">${this.formatDate(entry.at)}</span>
+                ${entry.note ? `<span class="order-timeline-note">${escapeHTML(entry.note)}</span>` : ''}
+            </li>
+        `).join('');
+
+        // Customers may only cancel orders the shop hasn't confirmed yet
+        const cancelButton = order.status === 'pending'
+            ? `<button type="button" class="order-action secondary" data-order-action="cancel" data-order-id="${escapeHTML(order.id)}">${t('orders.cancel')}</button>`
+            : '';
+
+        body.innerHTML = `
+            <button type="button" class="order-link" data-order-action="back">${t('orders.back')}</button>
+            <div class="order-detail-header">
+                <h3>${escapeHTML(order.id)}</h3>
+                <span class="order-status status-${order.status}">${this.getStatusLabel(order.status)}</span>
+            </div>
+            <p class="order-detail-meta">${t('orders.placed', { date: this.formatDate(order.createdAt) })}</p>
+            <div class="order-summary">
+                ${itemsHTML}
+                ${this.renderPricing(order)}
+                <div class="summary-total">
+                    <span>${t('checkout.total')}</span>
+                    <span>${formatOrderPrice(order, order.total)}</span>
+                </div>
+            </div>
+            ${order.gift ? `
+                <div class="order-detail-section">
+                    <h4>${escapeHTML(t('orders.giftFor', { name: order.gift.recipientName }))}</h4>
+                    <p>${escapeHTML(order.gift.recipientPhone)} · ${escapeHTML(order.gift.recipientAddress)}</p>
+                    ${order.gift.message ? `<p class="gift-message">“${escapeHTML(order.gift.message)}”</p>` : ''}
+                    <p>${order.gift.wrap ? t('orders.giftWrapped', { fee: formatOrderPrice(order, order.gift.wrapFee) }) : t('orders.noGiftWrap')}</p>
+                </div>
+            ` : `
+                <div class="order-detail-section">
+                    <h4>${t(order.delivery && order.delivery.method === 'pickup' ? 'receipt.pickup' : 'receipt.delivery')}</h4>
+                    <p>${escapeHTML(order.name)} · ${escapeHTML(order.phone)}</p>
+                    <p>${escapeHTML(order.delivery && order.delivery.method === 'pickup' ? order.delivery.pickupAddress : order.address)}</p>
+                </div>
+            `}
+            ${order.delivery ? `
+                <div class="order-detail-section">
+                    <h4>${t(order.delivery.method === 'pickup' ? 'orders.pickupTime' : 'orders.deliveryTime')}</h4>
+                    <p>${escapeHTML(formatDeliveryWindow(order.delivery))}${order.delivery.zoneName ? ` · ${escapeHTML(order.delivery.zoneName)}` : ''}</p>
+                </div>
+            ` : ''}
+            <div class="order-detail-section">
+                <h4>${t('orders.history')}</h4>
+                <ol class="order-timeline">${historyHTML}</ol>
+            </div>
+            <div class="order-detail-actions">
+                <button type="button" class="order-action" data-order-action="reorder" data-order-id="${escapeHTML(order.id)}">${t('orders.reorder')}</button>
+                <button type="button" class="order-action secondary" data-order-action="receipt" data-order-id="${escapeHTML(order.id)}">${t('receipt.title')}</button>
+                ${order.gift ? `<button type="button" class="order-action secondary" data-order-action="gift-receipt" data-order-id="${escapeHTML(order.id)}">${t('orders.giftReceipt')}</button>` : ''}
+                ${cancelButton}
+            </div>
+        `;
+    }
+
+    renderPricing(order) {
+        const { pricing } = order;
+        if (!pricing) return '';
+        const price = amount => formatOrderPrice(order, amount);
+
+        const row = (label, amount) => `
+            <div class="order-item order-extra">
+                <span class="order-item-name">${escapeHTML(label)}</span>
+                <span class="order-item-price">${amount}</span>
+            </div>
+        `;
+
+        return [
+            row(t('checkout.subtotal'), price(pricing.subtotal)),
+            ...pricing.discounts.map(discount => row(discount.label, `−${price(discount.amount)}`)),
+            ...pricing.extras.map(extra => row(extra.label, price(extra.amount))),
+            row(t('checkout.shipping'), pricing.shipping > 0 ? price(pricing.shipping) : t('checkout.shippingFree'))
+        ].join('');
+    }
+
+    reorder(orderId) {
+        const order = this.db.getOrderById(orderId);
+        if (!order) return;
+
+        const missing = this.cart.addItems(order.items.map(item => ({
+            productId: item.productId,
+            name: item.name,
+            quantity: item.quantity || 1,
+            box: item.box,
+            contents: item.contents
+        })));
+
+        this.close();
+        this.cart.toggleCart();
+        this.cart.showNotification(missing.length > 0
+            ? t('notify.reorderMissing', { names: missing.join(', ') })
+            : t('notify.reorderAdded'));
+    }
+
+    // A receipt to put in the parcel: contents and message, no prices
+    printGiftReceipt(orderId) {
+        const order = this.db.getOrderById(orderId);
+        if (!order || !order.gift) return;
+
+        const receipt = window.open('', '_blank');
+        if (!receipt) {
+            this.cart.showNotification(t('notify.allowPopups'));
+            return;
+        }
+
+        const itemsHTML = order.items
+            .map(item => `<li>${escapeHTML(item.name)} × ${item.quantity || 1}${Array.isArray(item.contents) ? `<br><small>${escapeHTML(formatBoxContents(item.contents))}</small>` : ''}</li>`)
+            .join('');
+
+        receipt.document.write(`
+            <!DOCTYPE html>
+            <html lang="${localization.language}">
+            <head>
+                <meta charset="UTF-8">
+                <title>${escapeHTML(t('giftReceipt.title', { id: order.id }))}</title>
+                <style>
+                    body { font-family: 'Inter', Arial, sans-serif; color: #1a2332; max-width: 520px; margin: 40px auto; padding: 0 24px; }
+                    h1 { font-size: 28px; margin-bottom: 4px; }
+                    .meta { color: #868e96; font-size: 14px; }
+                    .message { font-size: 18px; font-style: italic; border-left: 4px solid #4ecdc4; padding: 8px 16px; margin: 24px 0; }
+                    ul { padding-left: 20px; line-height: 1.8; }
+                </style>
+            </head>
+            <body>
+                <h1>${escapeHTML(t('giftReceipt.heading', { name: order.gift.recipientName }))}</h1>
+                <p class="meta">${escapeHTML(t('giftReceipt.meta', {
+                    name: order.name,
+                    id: order.id,
+                    date: new Date(order.createdAt).toLocaleDateString(LANGUAGES[localization.language].locale)
+                }))}</p>
+                ${order.gift.message ? `<p class="message">${escapeHTML(order.gift.message)}</p>` : ''}
+                <h2>${escapeHTML(t('giftReceipt.contents'))}</h2>
+                <ul>${itemsHTML}</ul>
+                <p class="meta">${escapeHTML(t('giftReceipt.footer'))}</p>
+            </body>
+            </html>
+        `);
+        receipt.document.close();
+        receipt.focus();
+        receipt.print();
+    }
+
+    cancel(orderId) {
+        if (!confirm(t('orders.cancelConfirm'))) return;
+
+        if (this.db.updateOrderStatus(orderId, 'cancelled', 'Cancelled by customer')) {
+            this.cart.catalog.refreshStock();
+            this.cart.showNotification(t('notify.orderCancelled'));
+        }
+        this.renderDetail(orderId);
+    }
+}
+
+// ====================================
+// Order Receipts
+// ====================================
+
+const PAYMENT_LABELS = {
+    cash: 'checkout.paymentCash',
+    card: 'checkout.paymentCard',
+    online: 'checkout.paymentOnline'
+};
+
+// Styles for the standalone receipt (print window and download); A4-friendly when printed or saved as PDF
+const RECEIPT_STYLES = `
+    body { font-family: 'Inter', Arial, sans-serif; color: #1a2332; max-width: 720px; margin: 32px auto; padding: 0 24px; line-height: 1.5; }
+    .receipt-header { display: flex; justify-content: space-between; align-items: flex-start; border-bottom: 3px solid #1a2332; padding-bottom: 16px; }
+    .receipt-brand { font-size: 26px; font-weight: 800; }
+    .receipt-meta { text-align: right; font-size: 14px; color: #495057; }
+    .receipt-id { font-size: 18px; font-weight: 700; color: #1a2332; }
+    .receipt-parties { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 16px; margin: 24px 0; }
+    .receipt-parties h3, .receipt-notes h3 { font-size: 12px; text-transform: uppercase; letter-spacing: 0.08em; color: #868e96; margin: 0 0 6px; }
+    .receipt-parties p, .receipt-notes p { margin: 0; font-size: 14px; white-space: pre-line; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th { text-align: left; font-size: 12px; text-transform: uppercase; color: #868e96; border-bottom: 1px solid #dee2e6; padding: 8px 4px; }
+    td { padding: 8px 4px; border-bottom: 1px solid #f1f3f5; vertical-align: top; }
+    .num { text-align: right; white-space: nowrap; }
+    .receipt-contents { display: block; font-size: 12px; color: #868e96; }
+    .receipt-totals td { border: none; padding: 4px; }
+    .receipt-total td { font-size: 18px; font-weight: 700; border-top: 2px solid #1a2332; padding-top: 10px; }
+    .receipt-notes { margin-top: 24px; }
+    .receipt-footer { margin-top: 32px; text-align: center; font-size: 13px; color: #868e96; }
+    @page { size: A4; margin: 16mm; }
+    @media print { body { margin: 0; max-width: none; } }
+`;
+
+// The receipt for a stored order: shown as the confirmation after checkout, printable,
+// and downloadable as one self-contained HTML file (print it to PDF if needed).
+class OrderReceipt {
+    constructor(database, cart) {
+        this.db = database;
+        this.cart = cart;
+        this.order = null;
+        this.init();
+    }
+
+    init() {
+        const close = document.getElementById('receiptClose');
+        if (close) {
+            close.addEventListener('click', () => this.close());
+        }
+
+        const body = document.getElementById('receiptBody');
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-receipt-action]');
+                if (!button || !this.order) return;
+
+                switch (button.dataset.receiptAction) {
+                    case 'print':
+                        this.print(this.order);
+                        break;
+                    case 'download':
+                        this.download(this.order);
+                        break;
+                    case 'close':
+                        this.close();
+                        break;
+                }
+            });
+        }
+
+        const overlay = document.getElementById('overlay');
+        if (overlay) {
+            overlay.addEventListener('click', () => this.close());
+        }
+    }
+
+    // `notes` are extra lines for the confirmation screen, e.g. the offline notice
+    open(orderId, { confirmation = false, notes = [] } = {}) {
+        const order = this.db.getOrderById(orderId);
+        if (!order) {
+            console.error('Unknown order:', orderId);
+            this.cart.showNotification(t('receipt.notFound', { id: orderId }));
+            return;
+        }
+        this.order = order;
+
+        const modal = document.getElementById('receiptModal');
+        const overlay = document.getElementById('overlay');
+        const title = document.getElementById('receiptTitle');
+        const body = document.getElementById('receiptBody');
+        if (!modal || !overlay || !body) return;
+
+        if (title) title.textContent = t(confirmation ? 'receipt.confirmedTitle' : 'receipt.title');
+
+        const intro = confirmation ? `
+            <div class="receipt-intro">
+                <p class="receipt-thanks">${escapeHTML(t('receipt.thanks', { name: order.name }))}</p>
+                ${[t('success.contact', { phone: order.phone }), t('success.followUp'), ...notes]
+                    .map(line => `<p>${escapeHTML(line)}</p>`).join('')}
+            </div>
+        ` : '';
+
+        body.innerHTML = `
+            ${intro}
+            ${this.render(order)}
+            <div class="receipt-actions">
+                <button type="button" class="order-action" data-receipt-action="print">${t('receipt.print')}</button>
+                <button type="button" class="order-action secondary" data-receipt-action="download">${t('receipt.download')}</button>
+                <button type="button" class="order-action secondary" data-receipt-action="close">${t(confirmation ? 'receipt.continue' : 'common.close')}</button>
+            </div>
+        `;
+
+        modal.classList.add('open');
+        overlay.classList.add('open');
+        document.body.classList.add('receipt-open');
+    }
+
+    close() {
+        const modal = document.getElementById('receiptModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && modal.classList.contains('open')) {
+            modal.classList.remove('open');
+            if (overlay) overlay.classList.remove('open');
+            document.body.classList.remove('receipt-open');
+        }
+    }
+
+    renderParties(order) {
+        const parties = [`
+            <div>
+                <h3>${t('receipt.customer')}</h3>
+                <p>${escapeHTML(order.name)}\n${escapeHTML(order.phone)}\n${escapeHTML(order.email)}</p>
+            </div>
+        `];
+
+        const delivery = order.delivery;
+        if (order.gift) {
+            parties.push(`
+                <div>
+                    <h3>${t('receipt.gift', { name: escapeHTML(order.gift.recipientName) })}</h3>
+                    <p>${escapeHTML(order.gift.recipientPhone)}\n${escapeHTML(order.gift.recipientAddress)}${delivery ? `\n${escapeHTML(formatDeliveryWindow(delivery))}` : ''}</p>
+                </div>
+            `);
+        } else if (delivery && delivery.method === 'pickup') {
+            parties.push(`
+                <div>
+                    <h3>${t('receipt.pickup')}</h3>
+                    <p>${escapeHTML(delivery.pickupAddress)}\n${escapeHTML(formatDeliveryWindow(delivery))}</p>
+                </div>
+            `);
+        } else {
+            parties.push(`
+                <div>
+                    <h3>${t('receipt.delivery')}</h3>
+                    <p>${escapeHTML(order.address)}${delivery ? `\n${escapeHTML(formatDeliveryWindow(delivery))}` : ''}</p>
+                </div>
+            `);
+        }
+
+        parties.push(`
+            <div>
+                <h3>${t('receipt.payment')}</h3>
+                <p>${escapeHTML(PAYMENT_LABELS[order.payment] ? t(PAYMENT_LABELS[order.payment]) : order.payment)}</p>
+            </div>
+        `);
+        return parties.join('');
+    }
+
+    render(order) {
+        const price = amount => formatOrderPrice(order, amount);
+        const itemsHTML = order.items.map(item => `
+            <tr>
+                <td>${escapeHTML(item.name)}${Array.isArray(item.contents) ? `<span class="receipt-contents">${escapeHTML(formatBoxContents(item.contents))}</span>` : ''}</td>
+                <td class="num">${item.quantity || 1}</td>
+                <td class="num">${price(item.price)}</td>
+                <td class="num">${price(item.price * (item.quantity || 1))}</td>
+            </tr>
+        `).join('');
+
+        const pricing = order.pricing || { subtotal: order.total, discounts: [], extras: [], shipping: 0, total: order.total };
+        const shippingLabel = order.delivery && order.delivery.method === 'pickup'
+            ? t('delivery.pickupLine')
+            : (order.delivery ? t('delivery.shippingZone', { zone: order.delivery.zoneName }) : t('checkout.shipping'));
+        const row = (label, amount, className = '') => `
+            <tr class="${className}">
+                <td colspan="3">${escapeHTML(label)}</td>
+                <td class="num">${amount}</td>
+            </tr>
+        `;
+
+        return `
+            <article class="receipt">
+                <header class="receipt-header">
+                    <div class="receipt-brand">🍫 ChocoWorld</div>
+                    <div class="receipt-meta">
+                        <div class="receipt-id">${escapeHTML(order.id)}</div>
+                        <div>${escapeHTML(new Date(order.createdAt || order.date).toLocaleString(LANGUAGES[localization.language].locale))}</div>
+                    </div>
+                </header>
+                <section class="receipt-parties">${this.renderParties(order)}</section>
+                <table class="receipt-items">
+                    <thead>
+                        <tr>
+                            <th>${t('receipt.item')}</th>
+                            <th class="num">${t('receipt.quantity')}</th>
+                            <th class="num">${t('receipt.price')}</th>
+                            <th class="num">${t('receipt.amount')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>${itemsHTML}</tbody>
+                    <tbody class="receipt-totals">
+                        ${row(t('checkout.subtotal'), price(pricing.subtotal))}
+                        ${pricing.discounts.map(discount => row(discount.label, `−${price(discount.amount)}`)).join('')}
+                        ${pricing.extras.map(extra => row(extra.label, price(extra.amount))).join('')}
+                        ${row(shippingLabel, pricing.shipping > 0 ? price(pricing.shipping) : t('checkout.shippingFree'))}
+                        ${row(t('receipt.total'), price(order.total), 'receipt-total')}
+                    </tbody>
+                </table>
+                ${order.notes ? `
+                    <section class="receipt-notes">
+                        <h3>${t('receipt.notes')}</h3>
+                        <p>${escapeHTML(order.notes)}</p>
+                    </section>
+                ` : ''}
+                <footer class="receipt-footer">${t('receipt.footer')}</footer>
+            </article>
+        `;
+    }
+
+    toDocument(order) {
+        return `<!DOCTYPE html>
+<html lang="${localization.language}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHTML(t('receipt.title'))} ${escapeHTML(order.id)}</title>
+    <style>${RECEIPT_STYLES}</style>
+</head>
+<body>
+${this.render(order)}
+</body>
+</html>
+`;
+    }
+
+    print(order) {
+        const receipt = window.open('', '_blank');
+        if (!receipt) {
+            this.cart.showNotification(t('notify.allowPopups'));
+            return;
+        }
+
+        receipt.document.write(this.toDocument(order));
+        receipt.document.close();
+        receipt.focus();
+        receipt.print();
+    }
+
+    download(order) {
+        const blob = new Blob([this.toDocument(order)], { type: 'text/html' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `chocoworld-receipt-${order.id}.html`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// ====================================
+// Saved Profiles
+// ====================================
+
+class ProfilePanel {
+    constructor(database, cart, analytics) {
+        this.db = database;
+        this.cart = cart;
+        this.analytics = analytics;
+        this.init();
+    }
+
+    init() {
+        const toggle = document.getElementById('profileToggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => this.open());
+        }
+
+        const close = document.getElementById('profileClose');
+        if (close) {
+            close.addEventListener('click', () => this.close());
+        }
+
+        const body = document.getElementById('profileBody');
+        if (body) {
+            body.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-profile-action]');
+                if (!button) return;
+
+                const { email, addressId } = button.dataset;
+                switch (button.dataset.profileAction) {
+                    case 'remember':
+                        this.db.saveCustomer({ email, remember: true });
+                        break;
+                    case 'forget':
+                        this.db.saveCustomer({ email, remember: false });
+                        break;
+                    case 'remove-address':
+                        this.db.removeCustomerAddress(email, addressId);
+                        break;
+                    case 'delete':
+                        this.deleteCustomer(email);
+                        break;
+                    case 'analytics-on':
+                    case 'analytics-off':
+                        this.analytics.setConsent(button.dataset.profileAction === 'analytics-on');
+                        break;
+                }
+                this.render();
+            });
+        }
+
+        const overlay = document.getElementById('overlay');
+        if (overlay) {
+            overlay.addEventListener('click', () => this.close());
+        }
+    }
+
+    open() {
+        this.cart.closeCart();
+        this.cart.closeCheckoutModal();
+
+        const modal = document.getElementById('profileModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && overlay) {
+            this.render();
+            modal.classList.add('open');
+            overlay.classList.add('open');
+        }
+    }
+
+    close() {
+        const modal = document.getElementById('profileModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && modal.classList.contains('open')) {
+            modal.classList.remove('open');
+            if (overlay) overlay.classList.remove('open');
+        }
+    }
+
+    deleteCustomer(email) {
+        if (!confirm(t('profile.deleteConfirm', { email }))) return;
+
+        if (this.db.deleteCustomer(email)) {
+            this.cart.showNotification(t('notify.dataDeleted'));
+        }
+    }
+
+    render() {
+        const body = document.getElementById('profileBody');
+        const customers = this.db.loadCustomers();
+        const orders = this.db.loadOrders();
+
+        if (customers.length === 0) {
+            body.innerHTML = `<p class="orders-empty">${escapeHTML(t('profile.empty'))}</p>` + this.renderAnalytics();
+            return;
+        }
+
+        const intro = `<p class="profile-intro">${escapeHTML(t('profile.intro'))}</p>`;
+
+        body.innerHTML = intro + customers.map(customer => {
+            const email = escapeHTML(customer.email);
+            const orderCount = orders.filter(order => String(order.email || '').toLowerCase() === customer.email.toLowerCase()).length;
+            const addresses = (customer.addresses || []).map(entry => `
+                <li class="profile-address">
+                    <span>${entry.label ? `<strong>${escapeHTML(entry.label)}</strong> · ` : ''}${escapeHTML(entry.address)}</span>
+                    <button type="button" class="order-link" data-profile-action="remove-address" data-email="${email}" data-address-id="${entry.id}">${t('profile.removeAddress')}</button>
+                </li>
+            `).join('');
+
+            return `
+                <div class="profile-card">
+                    <div class="order-detail-header">
+                        <h3>${escapeHTML(customer.name)}</h3>
+                        ${customer.remember ? `<span class="profile-badge">${t('profile.remembered')}</span>` : ''}
+                    </div>
+                    <dl class="profile-details">
+                        <dt>${t('profile.email')}</dt><dd>${email}</dd>
+                        <dt>${t('profile.phone')}</dt><dd>${escapeHTML(customer.phone)}</dd>
+                        <dt>${t('profile.payment')}</dt><dd>${PAYMENT_LABELS[customer.preferredPayment] ? t(PAYMENT_LABELS[customer.preferredPayment]) : '—'}</dd>
+                        <dt>${t('profile.orders')}</dt><dd>${orderCount}</dd>
+                        <dt>${t('profile.since')}</dt><dd>${new Date(customer.createdAt).toLocaleDateString(LANGUAGES[localization.language].locale)}</dd>
+                    </dl>
+                    <h4>${t('profile.addresses')}</h4>
+                    ${addresses ? `<ul class="profile-addresses">${addresses}</ul>` : `<p class="order-detail-meta">${t('profile.noAddresses')}</p>`}
+                    <div class="order-detail-actions">
+                        ${customer.remember
+                            ? `<button type="button" class="order-action secondary" data-profile-action="forget" data-email="${email}">${t('profile.forget')}</button>`
+                            : `<button type="button" class="order-action secondary" data-profile-action="remember" data-email="${email}">${t('profile.remember')}</button>`}
+                        <button type="button" class="order-action danger" data-profile-action="delete" data-email="${email}">${t('profile.delete')}</button>
+                    </div>
+                </div>
+            `;
+        }).join('') + this.renderAnalytics();
+    }
+
+    renderAnalytics() {
+        if (!this.analytics) return '';
+
+        const allowed = this.analytics.hasConsent();
+        return `
+            <div class="profile-card">
+                <div class="order-detail-header">
+                    <h3>${t('profile.analyticsTitle')}</h3>
+                    <span class="profile-badge">${t(allowed ? 'profile.analyticsAllowed' : 'profile.analyticsOff')}</span>
+                </div>
+                <p class="order-detail-meta">${t('profile.analyticsText')}</p>
+                <div class="order-detail-actions">
+                    ${allowed
+                        ? `<button type="button" class="order-action secondary" data-profile-action="analytics-off">${t('profile.analyticsStop')}</button>`
+                        : `<button type="button" class="order-action secondary" data-profile-action="analytics-on">${t('profile.analyticsShare')}</button>`}
+                </div>
+            </div>
+        `;
+    }
+}
+
+// ====================================
+// Admin Dashboard
+// ====================================
+
+class AdminDashboard {
+    constructor(database, cart, catalog, source = 'data/admin.json') {
+        this.db = database;
+        this.cart = cart;
+        this.catalog = catalog;
+        this.source = source;
+        this.passcodeHash = null;
+        this.unlocked = false;
+        this.activeTab = 'orders';
+        this.filters = { status: '', payment: '', from: '', to: '' };
+        this.init();
+    }
+
+    init() {
+        const close = document.getElementById('adminClose');
+        if (close) {
+            close.addEventListener('click', () => this.close());
+        }
+
+        const body = document.getElementById('adminBody');
+        if (body) {
+            body.addEventListener('submit', (e) => {
+                if (e.target.id === 'adminLogin') {
+                    e.preventDefault();
+                    this.unlock(e.target.elements.passcode.value);
+                }
+            });
+
+            body.addEventListener('click', (e) => {
+                const tab = e.target.closest('[data-admin-tab]');
+                if (tab) {
+                    this.activeTab = tab.dataset.adminTab;
+                    this.render();
+                }
+
+                if (e.target.closest('#adminExportCsv')) {
+                    this.downloadCsv();
+                }
+
+                const reviewButton = e.target.closest('[data-review-action]');
+                if (reviewButton) {
+                    this.moderateReview(reviewButton.dataset.reviewId, reviewButton.dataset.reviewAction);
+                }
+            });
+
+            body.addEventListener('change', (e) => {
+                if (e.target.matches('[data-filter]')) {
+                    this.filters[e.target.dataset.filter] = e.target.value;
+                    this.render();
+                }
+
+                if (e.target.matches('.admin-status-select')) {
+                    this.changeStatus(e.target.dataset.orderId, e.target.value);
+                }
+            });
+        }
+
+        const overlay = document.getElementById('overlay');
+        if (overlay) {
+            overlay.addEventListener('click', () => this.close());
+        }
+
+        // The dashboard has no visible entry point: open it with #admin or Ctrl+Shift+A
+        window.addEventListener('hashchange', () => {
+            if (window.location.hash === '#admin') this.open();
+        });
+        if (window.location.hash === '#admin') {
+            this.open();
+        }
+    }
+
+    open() {
+        this.cart.closeCart();
+        this.cart.closeCheckoutModal();
+
+        const modal = document.getElementById('adminModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && overlay) {
+            this.render();
+            modal.classList.add('open');
+            overlay.classList.add('open');
+        }
+    }
+
+    close() {
+        const modal = document.getElementById('adminModal');
+        const overlay = document.getElementById('overlay');
+
+        if (modal && modal.classList.contains('open')) {
+            modal.classList.remove('open');
+            if (overlay) overlay.classList.remove('open');
+            if (window.location.hash === '#admin') {
+                history.replaceState(null, '', window.location.pathname + window.location.search);
+            }
+        }
+    }
+
+    // The passcode is set by whoever runs the shop, as a hash in data/admin.json, never from the page
+    async load() {
+        try {
+            const response = await fetch(this.source);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            const config = await response.json();
+            this.passcodeHash = config && typeof config.passcodeHash === 'string'
+                ? config.passcodeHash.toLowerCase()
+                : null;
+        } catch (error) {
+            console.warn('Admin config fetch failed, the dashboard stays locked:', error.message);
+            this.passcodeHash = null;
+        }
+        return this.passcodeHash;
+    }
+
+    async hashPasscode(passcode) {
+        const bytes = new TextEncoder().encode(`chocoworld-admin:${passcode}`);
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    async unlock(passcode) {
+        if (passcode.length < 4) {
+            this.renderLogin(t('admin.errorShort'));
+            return;
+        }
+
+        if (!this.passcodeHash) {
+            this.renderLogin(t('admin.errorNotSetUp'));
+            return;
+        }
+
+        if (await this.hashPasscode(passcode) !== this.passcodeHash) {
+            this.renderLogin(t('admin.errorWrong'));
+            return;
+        }
+
+        this.unlocked = true;
+        this.render();
+    }
+
+    render() {
+        if (!this.unlocked) {
+            this.renderLogin();
+            return;
+        }
+
+        const tabs = ['orders', 'customers', 'reviews', 'revenue'].map(tab => `
+            <button type="button" class="admin-tab ${tab === this.activeTab ? 'active' : ''}" data-admin-tab="${tab}">
+                ${t(`admin.tab${tab.charAt(0).toUpperCase() + tab.slice(1)}`)}
+            </button>
+        `).join('');
+
+        const views = {
+            orders: () => this.renderOrders(),
+            customers: () => this.renderCustomers(),
+            reviews: () => this.renderReviews(),
+            revenue: () => this.renderRevenue()
+        };
+
+        document.getElementById('adminBody').innerHTML = `
+            <div class="admin-tabs">${tabs}</div>
+            ${views[this.activeTab]()}
+        `;
+    }
+
+    renderLogin(error = '') {
+        document.getElementById('adminBody').innerHTML = `
+            <form id="adminLogin" class="admin-login">
+                <div class="form-group">
+                    <label for="adminPasscode">${t('admin.passcode')}</label>
+                    <input type="password" id="adminPasscode" name="passcode" autocomplete="current-password" required>
+                    ${error ? `<div class="field-error">${escapeHTML(error)}</div>` : ''}
+                </div>
+                <button type="submit" class="backup-button">${t('admin.unlock')}</button>
+            </form>
+        `;
+    }
+
+    formatDate(isoDate, withTime = false) {
+        const date = new Date(isoDate);
+        const locale = LANGUAGES[localization.language].locale;
+        return withTime ? date.toLocaleString(locale) : date.toLocaleDateString(locale);
+    }
+
+    getStatusLabel(status) {
+        return t(`status.${status}`);
+    }
+
+    getPaymentLabel(method) {
+        return PAYMENT_LABELS[method] ? t(PAYMENT_LABELS[method]) : method;
+    }
+
+    getFilteredOrders() {
+        const { status, payment, from, to } = this.filters;
+
+        return this.db.loadOrders().filter(order => {
+            const day = order.createdAt.slice(0, 10);
+            return (!status || order.status === status) &&
+                (!payment || order.payment === payment) &&
+                (!from || day >= from) &&
+                (!to || day <= to);
+        }).reverse();
+    }
+
+    renderOrders() {
+        const orders = this.getFilteredOrders();
+        const statusOptions = ORDER_STATUSES
+            .map(status => `<option value="${status}" ${this.filters.status === status ? 'selected' : ''}>${this.getStatusLabel(status)}</option>`)
+            .join('');
+        const paymentOptions = Object.keys(PAYMENT_LABELS)
+            .map(method => `<option value="${method}" ${this.filters.payment === method ? 'selected' : ''}>${this.getPaymentLabel(method)}</option>`)
+            .join('');
+
+        const rows = orders.map(order => {
+            const nextStatuses = ORDER_STATUS_TRANSITIONS[order.status] || [];
+            const statusControl = nextStatuses.length === 0
+                ? `<span class="order-status status-${order.status}">${this.getStatusLabel(order.status)}</span>`
+                : `
+                    <select class="admin-status-select" data-order-id="${escapeHTML(order.id)}" aria-label="${escapeHTML(t('admin.colStatus'))}">
+                        <option value="${order.status}" selected>${this.getStatusLabel(order.status)}</option>
+                        ${nextStatuses.map(status => `<option value="${status}">→ ${this.getStatusLabel(status)}</option>`).join('')}
+                    </select>
+                `;
+
+            return `
+                <tr>
+                    <td>${escapeHTML(order.id)}</td>
+                    <td>${this.formatDate(order.createdAt || order.date, true)}</td>
+                    <td>${escapeHTML(order.name)}<br><small>${escapeHTML(order.email)}</small></td>
+                    <td>${order.delivery ? `${escapeHTML(formatDeliveryWindow(order.delivery))}<br><small>${order.delivery.method === 'pickup' ? t('admin.pickup') : escapeHTML(order.delivery.zoneName)}</small>` : '—'}</td>
+                    <td>${escapeHTML(this.getPaymentLabel(order.payment))}</td>
+                    <td>${formatPrice(order.total)}</td>
+                    <td>${statusControl}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="admin-filters">
+                <select data-filter="status" aria-label="${escapeHTML(t('admin.filterStatus'))}">
+                    <option value="">${t('admin.allStatuses')}</option>
+                    ${statusOptions}
+                </select>
+                <select data-filter="payment" aria-label="${escapeHTML(t('admin.filterPayment'))}">
+                    <option value="">${t('admin.allPayments')}</option>
+                    ${paymentOptions}
+                </select>
+                <input type="date" data-filter="from" value="${this.filters.from}" aria-label="${escapeHTML(t('admin.filterFrom'))}">
+                <input type="date" data-filter="to" value="${this.filters.to}" aria-label="${escapeHTML(t('admin.filterTo'))}">
+                <button type="button" class="backup-button" id="adminExportCsv">${t('admin.exportCsv')}</button>
+            </div>
+            <table class="admin-table">
+                <thead>
+                    <tr>${['colOrder', 'colDate', 'colCustomer', 'colDelivery', 'colPayment', 'colTotal', 'colStatus'].map(key => `<th>${t(`admin.${key}`)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>${rows || `<tr><td colspan="7">${t('admin.noOrders')}</td></tr>`}</tbody>
+            </table>
+        `;
+    }
+
+    renderCustomers() {
+        const orders = this.db.loadOrders();
+        const rows = this.db.loadCustomers().map(customer => {
+            const customerOrders = orders.filter(order => order.email === customer.email);
+            const spent = customerOrders
+                .filter(order => order.status !== 'cancelled')
+                .reduce((sum, order) => sum + order.total, 0);
+
+            return `
+                <tr>
+                    <td>${escapeHTML(customer.name)}</td>
+                    <td>${escapeHTML(customer.email)}</td>
+                    <td>${escapeHTML(customer.phone)}</td>
+                    <td>${customerOrders.length}</td>
+                    <td>${formatPrice(spent)}</td>
+                    <td>${this.formatDate(customer.createdAt)}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="admin-table">
+                <thead>
+                    <tr>${['colName', 'colEmail', 'colPhone', 'colOrders', 'colSpent', 'colSince'].map(key => `<th>${t(`admin.${key}`)}</th>`).join('')}</tr>
+                </thead>
+                <tbody>${rows || `<tr><td colspan="6">${t('admin.noCustomers')}</td></tr>`}</tbody>
+            </table>
+        `;
+    }
+
+    // Reported reviews first, then newest
+    renderReviews() {
+        const reviews = this.db.loadReviews().slice().sort((a, b) =>
+            (b.reports || []).length - (a.reports || []).length || b.createdAt.localeCompare(a.createdAt));
+
+        const rows = reviews.map(review => {
+            const product = this.catalog.getById(review.productId);
+            const reports = review.reports || [];
+            const reasons = reports.map(report => report.reason).filter(Boolean);
+
+            return `
+                <tr class="${review.hidden ? 'admin-row-muted' : ''}">
+                    <td>${escapeHTML(product ? product.name : review.productId)}</td>
+                    <td><span class="stars">${formatStars(review.rating)}</span></td>
+                    <td>
+                        ${escapeHTML(review.text)}
+                        <br><small>${escapeHTML(review.name)} · ${this.formatDate(review.createdAt)} · ${escapeHTML(review.orderId)}</small>
+                    </td>
+                    <td>${reports.length}${reasons.length > 0 ? `<br><small>${reasons.map(escapeHTML).join('; ')}</small>` : ''}</td>
+                    <td>${t(review.hidden ? 'admin.reviewHidden' : 'admin.reviewVisible')}</td>
+                    <td class="admin-actions">
+                        <button type="button" class="order-link" data-review-action="${review.hidden ? 'show' : 'hide'}" data-review-id="${escapeHTML(review.id)}">${t(review.hidden ? 'admin.show' : 'admin.hide')}</button>
+                        ${reports.length > 0 ? `<button type="button" class="order-link" data-review-action="dismiss" data-review-id="${escapeHTML(review.id)}">${t('admin.dismissReports')}</button>` : ''}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <table class="admin-table">
+                <thead>
+                    <tr>${['colProduct', 'colRating', 'colReview', 'colReports', 'colStatus'].map(key => `<th>${t(`admin.${key}`)}</th>`).join('')}<th></th></tr>
+                </thead>
+                <tbody>${rows || `<tr><td colspan="6">${t('admin.noReviews')}</td></tr>`}</tbody>
+            </table>
+        `;
+    }
+
+    moderateReview(reviewId, action) {
+        const actions = {
+            hide: () => this.db.setReviewHidden(reviewId, true),
+            show: () => this.db.setReviewHidden(reviewId, false),
+            dismiss: () => this.db.clearReviewReports(reviewId)
+        };
+        if (!actions[action] || !actions[action]()) return;
+
+        this.render();
+        this.catalog.refreshStock();
+    }
+
+    getRevenueByDay(days = 14) {
+        const totals = {};
+        const today = new Date();
+
+        for (let i = days - 1; i >= 0; i--) {
+            const day = new Date(today.getFullYear(), today.getMonth(), today.getDate() - i);
+            totals[this.toDateKey(day)] = 0;
+        }
+
+        this.db.loadOrders()
+            .filter(order => order.status !== 'cancelled')
+            .forEach(order => {
+                const day = this.toDateKey(new Date(order.createdAt));
+                if (day in totals) totals[day] += order.total;
+            });
+
+        return totals;
+    }
+
+    getRevenueByCategory() {
+        const totals = { chocolate: 0, jelly: 0, mix: 0 };
+
+        this.db.loadOrders()
+            .filter(order => order.status !== 'cancelled')
+            .forEach(order => {
+                order.items.forEach(item => {
+                    totals[item.category] = (totals[item.category] || 0) + item.price * (item.quantity || 1);
+                });
+            });
+
+        return totals;
+    }
+
+    toDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    renderBarChart(totals, formatLabel) {
+        const max = Math.max(...Object.values(totals), 1);
+
+        return `
+            <div class="admin-chart">
+                ${Object.keys(totals).map(key => `
+                    <div class="admin-bar" title="${escapeHTML(formatLabel(key))}: ${formatPrice(totals[key])}">
+                        <div class="admin-bar-fill" style="height: ${(totals[key] / max) * 100}%"></div>
+                        <span class="admin-bar-label">${escapeHTML(formatLabel(key))}</span>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    renderRevenue() {
+        const stats = this.db.getStats();
+
+        return `
+            <div class="admin-stats">
+                <div><span>${t('admin.totalOrders')}</span><strong>${stats.totalOrders}</strong></div>
+                <div><span>${t('admin.totalRevenue')}</span><strong>${formatPrice(stats.totalRevenue)}</strong></div>
+                <div><span>${t('admin.lastOrder')}</span><strong>${stats.lastOrderDate ? this.formatDate(stats.lastOrderDate) : '—'}</strong></div>
+            </div>
+            <h3 class="admin-heading">${t('admin.revenueByDay', { days: 14 })}</h3>
+            ${this.renderBarChart(this.getRevenueByDay(), key => key.slice(5))}
+            <h3 class="admin-heading">${t('admin.revenueByCategory')}</h3>
+            ${this.renderBarChart(this.getRevenueByCategory(), key => this.cart.getCategoryName(key))}
+        `;
+    }
+
+    changeStatus(orderId, status) {
+        const order = this.db.getOrderById(orderId);
+        if (!order || order.status === status) return;
+
+        if (this.db.updateOrderStatus(orderId, status, 'Updated by admin')) {
+            this.cart.catalog.refreshStock();
+            this.cart.showNotification(t('notify.orderStatus', { id: orderId, status: this.getStatusLabel(status) }));
+        }
+        this.render();
+    }
+
+    toCsv(orders) {
+        const columns = ['id', 'createdAt', 'status', 'name', 'email', 'phone', 'address', 'delivery', 'payment', 'items', 'total'];
+        const escapeCell = (value) => {
+            let text = value === undefined || value === null ? '' : String(value);
+            // Keep spreadsheet apps from treating customer input as formulas
+            if (/^[=+\-@]/.test(text)) text = `'${text}`;
+            return `"${text.replace(/"/g, '""')}"`;
+        };
+
+        const rows = orders.map(order => columns.map(column => {
+            if (column === 'items') {
+                return escapeCell(order.items.map(item => `${item.name} x${item.quantity || 1}`).join('; '));
+            }
+            if (column === 'delivery') {
+                const delivery = order.delivery;
+                return escapeCell(delivery && `${delivery.method} ${delivery.date} ${delivery.from}-${delivery.to}${delivery.zoneName ? ` ${delivery.zoneName}` : ''}`);
+            }
+            return escapeCell(order[column]);
+        }).join(','));
+
+        return [columns.join(','), ...rows].join('\r\n');
+    }
+
+    downloadCsv() {
+        const blob = new Blob([this.toCsv(this.getFilteredOrders())], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `chocoworld-orders-${new Date().toISOString().slice(0, 10)}.csv`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// ====================================
+// Order API Client
+// ====================================
+
+// Order fields that only make sense in this browser and are not sent to the server
+const ORDER_LOCAL_FIELDS = ['status', 'statusHistory', 'syncStatus', 'syncedAt', 'syncError', 'updatedAt', 'stockTaken'];
+
+// POSTs orders to the shop's server. The request body is the order without local fields and
+// carries an `Idempotency-Key` header with the ORD- id, so a retried order is only placed once.
+// Server answers: 2xx { id, status: 'accepted', receivedAt } or 4xx { id, status: 'rejected', reason }.
+// Network errors, timeouts, 408, 429 and 5xx are retried with exponential backoff.
+class OrderApiClient {
+    constructor({ timeout = 8000, retries = 3, backoff = 500 } = {}) {
+        this.timeout = timeout;
+        this.retries = retries;
+        this.backoff = backoff;
+    }
+
+    toPayload(order) {
+        const payload = { ...order };
+        ORDER_LOCAL_FIELDS.forEach(field => delete payload[field]);
+        return payload;
+    }
+
+    // Resolves to { outcome: 'accepted' | 'rejected', ... }; rejects when the server can't be reached
+    async submit(endpoint, order) {
+        let lastError = null;
+
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            if (attempt > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.backoff * 2 ** (attempt - 1)));
+            }
+
+            try {
+                const response = await this.post(endpoint, order);
+                if (response.status === 408 || response.status === 429 || response.status >= 500) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return await this.readResult(response, order);
+            } catch (error) {
+                lastError = error;
+                if (error.permanent) throw error;
+                console.warn(`Order ${order.id}: attempt ${attempt + 1} failed (${error.message})`);
+            }
+        }
+
+        throw lastError;
+    }
+
+    async post(endpoint, order) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            return await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Idempotency-Key': order.id
+                },
+                body: JSON.stringify(this.toPayload(order)),
+                signal: controller.signal
+            });
+        } catch (error) {
+            throw new Error(error.name === 'AbortError' ? `Timed out after ${this.timeout}ms` : error.message);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async readResult(response, order) {
+        let body = null;
+        try {
+            body = await response.json();
+        } catch (error) {
+            body = null;
+        }
+
+        if (response.ok && body && body.status === 'accepted') {
+            return { outcome: 'accepted', id: body.id || order.id, receivedAt: body.receivedAt || null };
+        }
+
+        if (response.status >= 400 && response.status < 500) {
+            return {
+                outcome: 'rejected',
+                id: order.id,
+                reason: (body && body.reason) || `HTTP ${response.status}`
+            };
+        }
+
+        // A 2xx/3xx we don't understand; retrying won't change it
+        const error = new Error(`Unexpected response (HTTP ${response.status})`);
+        error.permanent = true;
+        throw error;
+    }
+}
+
+// ====================================
+// Offline Support
+// ====================================
+
+// Sends orders marked `pending-sync` (placed while offline) to settings.orderEndpoint, oldest first.
+// Runs on startup and whenever the browser comes back online.
+class OrderOutbox {
+    constructor(database, client = new OrderApiClient()) {
+        this.db = database;
+        this.client = client;
+        this.flushing = null;
+        this.init();
+    }
+
+    init() {
+        window.addEventListener('online', () => this.flush());
+        this.flush();
+    }
+
+    getEndpoint() {
+        return this.db.loadSettings().orderEndpoint;
+    }
+
+    isEnabled() {
+        return Boolean(this.getEndpoint());
+    }
+
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.sendPending().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async sendPending() {
+        const endpoint = this.getEndpoint();
+        if (!endpoint || !navigator.onLine) return 0;
+
+        let sent = 0;
+        for (const { id } of this.db.getUnsyncedOrders()) {
+            // Looked up again, since the customer may have cancelled it while earlier orders were sent
+            const order = this.db.getUnsyncedOrders().find(entry => entry.id === id);
+            if (!order) continue;
+
+            let result;
+            try {
+                result = await this.client.submit(endpoint, order);
+            } catch (error) {
+                // Keep the order queued and try again on the next flush
+                console.warn(`Order ${order.id} not sent:`, error.message);
+                this.db.updateOrderSync(order.id, { syncError: error.message });
+                break;
+            }
+
+            this.recordResult(order.id, result);
+            sent++;
+        }
+
+        if (sent > 0) {
+            console.log(`📤 ${sent} queued order(s) sent`);
+        }
+        return sent;
+    }
+
+    // The server's answer becomes the order status: accepted orders are confirmed, rejected ones cancelled
+    recordResult(orderId, result) {
+        const accepted = result.outcome === 'accepted';
+        this.db.updateOrderSync(orderId, {
+            syncStatus: accepted ? 'synced' : 'rejected',
+            syncedAt: new Date().toISOString(),
+            syncError: accepted ? null : result.reason
+        });
+
+        const order = this.db.getOrderById(orderId);
+        const status = accepted ? 'confirmed' : 'cancelled';
+        if (order && this.db.canTransitionOrder(order, status)) {
+            return this.db.updateOrderStatus(orderId, status, accepted ? 'Accepted by the shop' : `Rejected by the shop: ${result.reason}`);
+        }
+        return order;
+    }
+}
+
+// Registers the service worker, offers a reload when a new version is waiting
+// and shows a banner while the browser is offline
+class AppUpdater {
+    constructor() {
+        this.waitingWorker = null;
+        this.reloadRequested = false;
+        this.init();
+    }
+
+    init() {
+        this.updateConnectivity();
+        window.addEventListener('online', () => this.updateConnectivity());
+        window.addEventListener('offline', () => this.updateConnectivity());
+
+        const reloadButton = document.getElementById('updateReload');
+        if (reloadButton) {
+            reloadButton.addEventListener('click', () => this.applyUpdate());
+        }
+
+        // Service workers only run over http(s), not for a page opened from disk
+        if (!('serviceWorker' in navigator) || !['http:', 'https:'].includes(window.location.protocol)) return;
+
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => {
+                if (registration.waiting && navigator.serviceWorker.controller) {
+                    this.showUpdate(registration.waiting);
+                }
+
+                registration.addEventListener('updatefound', () => {
+                    const worker = registration.installing;
+                    worker.addEventListener('statechange', () => {
+                        // With no controller this is the first install, not an update
+                        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                            this.showUpdate(worker);
+                        }
+                    });
+                });
+                console.log('📲 Service worker registered');
+            })
+            .catch(error => console.warn('Service worker registration failed:', error.message));
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.reloadRequested) {
+                window.location.reload();
+            }
+        });
+    }
+
+    updateConnectivity() {
+        const banner = document.getElementById('offlineBanner');
+        if (banner) {
+            banner.hidden = navigator.onLine;
+        }
+    }
+
+    showUpdate(worker) {
+        this.waitingWorker = worker;
+        const banner = document.getElementById('updateBanner');
+        if (banner) {
+            banner.hidden = false;
+        }
+    }
+
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+        this.reloadRequested = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+    }
+}
+
+// ====================================
+// Backup & Restore
+// ====================================
+
+class BackupManager {
+    constructor(database, cart) {
+        this.db = database;
+        this.cart = cart;
+        this.pendingBackup = null;
+        this.listeners = [];
+        this.init();
+    }
+
+    init() {
+        const toggle = document.getElementById('backupToggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => this.open());
+        }
+
+        const close = document.getElementById('backupClose');
+        if (close) {
+            close.addEventListener('click', () => this.close());
+        }
+
+        const exportButton = document.getElementById('backupExport');
+        if (exportButton) {
+            exportButton.addEventListener('click', () => this.download());
+        }
+
+        const fileInput = document.getElementById('backupFile');
+        if (fileInput) {
+            fileInput.addEventListener('change', () => this.readFile(fileInput.files[0]));
+        }
 
-        if (cartSidebar && overlay) {
-            cartSidebar.classList.toggle('open');
-            overlay.classList.toggle('open');
+        const modeSelect = document.getElementById('backupMode');
+        if (modeSelect) {
+            modeSelect.addEventListener('change', () => this.preview());
         }
-    }
 
-    closeCart() {
-        const cartSidebar = document.getElementById('cartSidebar');
-        const overlay = document.getElementById('overlay');
+        const importButton = document.getElementById('backupImport');
+        if (importButton) {
+            importButton.addEventListener('click', () => this.apply());
+        }
 
-        if (cartSidebar && overlay) {
-            cartSidebar.classList.remove('open');
-            overlay.classList.remove('open');
+        const overlay = document.getElementById('overlay');
+        if (overlay) {
+            overlay.addEventListener('click', () => this.close());
         }
     }
 
-    openCheckoutModal() {
-        this.closeCart();
+    open() {
+        this.cart.closeCart();
+        this.cart.closeCheckoutModal();
 
-        const modal = document.getElementById('checkoutModal');
+        const modal = document.getElementById('backupModal');
         const overlay = document.getElementById('overlay');
 
         if (modal && overlay) {
             modal.classList.add('open');
             overlay.classList.add('open');
-            this.updateCheckoutSummary();
         }
     }
 
-    closeCheckoutModal() {
-        const modal = document.getElementById('checkoutModal');
+    close() {
+        const modal = document.getElementById('backupModal');
         const overlay = document.getElementById('overlay');
 
-        if (modal && overlay) {
+        if (modal && modal.classList.contains('open')) {
             modal.classList.remove('open');
-            overlay.classList.remove('open');
+            if (overlay) overlay.classList.remove('open');
         }
     }
 
-    updateCheckoutSummary() {
-        const orderItemsContainer = document.getElementById('orderItems');
-        const orderTotalElement = document.getElementById('orderTotal');
+    // Listeners run after an import, to re-render whatever shows imported data
+    onImport(listener) {
+        this.listeners.push(listener);
+    }
 
-        if (orderItemsContainer && orderTotalElement) {
-            const itemsHTML = this.items.map(item => `
-                <div class="order-item">
-                    <span class="order-item-name">${item.name}</span>
-                    <span class="order-item-price">₩${item.price.toLocaleString()}</span>
-                </div>
-            `).join('');
+    download() {
+        const blob = new Blob([this.db.export()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `chocoworld-backup-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        this.cart.showNotification(t('notify.backupDownloaded'));
+    }
+
+    async readFile(file) {
+        this.pendingBackup = null;
+        if (!file) {
+            this.preview();
+            return;
+        }
+
+        try {
+            this.pendingBackup = JSON.parse(await file.text());
+        } catch (error) {
+            this.renderErrors([t('backup.invalidJson')]);
+            this.setImportEnabled(false);
+            return;
+        }
+        this.preview();
+    }
+
+    getMode() {
+        const modeSelect = document.getElementById('backupMode');
+        return modeSelect ? modeSelect.value : 'merge';
+    }
+
+    preview() {
+        if (!this.pendingBackup) {
+            document.getElementById('backupPreview').innerHTML = '';
+            this.setImportEnabled(false);
+            return;
+        }
+
+        const result = this.db.importBackup(this.pendingBackup, { mode: this.getMode(), dryRun: true });
+        if (!result.ok) {
+            this.renderErrors(result.errors);
+            this.setImportEnabled(false);
+            return;
+        }
+
+        const rows = Object.keys(result.diff).map(table => {
+            const entry = result.diff[table];
+            return `
+                <tr>
+                    <td>${t(`backup.tables.${table}`)}</td>
+                    <td>+${entry.added}</td>
+                    <td>~${entry.updated}</td>
+                    <td>−${entry.removed}</td>
+                    <td>${entry.unchanged}</td>
+                </tr>
+            `;
+        }).join('');
+
+        document.getElementById('backupPreview').innerHTML = `
+            <p class="backup-meta">${escapeHTML(t('backup.meta', {
+                date: this.formatDate(this.pendingBackup.exportedAt),
+                version: this.pendingBackup.schemaVersion
+            }))}</p>
+            <table class="backup-diff">
+                <thead>
+                    <tr>
+                        <th>${t('backup.table')}</th><th>${t('backup.added')}</th><th>${t('backup.updated')}</th>
+                        <th>${t('backup.removed')}</th><th>${t('backup.unchanged')}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+        this.setImportEnabled(true);
+    }
+
+    formatDate(isoDate) {
+        const date = new Date(isoDate);
+        if (!isoDate || Number.isNaN(date.getTime())) return t('backup.unknownDate');
+        return date.toLocaleString(LANGUAGES[localization.language].locale);
+    }
+
+    renderErrors(errors) {
+        document.getElementById('backupPreview').innerHTML = `
+            <ul class="backup-errors">
+                ${errors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    setImportEnabled(enabled) {
+        const importButton = document.getElementById('backupImport');
+        if (importButton) importButton.disabled = !enabled;
+    }
+
+    apply() {
+        if (!this.pendingBackup) return;
+
+        const mode = this.getMode();
+        if (mode === 'replace' && !confirm(t('backup.replaceConfirm'))) {
+            return;
+        }
 
-            orderItemsContainer.innerHTML = itemsHTML;
-            orderTotalElement.textContent = `₩${this.getTotal().toLocaleString()}`;
+        const result = this.db.importBackup(this.pendingBackup, { mode });
+        if (!result.ok) {
+            this.renderErrors(result.errors);
+            return;
         }
+
+        this.cart.loadFromStorage();
+        this.cart.updateCartUI();
+        this.listeners.forEach(listener => listener());
+        this.pendingBackup = null;
+        document.getElementById('backupFile').value = '';
+        document.getElementById('backupPreview').innerHTML = '';
+        this.setImportEnabled(false);
+        this.close();
+        this.cart.showNotification(t('notify.backupImported'));
     }
 }
 
 // ====================================
-// Navigation & Smooth Scrolling
+// Event Bus & Analytics
 // ====================================
 
-class Navigation {
-    constructor() {
-        this.init();
-    }
+// Every event the app emits, with the data fields it must carry
+const ANALYTICS_EVENTS = {
+    item_added: ['productId', 'name', 'price', 'quantity'],
+    item_removed: ['productId', 'name', 'quantity'],
+    quantity_changed: ['productId', 'from', 'to'],
+    cart_viewed: ['itemCount', 'total'],
+    checkout_started: ['itemCount', 'total', 'mode'],
+    checkout_failed: ['reason'],
+    order_placed: ['orderId', 'total', 'itemCount', 'payment', 'deliveryMethod', 'promoCode', 'gift'],
+    order_saved: ['orderId', 'total'],
+    order_status_changed: ['orderId', 'from', 'to'],
+    section_viewed: ['section'],
+    product_viewed: ['productId', 'name', 'category'],
+    review_submitted: ['productId', 'rating']
+};
 
-    init() {
-        this.attachScrollListeners();
-        this.handleHashNavigation();
+// Synchronous publish/subscribe for the events above. Listeners for '*' get every event.
+// A failing listener or a malformed event is logged and never breaks the action that emitted it;
+// a strict bus (for tests) throws on malformed events instead.
+class EventBus {
+    constructor(types = ANALYTICS_EVENTS, { strict = false } = {}) {
+        this.types = types;
+        this.strict = strict;
+        this.listeners = {};
     }
 
-    attachScrollListeners() {
-        const navLinks = document.querySelectorAll('.nav-link');
-
-        navLinks.forEach(link => {
-            link.addEventListener('click', (e) => {
-                e.preventDefault();
+    // Returns a function that removes the listener again
+    on(type, listener) {
+        if (type !== '*' && !this.types[type]) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+        this.listeners[type] = [...(this.listeners[type] || []), listener];
+        return () => {
+            this.listeners[type] = this.listeners[type].filter(entry => entry !== listener);
+        };
+    }
 
-                const section = link.dataset.section;
-                this.scrollToSection(section);
+    // Returns the event, or null when it was dropped as malformed
+    emit(type, data = {}) {
+        const problem = this.check(type, data);
+        if (problem) {
+            if (this.strict) throw new Error(problem);
+            console.warn(`⚠️ Analytics event dropped: ${problem}`);
+            return null;
+        }
 
-                navLinks.forEach(l => l.classList.remove('active'));
-                link.classList.add('active');
-            });
+        const event = { type, data, at: new Date().toISOString() };
+        [...(this.listeners[type] || []), ...(this.listeners['*'] || [])].forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error(`Event listener for ${type} failed:`, error);
+            }
         });
+        return event;
+    }
 
-        window.addEventListener('scroll', () => {
-            this.updateActiveNavOnScroll();
-        });
+    check(type, data) {
+        const fields = this.types[type];
+        if (!fields) {
+            return `Unknown event type: ${type}`;
+        }
+        const missing = fields.filter(field => !(field in data));
+        if (missing.length > 0) {
+            return `Event ${type} is missing ${missing.join(', ')}`;
+        }
+        return null;
     }
+}
 
-    scrollToSection(sectionId) {
-        const section = document.getElementById(sectionId);
-        if (section) {
-            const headerOffset = 80;
-            const sectionPosition = section.offsetTop - headerOffset;
+// Shared bus the cart, checkout, navigation and database emit on; AnalyticsTracker forwards it to sinks
+const eventBus = new EventBus();
 
-            window.scrollTo({
-                top: sectionPosition,
-                behavior: 'smooth'
-            });
-        }
+// Sinks receive each event through send(event), may buffer them until flush(),
+// and drop anything buffered on clear()
+class ConsoleSink {
+    send(event) {
+        console.log(`📊 ${event.type}`, event.data);
     }
 
-    updateActiveNavOnScroll() {
-        const sections = ['chocolate', 'jelly', 'mixes'];
-        const navLinks = document.querySelectorAll('.nav-link');
+    flush() {}
 
-        let currentSection = '';
+    clear() {}
+}
 
-        sections.forEach(sectionId => {
-            const section = document.getElementById(sectionId);
-            if (section) {
-                const sectionTop = section.offsetTop - 100;
-                const sectionBottom = sectionTop + section.offsetHeight;
+// Discards everything; for tests and for running without analytics
+class NoopSink {
+    send() {}
 
-                if (window.pageYOffset >= sectionTop && window.pageYOffset < sectionBottom) {
-                    currentSection = sectionId;
-                }
-            }
-        });
+    flush() {}
 
-        navLinks.forEach(link => {
-            link.classList.remove('active');
-            if (link.dataset.section === currentSection) {
-                link.classList.add('active');
-            }
+    clear() {}
+}
+
+// Collects events and POSTs them in batches of `batchSize`, or every `flushMs`:
+// { sessionId, sentAt, events: [...] }. Uses navigator.sendBeacon so a batch still goes out
+// while the page is being closed, and falls back to a keepalive fetch.
+class BeaconSink {
+    constructor(endpoint, { batchSize = 10, flushMs = 10000, sessionId = `SES-${Date.now()}` } = {}) {
+        this.endpoint = endpoint;
+        this.batchSize = batchSize;
+        this.flushMs = flushMs;
+        this.sessionId = sessionId;
+        this.queue = [];
+        this.timer = null;
+
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
         });
+        window.addEventListener('pagehide', () => this.flush());
     }
 
-    handleHashNavigation() {
-        if (window.location.hash) {
-            const sectionId = window.location.hash.substring(1);
-            setTimeout(() => {
-                this.scrollToSection(sectionId);
-            }, 100);
+    send(event) {
+        this.queue.push(event);
+        if (this.queue.length >= this.batchSize) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), this.flushMs);
         }
     }
-}
 
-// ====================================
-// Checkout Form Handler
-// ====================================
+    flush() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.queue.length === 0) return;
 
-class CheckoutForm {
-    constructor(cart, database) {
-        this.cart = cart;
+        const body = JSON.stringify({ sessionId: this.sessionId, sentAt: new Date().toISOString(), events: this.queue });
+        this.queue = [];
+
+        const blob = new Blob([body], { type: 'application/json' });
+        if (navigator.sendBeacon && navigator.sendBeacon(this.endpoint, blob)) return;
+
+        fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body,
+            keepalive: true
+        }).catch(error => console.warn('Analytics batch not sent:', error.message));
+    }
+
+    clear() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.queue = [];
+    }
+}
+
+// Forwards bus events to the sinks, but only while settings.analyticsConsent is true.
+// Until the visitor has chosen (consent is null) a banner asks; "My Data" can change it later.
+class AnalyticsTracker {
+    constructor(database, bus, sinks = []) {
         this.db = database;
+        this.bus = bus;
+        this.sinks = sinks;
         this.init();
     }
 
     init() {
-        const form = document.getElementById('checkoutForm');
-        if (form) {
-            form.addEventListener('submit', (e) => {
-                e.preventDefault();
-                this.handleSubmit(form);
-            });
-        }
+        this.bus.on('*', (event) => {
+            if (this.hasConsent()) {
+                this.sinks.forEach(sink => sink.send(event));
+            }
+        });
 
-        const modalClose = document.getElementById('modalClose');
-        if (modalClose) {
-            modalClose.addEventListener('click', () => {
-                this.cart.closeCheckoutModal();
+        const banner = document.getElementById('consentBanner');
+        if (banner) {
+            banner.hidden = this.getConsent() !== null;
+            banner.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-consent]');
+                if (button) this.setConsent(button.dataset.consent === 'allow');
             });
         }
     }
 
-    handleSubmit(form) {
-        const formData = new FormData(form);
-        const orderData = {
-            name: formData.get('name'),
-            phone: formData.get('phone'),
-            email: formData.get('email'),
-            address: formData.get('address'),
-            payment: formData.get('payment'),
-            notes: formData.get('notes'),
-            items: this.cart.items,
-            total: this.cart.getTotal(),
-            date: new Date().toISOString(),
-            status: 'pending'
-        };
+    getConsent() {
+        const { analyticsConsent } = this.db.loadSettings();
+        return typeof analyticsConsent === 'boolean' ? analyticsConsent : null;
+    }
 
-        if (!orderData.name || !orderData.phone || !orderData.email || !orderData.address || !orderData.payment) {
-            alert('Please fill all required fields');
-            return;
+    hasConsent() {
+        return this.getConsent() === true;
+    }
+
+    setConsent(allowed) {
+        this.db.saveSettings({ ...this.db.loadSettings(), analyticsConsent: allowed });
+
+        const banner = document.getElementById('consentBanner');
+        if (banner) banner.hidden = true;
+
+        // Anything buffered before consent was withdrawn is dropped, not sent
+        if (!allowed) {
+            this.sinks.forEach(sink => sink.clear());
         }
+    }
 
-        // Save customer data to database
-        const customerData = {
-            name: orderData.name,
-            phone: orderData.phone,
-            email: orderData.email,
-            address: orderData.address
-        };
-        this.db.saveCustomer(customerData);
+    addSink(sink) {
+        this.sinks.push(sink);
+    }
 
-        // Save order to database
-        this.db.saveOrder(orderData);
+    flush() {
+        this.sinks.forEach(sink => sink.flush());
+    }
 
-        console.log('✅ Order saved to database:', orderData);
-        console.log('📊 Database stats:', this.db.getStats());
+    // Sinks from settings: console output with analyticsDebug, batches with analyticsEndpoint
+    static createSinks(settings) {
+        const sinks = [];
+        if (settings.analyticsDebug) sinks.push(new ConsoleSink());
+        if (settings.analyticsEndpoint) sinks.push(new BeaconSink(settings.analyticsEndpoint));
+        return sinks;
+    }
+}
 
-        this.showSuccess(orderData);
-        this.cart.clearCart();
-        this.cart.closeCheckoutModal();
-        form.reset();
+// ====================================
+// Accessible Dialogs
+// ====================================
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Every modal and sidebar opens and closes by toggling `.open`. Watching that class gives all of
+// them the same behaviour: focus moves into the dialog, Tab stays inside it while it's open,
+// and focus goes back to whatever opened it on close.
+class DialogManager {
+    constructor(selector = '[role="dialog"]') {
+        this.dialogs = [...document.querySelectorAll(selector)];
+        // Open dialogs, most recent last, each with the element that had focus before it opened
+        this.stack = [];
+        this.init();
     }
 
-    showSuccess(orderData) {
-        const message = `
-Order Successfully Placed! 🎉
+    init() {
+        const observer = new MutationObserver(records => {
+            records.forEach(record => this.update(record.target));
+        });
+        this.dialogs.forEach(dialog => {
+            observer.observe(dialog, { attributes: true, attributeFilter: ['class'] });
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Tab') this.trapFocus(e);
+        });
+    }
 
-Order #: ${Date.now()}
-Total: ₩${orderData.total.toLocaleString()}
-Items: ${orderData.items.length}
+    update(dialog) {
+        const isOpen = dialog.classList.contains('open');
+        const entry = this.stack.find(item => item.dialog === dialog);
 
-We'll contact you at ${orderData.phone} to confirm.
-        `;
+        if (isOpen && !entry) {
+            this.stack.push({ dialog, trigger: document.activeElement });
+            this.setExpanded(dialog, true);
+            dialog.focus();
+        } else if (!isOpen && entry) {
+            this.stack = this.stack.filter(item => item !== entry);
+            this.setExpanded(dialog, false);
+
+            // Leave focus alone if the customer already moved it somewhere else
+            const focus = document.activeElement;
+            if (entry.trigger && document.contains(entry.trigger) && (!focus || focus === document.body || dialog.contains(focus))) {
+                entry.trigger.focus();
+            }
+        }
+    }
+
+    setExpanded(dialog, expanded) {
+        document.querySelectorAll(`[aria-controls="${dialog.id}"]`).forEach(control => {
+            control.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+        });
+    }
+
+    trapFocus(e) {
+        const top = this.stack[this.stack.length - 1];
+        if (!top) return;
+
+        const focusable = [...top.dialog.querySelectorAll(FOCUSABLE)].filter(element => !element.closest('[hidden]'));
+        if (focusable.length === 0) {
+            e.preventDefault();
+            top.dialog.focus();
+            return;
+        }
 
-        alert(message);
-        this.cart.showNotification('Order placed successfully!');
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const current = document.activeElement;
+        const inside = top.dialog.contains(current) && current !== top.dialog;
+
+        if (e.shiftKey && (!inside || current === first)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (!inside || current === last)) {
+            e.preventDefault();
+            first.focus();
+        }
     }
 }
 
 // ====================================
-// Global helper
+// Global helpers
 // ====================================
 
+function t(key, params) {
+    return localization.t(key, params);
+}
+
+function formatPrice(amount) {
+    return localization.formatPrice(amount);
+}
+
+// An order's amounts in the currency and rate it was placed at; older orders only have the KRW amounts
+function formatOrderPrice(order, amount) {
+    return order.currency && Number.isFinite(order.exchangeRate)
+        ? localization.formatPriceAt(amount, order.currency, order.exchangeRate)
+        : localization.formatPriceAt(amount, 'KRW', 1);
+}
+
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Reads a message out through the page's polite live region
+function announce(message) {
+    const region = document.getElementById('liveRegion');
+    if (!region) return;
+
+    // Clearing first makes screen readers repeat a message identical to the last one
+    region.textContent = '';
+    setTimeout(() => {
+        region.textContent = message;
+    }, 100);
+}
+
 function scrollToSection(sectionId) {
     const section = document.getElementById(sectionId);
     if (section) {
@@ -680,48 +8201,153 @@ class ScrollAnimations {
 // Initialize Application
 // ====================================
 
-document.addEventListener('DOMContentLoaded', () => {
-    console.log('%c🍫 ChocoWorld - Modern E-Commerce', 'font-size: 20px; font-weight: bold; background: linear-gradient(135deg, #1a2332, #4ecdc4); -webkit-background-clip: text; -webkit-text-fill-color: transparent;');
-    console.log('%cModern Database System Integrated', 'color: #4ecdc4; font-style: italic;');
+// Node (tests, tooling) loads this file for its classes only
+if (typeof window !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', async () => {
+        console.log('%c🍫 ChocoWorld - Modern E-Commerce', 'font-size: 20px; font-weight: bold; background: linear-gradient(135deg, #1a2332, #4ecdc4); -webkit-background-clip: text; -webkit-text-fill-color: transparent;');
+        console.log('%cModern Database System Integrated', 'color: #4ecdc4; font-style: italic;');
 
-    // Initialize database
-    const database = new ChocoDatabase();
+        // Initialize database
+        const database = new ChocoDatabase();
+        await database.open();
 
-    // Initialize application with database
-    const cart = new ShoppingCart(database);
-    const navigation = new Navigation();
-    const checkoutForm = new CheckoutForm(cart, database);
-    const scrollAnimations = new ScrollAnimations();
+        // Apply saved language and currency before anything renders prices or text
+        const localeSwitcher = new LocaleSwitcher(database);
 
-    // Global access
-    window.cart = cart;
-    window.database = database;
-    window.scrollToSection = scrollToSection;
+        // Cart, checkout and navigation events reach the sinks only with the visitor's consent
+        const analytics = new AnalyticsTracker(database, eventBus, AnalyticsTracker.createSinks(database.loadSettings()));
 
-    // Log database info
-    console.log('📊 Database size:', database.getSize());
-    console.log('📈 Stats:', database.getStats());
+        // Load product catalog and render product grids
+        const catalog = new ProductCatalog(database);
+        await catalog.load();
+        catalog.render();
 
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            cart.closeCart();
-            cart.closeCheckoutModal();
-        }
+        // Promo codes, shipping and discounts for the cart and checkout
+        const pricing = new PricingEngine();
+        await pricing.load();
 
-        if (e.ctrlKey && e.key === 'b') {
-            e.preventDefault();
-            cart.toggleCart();
-        }
+        const deliveryPlanner = new DeliveryPlanner(database);
+        await deliveryPlanner.load();
+
+        // Initialize application with database
+        const dialogManager = new DialogManager();
+        const cart = new ShoppingCart(database, catalog, pricing);
+        const cartSync = new CartSync(cart);
+        const giftMode = new GiftMode(database);
+        const productSearch = new ProductSearch(catalog, database);
+        const mixBoxBuilder = new MixBoxBuilder(catalog, cart);
+        const productDetail = new ProductDetail(catalog, database);
+        const navigation = new Navigation(productSearch, productDetail);
+        const wishlist = new Wishlist(database, catalog, cart, giftMode);
+        const orderOutbox = new OrderOutbox(database, new OrderApiClient());
+        const appUpdater = new AppUpdater();
+        const orderReceipt = new OrderReceipt(database, cart);
+        const checkoutForm = new CheckoutForm(cart, database, giftMode, orderOutbox, deliveryPlanner, orderReceipt);
+        const orderHistory = new OrderHistory(database, cart, orderReceipt);
+        const profilePanel = new ProfilePanel(database, cart, analytics);
+        const backupManager = new BackupManager(database, cart);
+        const adminDashboard = new AdminDashboard(database, cart, catalog);
+        await adminDashboard.load();
+
+        localeSwitcher.onChange(() => {
+            catalog.render();
+            productSearch.renderOptions();
+            productSearch.render();
+            cart.updateCartUI();
+            wishlist.render();
+            productDetail.render();
+            adminDashboard.render();
+            backupManager.preview();
+            checkoutForm.applyGiftMode();
+        });
+        backupManager.onImport(() => {
+            giftMode.setMode(database.loadSettings().mode === 'gift' ? 'gift' : 'personal');
+            wishlist.updateCount();
+            localeSwitcher.reload();
+        });
+        const scrollAnimations = new ScrollAnimations();
+
+        // Global access
+        window.cart = cart;
+        window.catalog = catalog;
+        window.database = database;
+        window.analytics = analytics;
+        window.scrollToSection = scrollToSection;
+
+        // Log database info
+        console.log('📊 Database size:', database.getSize());
+        console.log('📈 Stats:', database.getStats());
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                cart.closeCart();
+                cart.closeCheckoutModal();
+                wishlist.close();
+                productDetail.close();
+                orderHistory.close();
+                orderReceipt.close();
+                profilePanel.close();
+                mixBoxBuilder.close();
+                backupManager.close();
+                adminDashboard.close();
+            }
+
+            if (e.ctrlKey && e.shiftKey && e.key.toLowerCase() === 'a') {
+                e.preventDefault();
+                adminDashboard.open();
+            }
+
+            if (e.ctrlKey && e.key === 'b') {
+                e.preventDefault();
+                cart.toggleCart();
+            }
+        });
+
+        console.log('✅ Application ready');
+        console.log(`📦 Cart: ${cart.getCount()} items`);
     });
 
-    console.log('✅ Application ready');
-    console.log(`📦 Cart: ${cart.getCount()} items`);
-});
+    window.addEventListener('error', (e) => {
+        console.error('Error:', e.error);
+    });
 
-window.addEventListener('error', (e) => {
-    console.error('Error:', e.error);
-});
+    window.addEventListener('unhandledrejection', (e) => {
+        console.error('Promise rejection:', e.reason);
+    });
+}
 
-window.addEventListener('unhandledrejection', (e) => {
-    console.error('Promise rejection:', e.reason);
-});
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ChocoDatabase,
+        LocalStorageAdapter,
+        MemoryStorageAdapter,
+        IndexedDBAdapter,
+        SCHEMA_MIGRATIONS,
+        compareVersions,
+        ORDER_STATUS_TRANSITIONS,
+        CHECKOUT_RULES,
+        GIFT_CHECKOUT_RULES,
+        PICKUP_CHECKOUT_RULES,
+        Localization,
+        MESSAGES,
+        searchProducts,
+        sortReviews,
+        ALLERGENS,
+        DIETS,
+        hasAllergen,
+        suitsDiet,
+        createMixBox,
+        MIX_BOX_SIZES,
+        PricingEngine,
+        DeliveryPlanner,
+        OrderApiClient,
+        ANALYTICS_EVENTS,
+        EventBus,
+        eventBus,
+        ConsoleSink,
+        NoopSink,
+        BeaconSink,
+        validateCheckout,
+        validateCheckoutField
+    };
+}
@@ -0,0 +1,232 @@
+// ====================================
+// ChocoWorld - Local Mock Server
+// ====================================
+//
+// Serves the shop and implements the order API, for trying out checkout and the offline queue:
+//
+//     node server/mock-server.js                  # http://localhost:8787
+//     PORT=9000 node server/mock-server.js
+//     FAIL_RATE=0.5 DELAY_MS=3000 node server/mock-server.js
+//
+// FAIL_RATE answers that share of order requests with 503 and DELAY_MS holds every answer back,
+// to see the client's retries and timeouts. Then set the order endpoint in the browser console:
+//
+//     database.saveSettings({ ...database.loadSettings(), orderEndpoint: '/api/orders' })
+//
+// Order API
+//
+//     POST /api/orders
+//     Content-Type: application/json
+//     Idempotency-Key: ORD-1700000000000        (must match the body's id)
+//     { id, name, phone, email, address, payment, notes, items: [{ productId, name, price, quantity }],
+//       pricing: { subtotal, discounts, extras, shipping, total }, total, currency, exchangeRate, promoCode, gift?,
+//       delivery?: { method: 'delivery' | 'pickup', date, slot, from, to, fee, zone?, zoneName?, pickupAddress? } }
+//
+//     201 { id, status: 'accepted', receivedAt }  - new order
+//     200 { id, status: 'accepted', receivedAt }  - same Idempotency-Key again, nothing new is stored
+//     400 { id, status: 'rejected', reason }      - body is not JSON or the key is missing/wrong
+//     422 { id, status: 'rejected', reason }      - the order itself is invalid, or its slot is fully booked
+//
+//     GET /api/orders/slots
+//     200 { booked: [{ method, date, slot, count }] } - accepted orders per delivery slot
+//
+// Slot capacities are read from data/delivery.json; checkout shows what's left from /slots.
+// Accepted orders are kept in memory and listed at GET /api/orders. No dependencies, Node 18+.
+// Tests start their own instance with createServer({ failRate, delayMs, random }).
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.PORT) || 8787;
+const FAIL_RATE = Number(process.env.FAIL_RATE) || 0;
+const DELAY_MS = Number(process.env.DELAY_MS) || 0;
+const ROOT = path.join(__dirname, '..');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml'
+};
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+        });
+        req.on('end', () => resolve(data));
+        req.on('error', reject);
+    });
+}
+
+// Returns why an order can't be accepted, or null
+function validateOrder(order) {
+    if (typeof order.id !== 'string' || !order.id.startsWith('ORD-')) return 'id must be an ORD- string';
+    if (!order.name || !order.phone || !order.email) return 'name, phone and email are required';
+    if (!Array.isArray(order.items) || order.items.length === 0) return 'the order has no items';
+
+    const badItem = order.items.find(item => !item ||
+        typeof item.productId !== 'string' ||
+        !Number.isFinite(item.price) ||
+        !Number.isInteger(item.quantity) || item.quantity < 1);
+    if (badItem) return 'every item needs a productId, a price and a positive quantity';
+
+    if (!Number.isFinite(order.total) || order.total < 0) return 'total must be a non-negative number';
+    if (!order.pricing || order.pricing.total !== order.total) return 'pricing.total must match total';
+    return null;
+}
+
+// Maps 'method|slot id' to the slot's capacity, from the shop's delivery settings
+function loadCapacities() {
+    const capacities = new Map();
+    try {
+        const config = JSON.parse(fs.readFileSync(path.join(ROOT, 'data', 'delivery.json'), 'utf8'));
+        (config.slots || []).forEach(slot => capacities.set(`delivery|${slot.id}`, slot.capacity));
+        ((config.pickup && config.pickup.slots) || []).forEach(slot => capacities.set(`pickup|${slot.id}`, slot.capacity));
+    } catch (error) {
+        console.warn('⚠️ data/delivery.json not readable, slot capacity is not checked:', error.message);
+    }
+    return capacities;
+}
+
+function countSlots(orders) {
+    const counts = new Map();
+    orders.forEach(({ order }) => {
+        const { delivery } = order;
+        if (!delivery) return;
+
+        const key = `${delivery.method}|${delivery.date}|${delivery.slot}`;
+        const entry = counts.get(key) || { method: delivery.method, date: delivery.date, slot: delivery.slot, count: 0 };
+        entry.count++;
+        counts.set(key, entry);
+    });
+    return [...counts.values()];
+}
+
+function isSlotFull(delivery, orders, capacities) {
+    if (!delivery || !capacities.has(`${delivery.method}|${delivery.slot}`)) return false;
+
+    const booked = countSlots(orders).find(entry => entry.method === delivery.method &&
+        entry.date === delivery.date &&
+        entry.slot === delivery.slot);
+    return Boolean(booked) && booked.count >= capacities.get(`${delivery.method}|${delivery.slot}`);
+}
+
+// `orders` maps each Idempotency-Key to the accepted answer, replayed for repeats
+async function handleOrders(req, res, { orders, capacities, failRate, random }) {
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key'
+        });
+        res.end();
+        return;
+    }
+
+    if (req.method === 'GET') {
+        sendJSON(res, 200, [...orders.values()].map(entry => entry.order));
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        sendJSON(res, 405, { status: 'rejected', reason: 'Method not allowed' });
+        return;
+    }
+
+    if (random() < failRate) {
+        sendJSON(res, 503, { status: 'error', reason: 'Simulated outage' });
+        return;
+    }
+
+    let order;
+    try {
+        order = JSON.parse(await readBody(req));
+    } catch (error) {
+        sendJSON(res, 400, { id: null, status: 'rejected', reason: 'Body must be JSON' });
+        return;
+    }
+
+    const key = req.headers['idempotency-key'];
+    if (!key || !order || key !== order.id) {
+        sendJSON(res, 400, { id: order && order.id, status: 'rejected', reason: 'Idempotency-Key must match the order id' });
+        return;
+    }
+
+    if (orders.has(key)) {
+        console.log(`🔁 Order ${key} repeated, answering with the stored result`);
+        sendJSON(res, 200, orders.get(key).answer);
+        return;
+    }
+
+    const reason = validateOrder(order) ||
+        (isSlotFull(order.delivery, orders, capacities) ? 'the delivery slot is fully booked' : null);
+    if (reason) {
+        console.log(`⛔ Order ${order.id} rejected: ${reason}`);
+        sendJSON(res, 422, { id: order.id, status: 'rejected', reason });
+        return;
+    }
+
+    const answer = { id: order.id, status: 'accepted', receivedAt: new Date().toISOString() };
+    orders.set(key, { order: { ...order, receivedAt: answer.receivedAt }, answer });
+    console.log(`📥 Order ${order.id}: ${order.items.length} lines, total ${order.total}`);
+    sendJSON(res, 201, answer);
+}
+
+function serveStatic(req, res) {
+    const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const filePath = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+function createServer({ failRate = FAIL_RATE, delayMs = DELAY_MS, random = Math.random } = {}) {
+    const state = { orders: new Map(), capacities: loadCapacities(), failRate, random };
+
+    return http.createServer((req, res) => {
+        const pathname = req.url.split('?')[0];
+        if (pathname === '/api/orders') {
+            setTimeout(() => {
+                handleOrders(req, res, state).catch(error => sendJSON(res, 500, { status: 'error', reason: error.message }));
+            }, delayMs);
+        } else if (pathname === '/api/orders/slots') {
+            setTimeout(() => sendJSON(res, 200, { booked: countSlots(state.orders) }), delayMs);
+        } else {
+            serveStatic(req, res);
+        }
+    });
+}
+
+if (require.main === module) {
+    createServer().listen(PORT, () => {
+        console.log(`🍫 ChocoWorld mock server on http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { createServer, validateOrder };
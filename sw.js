@@ -0,0 +1,92 @@
+// ====================================
+// ChocoWorld - Service Worker
+// ====================================
+
+// Bump CACHE_VERSION whenever index.html, styles.css, script.js or the data files change.
+// The new worker then waits until the page asks it to take over (the "Reload" prompt).
+const CACHE_VERSION = 'chocoworld-v7';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'manifest.webmanifest',
+    'data/products.json',
+    'data/promotions.json',
+    'data/delivery.json',
+    'data/admin.json',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('chocoworld-') && key !== CACHE_VERSION)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Catalog data goes network first so prices stay fresh; everything else is served from the cache
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    // Orders and other API calls are never cached
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(() => caches.match('index.html'))
+        );
+        return;
+    }
+
+    if (url.pathname.includes('/data/')) {
+        event.respondWith(
+            fetch(request)
+                .then(response => {
+                    if (response.ok) {
+                        const copy = response.clone();
+                        caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+                    }
+                    return response;
+                })
+                .catch(() => caches.match(request))
+        );
+        return;
+    }
+
+    // Product images are too many to precache; each is kept once it has been shown
+    if (url.pathname.includes('/images/')) {
+        event.respondWith(
+            caches.match(request).then(cached => cached || fetch(request).then(response => {
+                if (response.ok) {
+                    const copy = response.clone();
+                    caches.open(CACHE_VERSION).then(cache => cache.put(request, copy));
+                }
+                return response;
+            }))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request))
+    );
+});
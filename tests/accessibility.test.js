@@ -0,0 +1,162 @@
+// ====================================
+// Accessibility tests
+// ====================================
+//
+// Opens the page in jsdom and runs axe-core against the cart sidebar, checkout modal,
+// wishlist, product dialog and review report form, and checks their keyboard focus handling:
+//
+//     npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const axe = require('axe-core');
+
+const { loadPage } = require('./page.js');
+
+// jsdom has no layout, so rules that need rendered colours or sizes can't run here
+const AXE_OPTIONS = {
+    rules: {
+        'color-contrast': { enabled: false },
+        'target-size': { enabled: false }
+    }
+};
+
+async function checkAxe(window, selector) {
+    if (!window.axe) window.eval(axe.source);
+
+    const results = await window.axe.run(window.document.querySelector(selector), AXE_OPTIONS);
+    const violations = Array.from(results.violations, violation =>
+        `${violation.id}: ${violation.help}\n    ${violation.nodes.map(node => node.target.join(' ')).join('\n    ')}`);
+    assert.equal(violations.join('\n'), '', `${selector} has accessibility violations`);
+}
+
+// Lets dialog focus handling (a MutationObserver) and live announcements (a short timeout) run
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 150));
+}
+
+function press(window, key, options = {}) {
+    window.document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, ...options }));
+}
+
+test('cart sidebar is an accessible dialog that takes and returns focus', async () => {
+    const window = await loadPage();
+    const { document } = window;
+
+    document.querySelector('.add-to-cart[data-id="choc-1"]').click();
+    await settle();
+    assert.match(document.getElementById('liveRegion').textContent, /Swiss Dark Collection/);
+
+    const toggle = document.getElementById('cartToggle');
+    toggle.focus();
+    toggle.click();
+    await settle();
+
+    const sidebar = document.getElementById('cartSidebar');
+    assert.ok(sidebar.classList.contains('open'));
+    assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+    assert.ok(sidebar.contains(document.activeElement), 'focus moves into the cart');
+    await checkAxe(window, '#cartSidebar');
+
+    press(window, 'Escape');
+    await settle();
+    assert.ok(!sidebar.classList.contains('open'));
+    assert.equal(document.activeElement, toggle, 'focus returns to the cart button');
+});
+
+test('checkout modal is accessible, including its inline errors', async () => {
+    const window = await loadPage();
+    const { document } = window;
+
+    document.querySelector('.add-to-cart[data-id="choc-1"]').click();
+    document.getElementById('cartToggle').click();
+    await settle();
+    document.getElementById('checkoutButton').click();
+    await settle();
+
+    const modal = document.getElementById('checkoutModal');
+    assert.ok(modal.classList.contains('open'));
+    assert.ok(modal.contains(document.activeElement), 'focus moves into the checkout');
+    await checkAxe(window, '#checkoutModal');
+
+    // Shift+Tab from the top of the dialog wraps around to its last control instead of leaving it
+    press(window, 'Tab', { shiftKey: true });
+    assert.ok(modal.contains(document.activeElement) && document.activeElement !== modal, 'focus stays in the checkout');
+
+    const form = document.getElementById('checkoutForm');
+    form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+    const name = form.elements.name;
+    assert.equal(name.getAttribute('aria-invalid'), 'true');
+    assert.equal(document.activeElement, name, 'focus moves to the first invalid field');
+    await checkAxe(window, '#checkoutModal');
+});
+
+test('wishlist sidebar is accessible', async () => {
+    const window = await loadPage();
+    const { document } = window;
+
+    const heart = document.querySelector('.wishlist-heart[data-wishlist-id="choc-1"]');
+    heart.click();
+    assert.equal(document.querySelector('.wishlist-heart[data-wishlist-id="choc-1"]').getAttribute('aria-pressed'), 'true');
+
+    const toggle = document.getElementById('wishlistToggle');
+    toggle.focus();
+    toggle.click();
+    await settle();
+
+    const sidebar = document.getElementById('wishlistSidebar');
+    assert.ok(sidebar.classList.contains('open'));
+    assert.ok(sidebar.contains(document.activeElement), 'focus moves into the wishlist');
+    await checkAxe(window, '#wishlistSidebar');
+
+    press(window, 'Escape');
+    await settle();
+    assert.equal(document.activeElement, toggle, 'focus returns to the wishlist button');
+});
+
+test('product dialog is accessible', async () => {
+    const window = await loadPage({ url: 'index.html#product/choc-1' });
+    const { document } = window;
+
+    const modal = document.getElementById('productModal');
+    assert.ok(modal.classList.contains('open'));
+    assert.equal(document.getElementById('productTitle').textContent, 'Swiss Dark Collection');
+    await checkAxe(window, '#productModal');
+});
+
+test('review report form opens inside the review and gives focus back', async () => {
+    const window = await loadPage();
+    const { document } = window;
+
+    window.database.save('reviews', [{
+        id: 'REV-1', productId: 'choc-1', orderId: 'ORD-1', email: 'bo@example.com', name: 'Bo Kim',
+        rating: 5, text: 'Best chocolate ever', hidden: false, reports: [], createdAt: '2026-01-01T00:00:00.000Z'
+    }]);
+    window.location.hash = 'product/choc-1';
+    await settle();
+
+    const report = document.querySelector('[data-review-report="REV-1"]');
+    report.click();
+    const form = document.querySelector('[data-report-review="REV-1"]');
+    assert.ok(report.closest('.review').contains(form), 'the form opens inside the review');
+    assert.equal(document.activeElement, form.elements.reason);
+    await checkAxe(window, '#productReviews');
+
+    form.querySelector('[data-report-cancel]').click();
+    assert.equal(document.querySelector('[data-report-review]'), null);
+    assert.equal(document.activeElement, report, 'focus returns to the Report button');
+
+    report.click();
+    const again = document.querySelector('[data-report-review="REV-1"]');
+    again.elements.reason.value = ' Spam ';
+    again.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+    assert.equal(window.database.loadReviews()[0].reports[0].reason, 'Spam');
+    assert.ok(report.disabled);
+    await settle();
+    assert.equal(document.getElementById('liveRegion').textContent, 'Reported. Thank you!');
+});
+
+test('page with every dialog closed is accessible', async () => {
+    const window = await loadPage();
+    await checkAxe(window, 'body');
+});
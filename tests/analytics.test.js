@@ -0,0 +1,35 @@
+// ====================================
+// Event bus tests
+// ====================================
+//
+// Checks that a malformed analytics event is dropped with a warning instead of breaking
+// the cart or checkout action that emitted it:
+//
+//     npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EventBus } = require('../script.js');
+
+test('a malformed event is dropped with a warning', (t) => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    const bus = new EventBus();
+    const received = [];
+    bus.on('*', event => received.push(event.type));
+
+    assert.equal(bus.emit('item_added', { productId: 'choc-1' }), null);
+    assert.equal(bus.emit('item_bought', {}), null);
+    assert.equal(warn.mock.callCount(), 2);
+    assert.match(warn.mock.calls[0].arguments[0], /item_added is missing name, price, quantity/);
+
+    bus.emit('section_viewed', { section: 'jelly' });
+    assert.deepEqual(received, ['section_viewed']);
+});
+
+test('a strict bus throws on a malformed event', () => {
+    const bus = new EventBus(undefined, { strict: true });
+
+    assert.throws(() => bus.emit('item_added', { productId: 'choc-1' }), /item_added is missing name, price, quantity/);
+    assert.throws(() => bus.emit('item_bought', {}), /Unknown event type: item_bought/);
+});
@@ -0,0 +1,95 @@
+// ====================================
+// Backup & restore tests
+// ====================================
+//
+// Loads the page in jsdom and checks how a backup file is validated, merged and
+// previewed in the shopper's language:
+//
+//     npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./page.js');
+
+function placeOrder(window, id) {
+    window.database.saveOrder({
+        id,
+        name: 'Ann Lee',
+        phone: '010-1234-5678',
+        email: 'ann@example.com',
+        address: 'Seoul, Main st 5',
+        payment: 'card',
+        notes: '',
+        items: [{ productId: 'choc-1', name: 'Swiss Dark Collection', price: 31000, quantity: 1 }],
+        pricing: { subtotal: 31000, discounts: [], extras: [], shipping: 0, total: 31000 },
+        total: 31000,
+        promoCode: null
+    });
+}
+
+function setLanguage(window, language) {
+    const select = window.document.getElementById('languageSelect');
+    select.value = language;
+    select.dispatchEvent(new window.Event('change', { bubbles: true }));
+}
+
+// Picks a backup in the import form the way the file input does
+async function chooseBackup(window, backup) {
+    const input = window.document.getElementById('backupFile');
+    Object.defineProperty(input, 'files', { value: [{ text: async () => JSON.stringify(backup) }], configurable: true });
+    input.dispatchEvent(new window.Event('change', { bubbles: true }));
+    await new Promise(resolve => setTimeout(resolve, 20));
+}
+
+test('a backup with a wrong checksum is rejected', async () => {
+    const window = await loadPage();
+    placeOrder(window, 'ORD-1');
+
+    const backup = window.database.createBackup();
+    backup.tables.orders[0].total = 1;
+
+    const result = window.database.importBackup(backup, { mode: 'merge' });
+    assert.equal(result.ok, false);
+    assert.deepEqual(Array.from(result.errors), ['Checksum mismatch: the file was modified or is incomplete']);
+    assert.equal(window.database.getOrderById('ORD-1').total, 31000);
+});
+
+test('merging a backup keeps current orders and adds the new ones', async () => {
+    const window = await loadPage();
+    placeOrder(window, 'ORD-1');
+    const backup = window.database.createBackup();
+
+    window.database.save('orders', []);
+    placeOrder(window, 'ORD-2');
+
+    const result = window.database.importBackup(backup, { mode: 'merge' });
+    assert.equal(result.ok, true);
+    assert.equal(result.diff.orders.added, 1);
+    assert.deepEqual(Array.from(window.database.loadOrders(), order => order.id), ['ORD-2', 'ORD-1']);
+    assert.equal(window.database.getStats().totalOrders, 2);
+});
+
+test('the import preview and its errors follow the chosen language', async () => {
+    const window = await loadPage();
+    const { document } = window;
+    placeOrder(window, 'ORD-1');
+    const backup = window.database.createBackup();
+    setLanguage(window, 'ko');
+
+    await chooseBackup(window, backup);
+    const preview = document.getElementById('backupPreview');
+    const date = new Date(backup.exportedAt).toLocaleString('ko-KR');
+    assert.equal(preview.querySelector('.backup-meta').textContent, `${date}에 만든 백업, 버전 ${backup.schemaVersion}`);
+    assert.match(preview.querySelector('.backup-diff tbody').textContent, /주문/);
+    assert.equal(document.getElementById('backupImport').disabled, false);
+
+    setLanguage(window, 'en');
+    assert.match(preview.querySelector('.backup-meta').textContent, /^Backup from /);
+    assert.match(preview.querySelector('.backup-diff tbody').textContent, /Orders/);
+
+    setLanguage(window, 'ko');
+    await chooseBackup(window, { ...backup, checksum: 'wrong' });
+    assert.equal(preview.textContent.trim(), '체크섬이 일치하지 않습니다: 파일이 수정되었거나 불완전합니다');
+    assert.equal(document.getElementById('backupImport').disabled, true);
+});
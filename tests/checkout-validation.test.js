@@ -0,0 +1,102 @@
+// ====================================
+// Checkout validation tests
+// ====================================
+//
+// Runs validateCheckout (script.js) against CHECKOUT_RULES and the gift and pickup
+// variants, checking which fields fail and the message each one shows:
+//
+//     npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    validateCheckout,
+    validateCheckoutField,
+    CHECKOUT_RULES,
+    GIFT_CHECKOUT_RULES,
+    PICKUP_CHECKOUT_RULES
+} = require('../script.js');
+
+function createForm(overrides = {}) {
+    return {
+        name: 'Ann Lee',
+        phone: '010-1234-5678',
+        email: 'ann@example.com',
+        address: 'Seoul, Main st 5',
+        payment: 'card',
+        notes: '',
+        ...overrides
+    };
+}
+
+function errorFor(field, value) {
+    return validateCheckoutField(field, createForm({ [field]: value }));
+}
+
+test('a complete form is valid', () => {
+    assert.deepEqual(validateCheckout(createForm()), { valid: true, errors: {} });
+});
+
+test('every required field has its own message', () => {
+    const result = validateCheckout({});
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, {
+        name: 'Please enter your full name',
+        phone: 'Please enter a phone number',
+        email: 'Please enter your email',
+        address: 'Please enter a delivery address',
+        payment: 'Please choose a payment method'
+    });
+});
+
+test('values are trimmed before they are checked', () => {
+    assert.equal(errorFor('name', '   '), 'Please enter your full name');
+    assert.equal(errorFor('email', '  ann@example.com  '), null);
+});
+
+test('names must be at least two letters and contain no digits', () => {
+    assert.equal(errorFor('name', 'A'), 'Name is too short');
+    assert.equal(errorFor('name', 'Ann 2'), 'Name should not contain digits');
+    assert.equal(errorFor('name', 'Олена Коваль'), null);
+});
+
+test('phone numbers are local or international with a country code', () => {
+    assert.equal(errorFor('phone', '010-1234-5678'), null);
+    assert.equal(errorFor('phone', '(02) 123 4567'), null);
+    assert.equal(errorFor('phone', '+82 10 1234 5678'), null);
+
+    assert.equal(errorFor('phone', '010.1234.5678'), 'Use digits, spaces and an optional leading +');
+    assert.equal(errorFor('phone', '010-12-34'), 'Enter a valid phone number, e.g. 010-1234-5678 or +82 10 1234 5678');
+    assert.equal(errorFor('phone', '010-1234-5678-90'), 'Enter a valid phone number, e.g. 010-1234-5678 or +82 10 1234 5678');
+    assert.equal(errorFor('phone', '+82 1234'), 'Enter the number with country code, e.g. +82 10 1234 5678');
+});
+
+test('emails need a name, a domain and a top-level domain', () => {
+    assert.equal(errorFor('email', 'ann.lee+gifts@mail.example.co'), null);
+
+    ['ann', 'ann@example', 'ann@example.c', 'ann lee@example.com', '@example.com'].forEach(email => {
+        assert.equal(errorFor('email', email), 'Enter a valid email, e.g. name@example.com', email);
+    });
+});
+
+test('addresses need comma-separated parts and a building number', () => {
+    assert.equal(errorFor('address', 'Seoul'), 'Include city, street and building, separated by commas');
+    assert.equal(errorFor('address', 'Seoul, Main street'), 'Include a building number');
+});
+
+test('payment must be one of the offered methods and notes have a limit', () => {
+    assert.equal(errorFor('payment', 'bitcoin'), 'Please choose a payment method');
+    assert.equal(errorFor('notes', 'a'.repeat(500)), null);
+    assert.equal(errorFor('notes', 'a'.repeat(501)), 'Notes can be at most 500 characters');
+});
+
+test('gift and pickup orders check their own fields', () => {
+    const gift = validateCheckout(createForm({ address: '' }), GIFT_CHECKOUT_RULES);
+    assert.deepEqual(Object.keys(gift.errors), ['recipientName', 'recipientPhone', 'recipientAddress']);
+    assert.equal(gift.errors.recipientName, CHECKOUT_RULES.name(''));
+
+    const pickup = validateCheckout(createForm({ address: '' }), PICKUP_CHECKOUT_RULES);
+    assert.equal(pickup.valid, true);
+});
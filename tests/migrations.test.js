@@ -0,0 +1,90 @@
+// ====================================
+// Schema migration tests
+// ====================================
+//
+// Runs ChocoDatabase (script.js) on the memory adapter against data saved by older
+// versions, checking what each upgrade leaves behind:
+//
+//     npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ChocoDatabase, MemoryStorageAdapter, SCHEMA_MIGRATIONS } = require('../script.js');
+
+const LATEST = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+// Data as 1.0.0 left it: the first tables inside the _schema blob, the ones used since in their own keys
+function createVersion1Data() {
+    return {
+        _initialized: true,
+        _schema: {
+            products: [{ id: 'choc-1', name: 'Swiss Dark Collection', price: 31000 }],
+            cart: [],
+            orders: [],
+            customers: [],
+            settings: { currency: 'KRW', language: 'ko', theme: 'modern', notifications: false },
+            stats: { totalOrders: 0, totalRevenue: 0, lastOrderDate: null },
+            version: '1.0.0',
+            createdAt: '2025-01-01T09:00:00.000Z'
+        },
+        cart: [
+            { name: 'Swiss Dark Collection', price: '31000' },
+            { name: 'Swiss Dark Collection', price: '31000' }
+        ],
+        orders: [
+            { id: 'ORD-1', createdAt: '2025-01-02T09:00:00.000Z', total: 31000, items: [{ name: 'Swiss Dark Collection' }] },
+            { date: '2025-01-03T09:00:00.000Z', total: '62000', status: 'cancelled', items: [] }
+        ],
+        stats: { totalOrders: 2, totalRevenue: 93000, lastOrderDate: '2025-01-03T09:00:00.000Z' }
+    };
+}
+
+function createDatabase(data) {
+    const db = new ChocoDatabase(new MemoryStorageAdapter(data));
+    db.init();
+    return db;
+}
+
+test('a database from before versioning is upgraded to the latest version', () => {
+    const db = createDatabase(createVersion1Data());
+
+    assert.equal(db.migrationError, null);
+    assert.equal(db.load('_version'), LATEST);
+    assert.deepEqual(db.load('_migrations').map(entry => entry.version), SCHEMA_MIGRATIONS.map(step => step.version));
+    assert.equal(db.load('_schema'), null);
+
+    assert.deepEqual(db.loadCart().map(line => [line.productId, line.price, line.quantity]), [['choc-1', 31000, 2]]);
+
+    const [kept, cancelled] = db.loadOrders();
+    assert.equal(kept.status, 'pending');
+    assert.equal(cancelled.createdAt, '2025-01-03T09:00:00.000Z');
+    assert.match(cancelled.id, /^ORD-/);
+    assert.equal(cancelled.total, 62000);
+});
+
+test('stats leave out cancelled orders after the upgrade', () => {
+    const db = createDatabase(createVersion1Data());
+
+    assert.deepEqual(db.getStats(), {
+        totalOrders: 1,
+        totalRevenue: 31000,
+        lastOrderDate: '2025-01-02T09:00:00.000Z'
+    });
+});
+
+test('1.4.0 fills in the settings of its own version and keeps the stored ones', () => {
+    const db = new ChocoDatabase(new MemoryStorageAdapter({ settings: { language: 'uk' } }));
+    SCHEMA_MIGRATIONS.find(step => step.version === '1.4.0').migrate(db);
+
+    assert.deepEqual(db.load('settings'), { currency: 'KRW', language: 'uk', theme: 'modern', notifications: true });
+});
+
+test('data from a newer version is left untouched', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const db = createDatabase({ _initialized: true, _version: '99.0.0', orders: [{ id: 'ORD-1' }] });
+
+    assert.match(db.migrationError, /99\.0\.0 is newer/);
+    assert.equal(db.load('_version'), '99.0.0');
+    assert.deepEqual(db.loadOrders(), [{ id: 'ORD-1' }]);
+});
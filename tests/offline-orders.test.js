@@ -0,0 +1,93 @@
+// ====================================
+// Offline order queue tests
+// ====================================
+//
+// Loads the page in jsdom and checks which queued orders the outbox sends once the
+// browser is back online:
+//
+//     npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./page.js');
+
+// Places an order the way checkout does while offline, so it waits in the queue
+function queueOrder(window, id) {
+    window.database.saveOrder({
+        id,
+        name: 'Ann Lee',
+        phone: '010-1234-5678',
+        email: 'ann@example.com',
+        address: 'Seoul, Main st 5',
+        payment: 'card',
+        notes: '',
+        items: [{ productId: 'choc-1', name: 'Swiss Dark Collection', price: 31000, quantity: 1 }],
+        pricing: { subtotal: 31000, discounts: [], extras: [], shipping: 0, total: 31000 },
+        total: 31000,
+        promoCode: null,
+        syncStatus: 'pending-sync'
+    });
+}
+
+// Answers every order POST with 201 and records the ids sent
+function recordPosts(window) {
+    const posted = [];
+    const serveFile = window.fetch;
+    window.fetch = async (resource, options = {}) => {
+        if (options.method !== 'POST') return serveFile(resource, options);
+
+        const order = JSON.parse(options.body);
+        posted.push(order.id);
+        return {
+            ok: true,
+            status: 201,
+            json: async () => ({ id: order.id, status: 'accepted', receivedAt: new Date().toISOString() })
+        };
+    };
+    return posted;
+}
+
+function goOnline(window) {
+    window.database.saveSettings({ ...window.database.loadSettings(), orderEndpoint: '/api/orders' });
+    window.dispatchEvent(new window.Event('online'));
+    return new Promise(resolve => setTimeout(resolve, 100));
+}
+
+test('an order cancelled while queued is never sent', async () => {
+    const window = await loadPage();
+    const { document } = window;
+    window.confirm = () => true;
+    const posted = recordPosts(window);
+
+    queueOrder(window, 'ORD-1');
+    queueOrder(window, 'ORD-2');
+
+    document.getElementById('ordersToggle').click();
+    document.querySelector('[data-order-action="view"][data-order-id="ORD-1"]').click();
+    document.querySelector('[data-order-action="cancel"][data-order-id="ORD-1"]').click();
+
+    const cancelled = window.database.getOrderById('ORD-1');
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.syncStatus, 'withdrawn');
+
+    await goOnline(window);
+
+    assert.deepEqual(Array.from(posted), ['ORD-2']);
+    assert.equal(window.database.getOrderById('ORD-1').status, 'cancelled');
+    assert.equal(window.database.getOrderById('ORD-2').syncStatus, 'synced');
+});
+
+test('a cancelled order left queued by an older version is not sent', async () => {
+    const window = await loadPage();
+    const posted = recordPosts(window);
+
+    queueOrder(window, 'ORD-1');
+    const orders = window.database.loadOrders();
+    orders[0].status = 'cancelled';
+    window.database.save('orders', orders);
+
+    await goOnline(window);
+
+    assert.deepEqual(Array.from(posted), []);
+});
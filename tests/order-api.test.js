@@ -0,0 +1,188 @@
+// ====================================
+// Order API contract tests
+// ====================================
+//
+// Runs OrderApiClient (script.js) against server/mock-server.js, checking the request and
+// response format described at the top of the mock server:
+//
+//     node --test tests/
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const fs = require('fs');
+const path = require('path');
+
+const { OrderApiClient, DeliveryPlanner } = require('../script.js');
+const { createServer } = require('../server/mock-server.js');
+
+function createOrder(overrides = {}) {
+    return {
+        id: `ORD-${Date.now()}${Math.floor(Math.random() * 1000)}`,
+        name: 'Ann Lee',
+        phone: '010-1234-5678',
+        email: 'ann@example.com',
+        address: 'Seoul, Main st 5',
+        payment: 'card',
+        notes: '',
+        items: [{ productId: 'choc-1', name: 'Swiss Dark Collection', price: 45000, quantity: 2 }],
+        pricing: { subtotal: 90000, discounts: [], extras: [], shipping: 0, total: 90000 },
+        total: 90000,
+        promoCode: null,
+        // Local fields, never sent
+        status: 'pending',
+        syncStatus: 'pending-sync',
+        stockTaken: true,
+        ...overrides
+    };
+}
+
+// Starts a mock server on a free port; resolves to its order endpoint and a stop() function
+async function startServer(options) {
+    const server = createServer(options);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return {
+        endpoint: `http://127.0.0.1:${server.address().port}/api/orders`,
+        stop: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+// Records the HTTP status of every answer the client receives
+function recordStatuses(t) {
+    const statuses = [];
+    const originalFetch = globalThis.fetch;
+    t.mock.method(globalThis, 'fetch', async (...args) => {
+        const response = await originalFetch(...args);
+        statuses.push(response.status);
+        return response;
+    });
+    return statuses;
+}
+
+beforeEach((t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(console, 'warn', () => {});
+});
+
+test('201: a new order is accepted and sent without local fields', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const statuses = recordStatuses(t);
+    const order = createOrder();
+
+    const result = await new OrderApiClient().submit(server.endpoint, order);
+
+    assert.deepEqual(statuses, [201]);
+    assert.equal(result.outcome, 'accepted');
+    assert.equal(result.id, order.id);
+    assert.ok(!Number.isNaN(Date.parse(result.receivedAt)));
+
+    const [received] = await (await fetch(server.endpoint)).json();
+    assert.equal(received.id, order.id);
+    assert.deepEqual(received.items, order.items);
+    assert.deepEqual(received.pricing, order.pricing);
+    ['status', 'syncStatus', 'stockTaken'].forEach(field => assert.ok(!(field in received), field));
+});
+
+test('200: sending the same order again replays the first answer', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const statuses = recordStatuses(t);
+    const client = new OrderApiClient();
+    const order = createOrder();
+
+    const first = await client.submit(server.endpoint, order);
+    const repeat = await client.submit(server.endpoint, order);
+
+    assert.deepEqual(statuses, [201, 200]);
+    assert.deepEqual(repeat, first);
+    assert.equal((await (await fetch(server.endpoint)).json()).length, 1);
+});
+
+test('400: an order without an id is rejected', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const statuses = recordStatuses(t);
+
+    const result = await new OrderApiClient().submit(server.endpoint, createOrder({ id: undefined }));
+
+    assert.deepEqual(statuses, [400]);
+    assert.equal(result.outcome, 'rejected');
+    assert.equal(result.reason, 'Idempotency-Key must match the order id');
+});
+
+test('422: an invalid order is rejected with the reason and not retried', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const statuses = recordStatuses(t);
+    const order = createOrder({ items: [] });
+
+    const result = await new OrderApiClient({ backoff: 1 }).submit(server.endpoint, order);
+
+    assert.deepEqual(statuses, [422]);
+    assert.deepEqual(result, { outcome: 'rejected', id: order.id, reason: 'the order has no items' });
+});
+
+test('503: failed attempts are retried until the server accepts', async (t) => {
+    // The first two requests hit the simulated outage
+    const rolls = [0, 0];
+    const server = await startServer({ failRate: 0.5, random: () => (rolls.length > 0 ? rolls.shift() : 1) });
+    t.after(server.stop);
+    const statuses = recordStatuses(t);
+
+    const result = await new OrderApiClient({ retries: 3, backoff: 1 }).submit(server.endpoint, createOrder());
+
+    assert.deepEqual(statuses, [503, 503, 201]);
+    assert.equal(result.outcome, 'accepted');
+});
+
+test('503: the client gives up after its retries', async (t) => {
+    const server = await startServer({ failRate: 1 });
+    t.after(server.stop);
+    const statuses = recordStatuses(t);
+
+    await assert.rejects(
+        new OrderApiClient({ retries: 2, backoff: 1 }).submit(server.endpoint, createOrder()),
+        { message: 'HTTP 503' }
+    );
+    assert.deepEqual(statuses, [503, 503, 503]);
+});
+
+test('timeout: a slow server counts as unreachable', async (t) => {
+    const server = await startServer({ delayMs: 500 });
+    t.after(server.stop);
+
+    await assert.rejects(
+        new OrderApiClient({ timeout: 50, retries: 1, backoff: 1 }).submit(server.endpoint, createOrder()),
+        { message: 'Timed out after 50ms' }
+    );
+});
+
+test('slots: bookings are counted per slot and a full slot is rejected', async (t) => {
+    const server = await startServer();
+    t.after(server.stop);
+    const client = new OrderApiClient();
+    const delivery = { method: 'delivery', date: '2099-01-05', slot: 'morning', from: '10:00', to: '13:00', fee: 0, zone: 'seoul-central' };
+
+    // The morning slot in data/delivery.json takes 6 orders
+    for (let i = 0; i < 6; i++) {
+        const result = await client.submit(server.endpoint, createOrder({ id: `ORD-SLOT-${i}`, delivery }));
+        assert.equal(result.outcome, 'accepted');
+    }
+    const extra = await client.submit(server.endpoint, createOrder({ id: 'ORD-SLOT-6', delivery }));
+    assert.deepEqual(extra, { outcome: 'rejected', id: 'ORD-SLOT-6', reason: 'the delivery slot is fully booked' });
+
+    const planner = new DeliveryPlanner(null);
+    planner.setConfig(JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'delivery.json'), 'utf8')));
+    const now = new Date('2099-01-01T09:00');
+    assert.deepEqual(planner.getSlots('delivery', delivery.date, 'seoul-central', now).map(slot => slot.remaining), [null, null, null]);
+
+    await planner.loadBookings(server.endpoint);
+    const slots = planner.getSlots('delivery', delivery.date, 'seoul-central', now);
+    assert.deepEqual(slots.map(slot => [slot.id, slot.remaining, slot.available]),
+        [['morning', 0, false], ['afternoon', 8, true], ['evening', 6, true]]);
+});
@@ -0,0 +1,53 @@
+// Loads index.html with script.js into jsdom, serving data/*.json from the repo,
+// and resolves to the window once the app has started. script.js is inlined, so
+// no subresources have to be fetched.
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const ORIGIN = 'http://localhost/';
+
+function readFile(url) {
+    const filePath = path.join(ROOT, new URL(url, ORIGIN).pathname);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+}
+
+async function loadPage({ url = 'index.html' } = {}) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', error => console.error(error));
+
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8')
+        .replace('<script src="script.js"></script>', () => `<script>${readFile('script.js')}</script>`);
+
+    const dom = new JSDOM(html, {
+        url: new URL(url, ORIGIN).href,
+        runScripts: 'dangerously',
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.fetch = async (resource) => {
+                const data = readFile(String(resource));
+                return {
+                    ok: Boolean(data),
+                    status: data ? 200 : 404,
+                    json: async () => JSON.parse(data)
+                };
+            };
+            window.IntersectionObserver = class {
+                observe() {}
+                unobserve() {}
+            };
+            window.scrollTo = () => {};
+        }
+    });
+
+    const { window } = dom;
+    await new Promise(resolve => window.addEventListener('load', resolve));
+    // The app starts on DOMContentLoaded and loads its data asynchronously
+    await new Promise(resolve => setTimeout(resolve, 200));
+    return window;
+}
+
+module.exports = { loadPage };
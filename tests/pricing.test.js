@@ -0,0 +1,90 @@
+// ====================================
+// Pricing tests
+// ====================================
+//
+// Runs PricingEngine (script.js) on a fixed set of promotions, checking discounts,
+// shipping and the reasons a code is refused:
+//
+//     npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PricingEngine } = require('../script.js');
+
+const NOW = new Date('2026-06-01T12:00:00');
+
+function createEngine() {
+    const engine = new PricingEngine();
+    engine.setPromotions([
+        { code: 'WELCOME10', type: 'percent', value: 10, minSubtotal: 30000, expiresAt: '2027-12-31' },
+        { code: 'SWEET5000', type: 'fixed', value: 5000, minSubtotal: 40000, expiresAt: null },
+        { code: 'CHOCO15', type: 'percent', value: 15, category: 'chocolate' },
+        { code: 'FREESHIP', type: 'free-shipping', minSubtotal: 20000 },
+        { code: 'JELLY3FOR2', type: 'buy-x-get-y', category: 'jelly', buy: 2, get: 1 },
+        { code: 'OLD', type: 'fixed', value: 1000, expiresAt: '2026-05-31' }
+    ]);
+    return engine;
+}
+
+function line(id, category, price, quantity = 1) {
+    return { id, productId: id, name: id, category, price, quantity };
+}
+
+function quote(items, options = {}) {
+    return createEngine().quote(items, { now: NOW, ...options });
+}
+
+test('shipping is free from the threshold and charged below it', () => {
+    assert.equal(quote([line('choc-1', 'chocolate', 49000)]).shipping, 3000);
+    assert.equal(quote([line('choc-1', 'chocolate', 50000)]).shipping, 0);
+    assert.equal(quote([]).shipping, 0);
+
+    const zone = { fee: 5000, freeFrom: 80000 };
+    assert.equal(quote([line('choc-1', 'chocolate', 60000)], { delivery: zone }).shipping, 5000);
+    assert.equal(quote([line('choc-1', 'chocolate', 60000)], { delivery: { fee: 5000, freeFrom: null } }).shipping, 5000);
+});
+
+test('free shipping is earned by the subtotal after discounts', () => {
+    const result = quote([line('choc-1', 'chocolate', 52000)], { promoCode: 'WELCOME10' });
+
+    assert.equal(result.discounts[0].amount, 5200);
+    assert.equal(result.shipping, 3000);
+    assert.equal(result.total, 52000 - 5200 + 3000);
+
+    assert.equal(quote([line('choc-1', 'chocolate', 60000)], { promoCode: 'SWEET5000' }).shipping, 0);
+    assert.equal(quote([line('choc-1', 'chocolate', 54000)], { promoCode: 'SWEET5000' }).shipping, 3000);
+});
+
+test('a delivery area\'s threshold also uses the subtotal after discounts', () => {
+    const result = quote([line('choc-1', 'chocolate', 10000)], { promoCode: 'CHOCO15', delivery: { fee: 4000, freeFrom: 9000 } });
+
+    assert.equal(result.discounts[0].amount, 1500);
+    assert.equal(result.shipping, 4000);
+});
+
+test('the free shipping code takes off the shipping fee', () => {
+    const result = quote([line('choc-1', 'chocolate', 30000)], { promoCode: 'FREESHIP' });
+
+    assert.equal(result.shipping, 3000);
+    assert.deepEqual(result.discounts.map(discount => discount.amount), [3000]);
+    assert.equal(result.total, 30000);
+
+    assert.equal(quote([line('choc-1', 'chocolate', 60000)], { promoCode: 'FREESHIP' }).promoError, 'This code does not apply to the items in your cart');
+});
+
+test('category and bundle codes only count their own lines', () => {
+    const items = [line('choc-1', 'chocolate', 20000), line('jelly-1', 'jelly', 3000, 3), line('jelly-2', 'jelly', 5000, 2)];
+
+    assert.equal(quote(items, { promoCode: 'CHOCO15' }).discounts[0].amount, 3000);
+    assert.equal(quote(items, { promoCode: 'JELLY3FOR2' }).discounts[0].amount, 3000);
+});
+
+test('codes are refused when unknown, expired or below their minimum', () => {
+    const items = [line('choc-1', 'chocolate', 25000)];
+
+    assert.equal(quote(items, { promoCode: 'NOPE' }).promoError, 'This promo code does not exist');
+    assert.equal(quote(items, { promoCode: 'OLD' }).promoError, 'This promo code has expired');
+    assert.match(quote(items, { promoCode: 'WELCOME10' }).promoError, /^This code needs an order of at least/);
+    assert.equal(quote(items, { promoCode: 'old', now: new Date('2026-05-31T23:00:00') }).promoCode, 'OLD');
+});
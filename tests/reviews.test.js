@@ -0,0 +1,95 @@
+// ====================================
+// Review form tests
+// ====================================
+//
+// Loads the page in jsdom and checks that only a customer who knows an order's number
+// and email can review a product from it:
+//
+//     npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { loadPage } = require('./page.js');
+
+function placeOrder(window, id, name, email) {
+    window.database.saveOrder({
+        id,
+        name,
+        phone: '010-1234-5678',
+        email,
+        address: 'Seoul, Main st 5',
+        payment: 'card',
+        notes: '',
+        items: [{ productId: 'choc-1', name: 'Swiss Dark Collection', price: 31000, quantity: 1 }],
+        pricing: { subtotal: 31000, discounts: [], extras: [], shipping: 0, total: 31000 },
+        total: 31000,
+        promoCode: null
+    });
+}
+
+async function openProduct(window, productId) {
+    window.location.hash = `product/${productId}`;
+    await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+function submit(window, form) {
+    form.dispatchEvent(new window.Event('submit', { bubbles: true, cancelable: true }));
+}
+
+test('the review form lists no buyers and asks for an order number and email', async () => {
+    const window = await loadPage();
+    const { document } = window;
+    placeOrder(window, 'ORD-1', 'Ann Lee', 'ann@example.com');
+    placeOrder(window, 'ORD-2', 'Bo Kim', 'bo@example.com');
+    await openProduct(window, 'choc-1');
+
+    const reviews = document.getElementById('productReviews');
+    assert.doesNotMatch(reviews.textContent, /ann@example\.com|bo@example\.com|Ann Lee|Bo Kim/);
+    assert.equal(reviews.querySelector('select#reviewEmail'), null);
+
+    const form = document.getElementById('reviewVerifyForm');
+    form.elements.orderId.value = 'ORD-1';
+    form.elements.email.value = 'bo@example.com';
+    submit(window, form);
+    assert.equal(document.getElementById('reviewVerifyError').textContent, 'No order with this number and email includes this product');
+    assert.equal(document.getElementById('reviewForm'), null);
+});
+
+test('a verified buyer reviews under their own order', async () => {
+    const window = await loadPage();
+    const { document } = window;
+    placeOrder(window, 'ORD-1', 'Ann Lee', 'ann@example.com');
+    placeOrder(window, 'ORD-2', 'Bo Kim', 'bo@example.com');
+    await openProduct(window, 'choc-1');
+
+    const verify = document.getElementById('reviewVerifyForm');
+    verify.elements.orderId.value = ' ord-1 ';
+    verify.elements.email.value = 'ANN@example.com';
+    submit(window, verify);
+
+    const form = document.getElementById('reviewForm');
+    assert.match(document.querySelector('.review-as').textContent, /Reviewing as Ann L\./);
+    form.querySelector('#reviewRating4').checked = true;
+    form.elements.text.value = 'Rich and not too sweet';
+    submit(window, form);
+
+    const [review] = window.database.loadReviews();
+    assert.equal(review.email, 'ann@example.com');
+    assert.equal(review.orderId, 'ORD-1');
+    assert.equal(review.rating, 4);
+
+    // Another customer on the same device starts from the order check again
+    document.querySelector('[data-review-switch]').click();
+    assert.ok(document.getElementById('reviewVerifyForm'));
+    assert.equal(document.activeElement, document.getElementById('reviewOrderId'));
+});
+
+test('saveReview refuses an order that is not the reviewer\'s', async () => {
+    const window = await loadPage();
+    placeOrder(window, 'ORD-1', 'Ann Lee', 'ann@example.com');
+
+    const review = window.database.saveReview({ productId: 'choc-1', orderId: 'ORD-1', email: 'bo@example.com', rating: 5, text: 'Not my order at all' });
+    assert.equal(review, null);
+    assert.equal(window.database.saveReview({ productId: 'choc-2', orderId: 'ORD-1', email: 'ann@example.com', rating: 5, text: 'Never bought this one' }), null);
+});
@@ -0,0 +1,120 @@
+// ====================================
+// Storage backend tests
+// ====================================
+//
+// Runs ChocoDatabase (script.js) on the memory adapter in place of IndexedDB, with data
+// left in localStorage by a session that had to fall back to it:
+//
+//     npm test
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { ChocoDatabase, LocalStorageAdapter, MemoryStorageAdapter } = require('../script.js');
+
+// The part of the Web Storage API LocalStorageAdapter uses
+class FakeLocalStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    key(index) {
+        return Array.from(this.items.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+function createOrder(id) {
+    return {
+        id,
+        name: 'Ann Lee',
+        phone: '010-1234-5678',
+        email: 'ann@example.com',
+        address: 'Seoul, Main st 5',
+        payment: 'card',
+        notes: '',
+        items: [{ productId: 'choc-1', name: 'Swiss Dark Collection', price: 31000, quantity: 2 }],
+        pricing: { subtotal: 62000, discounts: [], extras: [], shipping: 0, total: 62000 },
+        total: 62000,
+        promoCode: null
+    };
+}
+
+// The database as IndexedDB holds it: one order, Korean and 10 in stock
+function createCurrentDatabase() {
+    const db = new ChocoDatabase(new MemoryStorageAdapter());
+    db.init();
+    db.saveSettings({ ...db.loadSettings(), language: 'ko' });
+    db.setStock('choc-1', 10);
+    db.saveOrder(createOrder('ORD-1'));
+    return db;
+}
+
+// A session that couldn't open IndexedDB starts from an empty localStorage
+function runFallbackSession() {
+    const db = new ChocoDatabase(new LocalStorageAdapter('chocoworld_db'));
+    db.init();
+    db.setStock('choc-1', 50);
+    db.saveOrder(createOrder('ORD-2'));
+    db.saveCart([{ id: 'choc-2', name: 'Milk Truffles', price: 28000, quantity: 1 }]);
+}
+
+beforeEach(() => {
+    globalThis.localStorage = new FakeLocalStorage();
+});
+
+test('orders and cart left in localStorage are merged in on the next start', async () => {
+    const db = createCurrentDatabase();
+    runFallbackSession();
+
+    await db.open();
+
+    assert.deepEqual(db.loadOrders().map(order => order.id), ['ORD-1', 'ORD-2']);
+    assert.deepEqual(db.loadCart().map(item => item.id), ['choc-2']);
+    assert.equal(db.getStats().totalOrders, 2);
+    assert.equal(db.loadSettings().language, 'ko');
+    assert.equal(db.getStock('choc-1'), 6);
+    assert.equal(localStorage.length, 0);
+});
+
+test('merging again after a restart changes nothing', async () => {
+    const db = createCurrentDatabase();
+    runFallbackSession();
+    await db.open();
+
+    runFallbackSession();
+    await db.open();
+
+    assert.deepEqual(db.loadOrders().map(order => order.id), ['ORD-1', 'ORD-2']);
+    assert.equal(db.getStock('choc-1'), 6);
+});
+
+test('localStorage is kept when the merged tables could not be saved', async (t) => {
+    t.mock.method(console, 'error', () => {});
+    const db = createCurrentDatabase();
+    runFallbackSession();
+    const keys = localStorage.length;
+
+    db.adapter.flush = async () => {
+        throw new Error('QuotaExceededError');
+    };
+    await db.open();
+
+    assert.equal(localStorage.length, keys);
+    assert.equal(db.adapter.name, 'memory');
+});